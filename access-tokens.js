@@ -0,0 +1,163 @@
+// 访问令牌：限制订阅转换接口只对持有令牌的用户开放，D1中只保存令牌的SHA-256
+import {
+  getConfig,
+  getBeijingDateString,
+  DEFAULT_ENABLE_ACCESS_TOKENS,
+  DEFAULT_ACCESS_TOKEN_PARAM
+} from './utils.js';
+
+const ACCESS_TOKEN_HEADER = 'X-Access-Token';
+const TOKEN_PREFIX = 'sc_';
+
+// 是否要求访问令牌
+export function isAccessTokenRequired(env) {
+  return getConfig(env, 'ENABLE_ACCESS_TOKENS', DEFAULT_ENABLE_ACCESS_TOKENS);
+}
+
+// 从查询参数或请求头读取访问令牌
+export function extractAccessToken(request, env) {
+  const param = getConfig(env, 'ACCESS_TOKEN_PARAM', DEFAULT_ACCESS_TOKEN_PARAM);
+  const url = new URL(request.url);
+  return url.searchParams.get(param) || request.headers.get(ACCESS_TOKEN_HEADER) || null;
+}
+
+// 移除访问令牌，避免转发给后端
+export function stripAccessToken(request, env) {
+  const param = getConfig(env, 'ACCESS_TOKEN_PARAM', DEFAULT_ACCESS_TOKEN_PARAM);
+  const url = new URL(request.url);
+  url.searchParams.delete(param);
+  
+  const stripped = new Request(url.toString(), request);
+  stripped.headers.delete(ACCESS_TOKEN_HEADER);
+  return stripped;
+}
+
+export async function hashAccessToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// 生成新令牌，返回 { token, hash, prefix }（明文令牌只在创建和轮换时返回一次）
+export async function generateAccessToken() {
+  const random = Array.from(crypto.getRandomValues(new Uint8Array(24)), byte => byte.toString(16).padStart(2, '0')).join('');
+  const token = `${TOKEN_PREFIX}${random}`;
+  return {
+    token,
+    hash: await hashAccessToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6)
+  };
+}
+
+// 校验访问令牌
+// 返回 { allowed: true, record } 或 { allowed: false, status, error, message, details }
+export async function verifyAccessToken(db, token) {
+  if (!token) {
+    return {
+      allowed: false,
+      status: 401,
+      error: 'missing_token',
+      message: '缺少访问令牌',
+      details: {}
+    };
+  }
+  
+  if (!db) {
+    return {
+      allowed: false,
+      status: 503,
+      error: 'token_store_unavailable',
+      message: 'D1数据库未配置，无法校验访问令牌',
+      details: {}
+    };
+  }
+  
+  const record = await db.getAccessTokenByHash(await hashAccessToken(token));
+  return checkAccessTokenRecord(record);
+}
+
+// 按ID校验访问令牌（短链接使用创建者的令牌）
+export async function verifyAccessTokenById(db, id) {
+  if (!db) {
+    return {
+      allowed: false,
+      status: 503,
+      error: 'token_store_unavailable',
+      message: 'D1数据库未配置，无法校验访问令牌',
+      details: {}
+    };
+  }
+  
+  return checkAccessTokenRecord(await db.getAccessTokenById(id));
+}
+
+// 检查令牌记录是否可用：吊销、过期和配额
+function checkAccessTokenRecord(record) {
+  if (!record) {
+    return {
+      allowed: false,
+      status: 401,
+      error: 'invalid_token',
+      message: '访问令牌无效',
+      details: {}
+    };
+  }
+  
+  if (record.revoked) {
+    return {
+      allowed: false,
+      status: 403,
+      error: 'token_revoked',
+      message: `访问令牌 ${record.label} 已被吊销`,
+      details: { label: record.label }
+    };
+  }
+  
+  if (record.expires_at && new Date(record.expires_at).getTime() <= Date.now()) {
+    return {
+      allowed: false,
+      status: 403,
+      error: 'token_expired',
+      message: `访问令牌 ${record.label} 已过期`,
+      details: { label: record.label, expires_at: record.expires_at }
+    };
+  }
+  
+  const dailyUsed = record.usage_date === getBeijingDateString() ? record.daily_requests : 0;
+  if (record.daily_quota && dailyUsed >= record.daily_quota) {
+    return {
+      allowed: false,
+      status: 429,
+      error: 'daily_quota_exceeded',
+      message: `访问令牌 ${record.label} 今日配额已用完`,
+      details: { label: record.label, daily_quota: record.daily_quota }
+    };
+  }
+  
+  if (record.total_quota && record.total_requests >= record.total_quota) {
+    return {
+      allowed: false,
+      status: 429,
+      error: 'total_quota_exceeded',
+      message: `访问令牌 ${record.label} 总配额已用完`,
+      details: { label: record.label, total_quota: record.total_quota }
+    };
+  }
+  
+  return { allowed: true, record };
+}
+
+// 管理接口鉴权：要求 Authorization: Bearer <ADMIN_TOKEN>
+// 比较两者的SHA-256摘要（定长）并使用恒定时间比较，避免通过响应时间逐字节猜出令牌
+export async function isAdminRequest(request, env) {
+  if (!env.ADMIN_TOKEN) {
+    return false;
+  }
+  
+  const encoder = new TextEncoder();
+  const authorization = request.headers.get('Authorization') || '';
+  const [actual, expected] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(authorization)),
+    crypto.subtle.digest('SHA-256', encoder.encode(`Bearer ${env.ADMIN_TOKEN}`))
+  ]);
+  return crypto.subtle.timingSafeEqual(actual, expected);
+}
@@ -3,11 +3,96 @@ import {
   getConfig, 
   getBeijingTimeString, 
   getBeijingDateString,
-  logError
+  logError,
+  DEFAULT_FAILOVER_MAX_ATTEMPTS,
+  DEFAULT_FAILOVER_RETRY_STATUS_CODES,
+  DEFAULT_FAILOVER_RETRY_ERRORS,
+  DEFAULT_ENABLE_HEDGING,
+  DEFAULT_HEDGE_DELAY,
+  DEFAULT_HEDGE_MIN_DELAY,
+  DEFAULT_HEDGE_DELAY_MODE,
+  DEFAULT_ENABLE_EDGE_CACHE,
+  DEFAULT_EDGE_CACHE_TTL,
+  DEFAULT_EDGE_CACHE_STALE_TTL,
+  DEFAULT_ENABLE_LAST_KNOWN_GOOD,
+  DEFAULT_ENABLE_BUILTIN_CONVERTER,
+  DEFAULT_BUILTIN_CONVERTER_TIMEOUT,
+  DEFAULT_BUILTIN_CONVERTER_MAX_SIZE,
+  DEFAULT_ENABLE_POST_PROCESSING,
+  DEFAULT_POST_PROCESSING_MAX_SIZE,
+  DEFAULT_ALLOW_INLINE_POST_PROCESSING,
+  DEFAULT_POST_PROCESSING_MAX_PATTERN_LENGTH,
+  DEFAULT_LKG_MAX_SIZE,
+  DEFAULT_LKG_MAX_AGE,
+  DEFAULT_LKG_MIN_INTERVAL,
+  DEFAULT_ENABLE_RESPONSE_VALIDATION,
+  DEFAULT_RESPONSE_VALIDATION_PEEK_BYTES,
+  DEFAULT_ROUTING_MODE,
+  DEFAULT_STICKY_VIRTUAL_NODES,
+  DEFAULT_ENABLE_PROXY_ALLOWLIST,
+  DEFAULT_PROXY_ALLOWED_PATHS,
+  DEFAULT_PROXY_ALLOWED_METHODS,
+  DEFAULT_PROXY_REQUIRED_PARAMS,
+  DEFAULT_PROXY_FORBIDDEN_PARAMS,
+  DEFAULT_PROXY_MAX_QUERY_LENGTH,
+  DEFAULT_ENABLE_RATE_LIMIT,
+  DEFAULT_RATE_LIMIT_CAPACITY,
+  DEFAULT_RATE_LIMIT_REFILL_PER_MINUTE,
+  DEFAULT_RATE_LIMIT_KEY_BY,
+  DEFAULT_ENABLE_ACCESS_TOKENS,
+  DEFAULT_ACCESS_TOKEN_PARAM,
+  DEFAULT_SHORT_LINK_CODE_LENGTH,
+  DEFAULT_REDACT_PARAMS,
+  DEFAULT_CAPABILITY_PROBE_TARGETS,
+  DEFAULT_CAPABILITY_PROBE_INTERVAL,
+  DEFAULT_PARAM_POLICY_DEBUG_HEADER,
+  DEFAULT_ENABLE_CIRCUIT_BREAKER,
+  DEFAULT_CB_FAILURE_THRESHOLD,
+  DEFAULT_CB_ERROR_RATE_THRESHOLD,
+  DEFAULT_CB_MIN_REQUESTS,
+  DEFAULT_CB_WINDOW_SECONDS,
+  DEFAULT_CB_OPEN_DURATION,
+  DEFAULT_CB_HALF_OPEN_MAX_TRIALS,
+  DEFAULT_CB_HALF_OPEN_TRIAL_TIMEOUT,
+  DEFAULT_ENABLE_REQUEST_COALESCING,
+  DEFAULT_COALESCE_MAX_WAIT,
+  DEFAULT_PROXY_HEADERS_TIMEOUT,
+  DEFAULT_PROXY_TOTAL_TIMEOUT,
+  DEFAULT_PROXY_TARGET_TIMEOUTS,
+  DEFAULT_TIMEOUT_PENALTY,
+  DEFAULT_LB_EWMA_ALPHA,
+  DEFAULT_LB_PRIORITY_ORDER,
+  DEFAULT_LB_STATE_SYNC_INTERVAL
 } from './utils.js';
 import { healthCheckController } from './concurrency.js';
-import { SmartWeightedLoadBalancer } from './load-balancer.js';
+import { SmartWeightedLoadBalancer, summarizeWeightBreakdown } from './load-balancer.js';
 import { ResilientTelegramNotifier } from './notifier.js';
+import { TokenBucketRateLimiter } from './rate-limiter.js';
+import { generateAccessToken, isAdminRequest } from './access-tokens.js';
+import {
+  isShortLinkEnabled,
+  buildShortLinkTarget,
+  authorizeShortLinkRequest,
+  createShortLink,
+  buildShortUrl
+} from './short-links.js';
+import { createRejectionResponse } from './request-policy.js';
+import { getRedactionLevel } from './redaction.js';
+import {
+  isCapabilityRoutingEnabled,
+  buildCapabilityMatrix,
+  loadCapabilityRows,
+  invalidateCapabilityCache,
+  runCapabilityProbes
+} from './capabilities.js';
+import { getParamPolicy, validateParamPolicy } from './param-policy.js';
+import { getPostProcessingConfig, validatePostProcessingConfig } from './post-processing.js';
+import { GeoRouter, getClientGeo } from './geo-routing.js';
+import { getLbAlgorithmName, listLbAlgorithms, validateLbAlgorithmConfig, getLbAlgorithmState } from './lb-algorithms.js';
+import { getBackendAdapterConfig, validateBackendAdapterConfig, listBackendAdapters, getBackendAdapter } from './backend-adapters.js';
+import { CircuitBreakerManager } from './circuit-breaker.js';
+import { BackendControlManager, BACKEND_CONTROL_MODES, isControlActive } from './backend-controls.js';
+import { isCrossIsolateCoalescingEnabled, getIsolateCoalescingStats } from './coalescing.js';
 import { SafeD1Database } from './database.js';
 import { performFullHealthCheck } from './core.js';
 
@@ -57,6 +142,16 @@ export async function handleApiRequest(request, env, requestId) {
                 <li>request_results - 请求结果表</li>
                 <li>telegram_notifications - Telegram通知表</li>
                 <li>error_logs - 错误日志表</li>
+                <li>last_known_good - 最后可用快照表</li>
+                <li>rate_limits - 限流状态表</li>
+                <li>access_tokens - 访问令牌表</li>
+                <li>short_links - 短链接表</li>
+                <li>backend_capabilities - 后端能力表</li>
+                <li>circuit_breakers - 熔断器状态表</li>
+                <li>coalescing_stats - 请求合并统计表</li>
+                <li>lb_state - 负载均衡状态表（含权重解释）</li>
+                <li>backend_controls - 后端手动控制表</li>
+                <li>backend_control_audit - 后端手动控制审计表</li>
               </ul>
               <button onclick="initDatabase()">🚀 开始初始化数据库</button>
               <div id="result" class="result"></div>
@@ -159,11 +254,12 @@ export async function handleApiRequest(request, env, requestId) {
       }
       
       const totalCount = backends.length;
-      const lbAlgorithm = getConfig(env, 'LB_ALGORITHM', 'weighted_round_robin');
+      const lbAlgorithm = getLbAlgorithmName(env);
       const concurrentStats = healthCheckController.getStats();
       
       // 获取负载均衡器统计
       const loadBalancer = new SmartWeightedLoadBalancer(env);
+      await loadBalancer.syncState(db, requestId, true);
       const weightStats = loadBalancer.getWeightStatistics();
       
       // 【新增】获取最高权重的可用后端信息（权重相同按响应时间排序）
@@ -249,6 +345,7 @@ export async function handleApiRequest(request, env, requestId) {
       
       // 获取负载均衡器统计
       const loadBalancer = new SmartWeightedLoadBalancer(env);
+      await loadBalancer.syncState(db, requestId, true);
       const weightStats = loadBalancer.getWeightStatistics();
       
       return new Response(JSON.stringify({
@@ -406,7 +503,54 @@ export async function handleApiRequest(request, env, requestId) {
           notify_on_request: getConfig(env, 'NOTIFY_ON_REQUEST', true),
           notify_on_health_change: getConfig(env, 'NOTIFY_ON_HEALTH_CHANGE', true),
           notify_on_error: getConfig(env, 'NOTIFY_ON_ERROR', true),
-          lb_algorithm: getConfig(env, 'LB_ALGORITHM', 'weighted_round_robin'),
+          lb_algorithm: getLbAlgorithmName(env),
+          lb_algorithms: listLbAlgorithms(),
+          lb_algorithm_errors: validateLbAlgorithmConfig(env),
+          lb_ewma_alpha: getConfig(env, 'LB_EWMA_ALPHA', DEFAULT_LB_EWMA_ALPHA),
+          lb_priority_order: getConfig(env, 'LB_PRIORITY_ORDER', DEFAULT_LB_PRIORITY_ORDER),
+          lb_state_sync_interval: getConfig(env, 'LB_STATE_SYNC_INTERVAL', DEFAULT_LB_STATE_SYNC_INTERVAL),
+          routing_mode: getConfig(env, 'ROUTING_MODE', DEFAULT_ROUTING_MODE),
+          sticky_virtual_nodes: getConfig(env, 'STICKY_VIRTUAL_NODES', DEFAULT_STICKY_VIRTUAL_NODES),
+          enable_proxy_allowlist: getConfig(env, 'ENABLE_PROXY_ALLOWLIST', DEFAULT_ENABLE_PROXY_ALLOWLIST),
+          proxy_allowed_paths: getConfig(env, 'PROXY_ALLOWED_PATHS', DEFAULT_PROXY_ALLOWED_PATHS),
+          proxy_allowed_methods: getConfig(env, 'PROXY_ALLOWED_METHODS', DEFAULT_PROXY_ALLOWED_METHODS),
+          proxy_required_params: getConfig(env, 'PROXY_REQUIRED_PARAMS', DEFAULT_PROXY_REQUIRED_PARAMS),
+          proxy_forbidden_params: getConfig(env, 'PROXY_FORBIDDEN_PARAMS', DEFAULT_PROXY_FORBIDDEN_PARAMS),
+          proxy_max_query_length: getConfig(env, 'PROXY_MAX_QUERY_LENGTH', DEFAULT_PROXY_MAX_QUERY_LENGTH),
+          enable_rate_limit: getConfig(env, 'ENABLE_RATE_LIMIT', DEFAULT_ENABLE_RATE_LIMIT),
+          rate_limit_capacity: getConfig(env, 'RATE_LIMIT_CAPACITY', DEFAULT_RATE_LIMIT_CAPACITY),
+          rate_limit_refill_per_minute: getConfig(env, 'RATE_LIMIT_REFILL_PER_MINUTE', DEFAULT_RATE_LIMIT_REFILL_PER_MINUTE),
+          rate_limit_key_by: getConfig(env, 'RATE_LIMIT_KEY_BY', DEFAULT_RATE_LIMIT_KEY_BY),
+          enable_access_tokens: getConfig(env, 'ENABLE_ACCESS_TOKENS', DEFAULT_ENABLE_ACCESS_TOKENS),
+          access_token_param: getConfig(env, 'ACCESS_TOKEN_PARAM', DEFAULT_ACCESS_TOKEN_PARAM),
+          admin_token_configured: !!env.ADMIN_TOKEN,
+          enable_short_links: isShortLinkEnabled(env),
+          short_link_code_length: getConfig(env, 'SHORT_LINK_CODE_LENGTH', DEFAULT_SHORT_LINK_CODE_LENGTH),
+          redaction_level: getRedactionLevel(env),
+          redact_params: getConfig(env, 'REDACT_PARAMS', DEFAULT_REDACT_PARAMS),
+          redaction_salt_configured: !!env.REDACTION_SALT,
+          enable_capability_routing: isCapabilityRoutingEnabled(env),
+          capability_probe_targets: getConfig(env, 'CAPABILITY_PROBE_TARGETS', DEFAULT_CAPABILITY_PROBE_TARGETS),
+          capability_probe_interval: getConfig(env, 'CAPABILITY_PROBE_INTERVAL', DEFAULT_CAPABILITY_PROBE_INTERVAL),
+          param_policy: getParamPolicy(env),
+          param_policy_errors: getParamPolicy(env) ? validateParamPolicy(getParamPolicy(env)) : [],
+          param_policy_debug_header: getConfig(env, 'PARAM_POLICY_DEBUG_HEADER', DEFAULT_PARAM_POLICY_DEBUG_HEADER),
+          enable_circuit_breaker: getConfig(env, 'ENABLE_CIRCUIT_BREAKER', DEFAULT_ENABLE_CIRCUIT_BREAKER),
+          cb_failure_threshold: getConfig(env, 'CB_FAILURE_THRESHOLD', DEFAULT_CB_FAILURE_THRESHOLD),
+          cb_error_rate_threshold: getConfig(env, 'CB_ERROR_RATE_THRESHOLD', DEFAULT_CB_ERROR_RATE_THRESHOLD),
+          cb_min_requests: getConfig(env, 'CB_MIN_REQUESTS', DEFAULT_CB_MIN_REQUESTS),
+          cb_window_seconds: getConfig(env, 'CB_WINDOW_SECONDS', DEFAULT_CB_WINDOW_SECONDS),
+          cb_open_duration: getConfig(env, 'CB_OPEN_DURATION', DEFAULT_CB_OPEN_DURATION),
+          cb_half_open_max_trials: getConfig(env, 'CB_HALF_OPEN_MAX_TRIALS', DEFAULT_CB_HALF_OPEN_MAX_TRIALS),
+          cb_half_open_trial_timeout: getConfig(env, 'CB_HALF_OPEN_TRIAL_TIMEOUT', DEFAULT_CB_HALF_OPEN_TRIAL_TIMEOUT),
+          enable_request_coalescing: getConfig(env, 'ENABLE_REQUEST_COALESCING', DEFAULT_ENABLE_REQUEST_COALESCING),
+          coalesce_max_wait: getConfig(env, 'COALESCE_MAX_WAIT', DEFAULT_COALESCE_MAX_WAIT),
+          coalesce_across_isolates: isCrossIsolateCoalescingEnabled(env),
+          request_coalescer_bound: !!env.REQUEST_COALESCER,
+          proxy_headers_timeout: getConfig(env, 'PROXY_HEADERS_TIMEOUT', DEFAULT_PROXY_HEADERS_TIMEOUT),
+          proxy_total_timeout: getConfig(env, 'PROXY_TOTAL_TIMEOUT', DEFAULT_PROXY_TOTAL_TIMEOUT),
+          proxy_target_timeouts: getConfig(env, 'PROXY_TARGET_TIMEOUTS', DEFAULT_PROXY_TARGET_TIMEOUTS),
+          timeout_penalty: getConfig(env, 'TIMEOUT_PENALTY', DEFAULT_TIMEOUT_PENALTY),
           enable_streaming_proxy: getConfig(env, 'ENABLE_STREAMING_PROXY', true),
           weight_adjustment_factor: getConfig(env, 'WEIGHT_ADJUSTMENT_FACTOR', 0.3),
           weight_recovery_rate: getConfig(env, 'WEIGHT_RECOVERY_RATE', 2),
@@ -416,7 +560,37 @@ export async function handleApiRequest(request, env, requestId) {
           response_time_window: getConfig(env, 'RESPONSE_TIME_WINDOW', 10),
           health_threshold: getConfig(env, 'HEALTH_THRESHOLD', 0.7),
           failure_penalty: getConfig(env, 'FAILURE_PENALTY', 15),
-          success_boost: getConfig(env, 'SUCCESS_BOOST', 8)
+          success_boost: getConfig(env, 'SUCCESS_BOOST', 8),
+          failover_max_attempts: getConfig(env, 'FAILOVER_MAX_ATTEMPTS', DEFAULT_FAILOVER_MAX_ATTEMPTS),
+          failover_retry_status_codes: getConfig(env, 'FAILOVER_RETRY_STATUS_CODES', DEFAULT_FAILOVER_RETRY_STATUS_CODES),
+          failover_retry_errors: getConfig(env, 'FAILOVER_RETRY_ERRORS', DEFAULT_FAILOVER_RETRY_ERRORS),
+          enable_hedging: getConfig(env, 'ENABLE_HEDGING', DEFAULT_ENABLE_HEDGING),
+          hedge_delay: getConfig(env, 'HEDGE_DELAY', DEFAULT_HEDGE_DELAY),
+          hedge_min_delay: getConfig(env, 'HEDGE_MIN_DELAY', DEFAULT_HEDGE_MIN_DELAY),
+          hedge_delay_mode: getConfig(env, 'HEDGE_DELAY_MODE', DEFAULT_HEDGE_DELAY_MODE),
+          enable_edge_cache: getConfig(env, 'ENABLE_EDGE_CACHE', DEFAULT_ENABLE_EDGE_CACHE),
+          edge_cache_ttl: getConfig(env, 'EDGE_CACHE_TTL', DEFAULT_EDGE_CACHE_TTL),
+          edge_cache_stale_ttl: getConfig(env, 'EDGE_CACHE_STALE_TTL', DEFAULT_EDGE_CACHE_STALE_TTL),
+          enable_last_known_good: getConfig(env, 'ENABLE_LAST_KNOWN_GOOD', DEFAULT_ENABLE_LAST_KNOWN_GOOD),
+          lkg_max_size: getConfig(env, 'LKG_MAX_SIZE', DEFAULT_LKG_MAX_SIZE),
+          lkg_max_age: getConfig(env, 'LKG_MAX_AGE', DEFAULT_LKG_MAX_AGE),
+          lkg_min_interval: getConfig(env, 'LKG_MIN_INTERVAL', DEFAULT_LKG_MIN_INTERVAL),
+          lkg_encryption_enabled: !!env.LKG_ENCRYPTION_KEY,
+          enable_builtin_converter: getConfig(env, 'ENABLE_BUILTIN_CONVERTER', DEFAULT_ENABLE_BUILTIN_CONVERTER),
+          builtin_converter_timeout: getConfig(env, 'BUILTIN_CONVERTER_TIMEOUT', DEFAULT_BUILTIN_CONVERTER_TIMEOUT),
+          builtin_converter_max_size: getConfig(env, 'BUILTIN_CONVERTER_MAX_SIZE', DEFAULT_BUILTIN_CONVERTER_MAX_SIZE),
+          enable_post_processing: getConfig(env, 'ENABLE_POST_PROCESSING', DEFAULT_ENABLE_POST_PROCESSING),
+          post_processing: getPostProcessingConfig(env),
+          post_processing_errors: validatePostProcessingConfig(getPostProcessingConfig(env)),
+          post_processing_max_size: getConfig(env, 'POST_PROCESSING_MAX_SIZE', DEFAULT_POST_PROCESSING_MAX_SIZE),
+          allow_inline_post_processing: getConfig(env, 'ALLOW_INLINE_POST_PROCESSING', DEFAULT_ALLOW_INLINE_POST_PROCESSING),
+          post_processing_max_pattern_length: getConfig(env, 'POST_PROCESSING_MAX_PATTERN_LENGTH', DEFAULT_POST_PROCESSING_MAX_PATTERN_LENGTH),
+          geo_routing: new GeoRouter(env).getSettings(),
+          backend_adapters: getBackendAdapterConfig(env),
+          backend_adapter_errors: validateBackendAdapterConfig(getBackendAdapterConfig(env)),
+          available_backend_adapters: listBackendAdapters(),
+          enable_response_validation: getConfig(env, 'ENABLE_RESPONSE_VALIDATION', DEFAULT_ENABLE_RESPONSE_VALIDATION),
+          response_validation_peek_bytes: getConfig(env, 'RESPONSE_VALIDATION_PEEK_BYTES', DEFAULT_RESPONSE_VALIDATION_PEEK_BYTES)
         },
         timestamp: new Date().toISOString(),
         beijing_time: getBeijingTimeString()
@@ -439,9 +613,11 @@ export async function handleApiRequest(request, env, requestId) {
     try {
       healthCheckController.reset();
       
-      // 重置负载均衡器权重
+      // 重置负载均衡器权重（先读取D1中所有后端的状态，重置后立即写回）
       const loadBalancer = new SmartWeightedLoadBalancer(env);
+      await loadBalancer.syncState(db, requestId, true);
       loadBalancer.resetAllWeights();
+      await loadBalancer.flushState(db, requestId);
       
       return new Response(JSON.stringify({
         success: true,
@@ -471,12 +647,13 @@ export async function handleApiRequest(request, env, requestId) {
       const loadBalancer = new SmartWeightedLoadBalancer(env);
       
       const testPromises = backends.map(async (url) => {
+        const adapter = getBackendAdapter(env, url);
         const startTime = Date.now();
         try {
           const controller = new AbortController();
           const timeoutId = setTimeout(() => controller.abort(), 3000);
           
-          const response = await fetch(`${url}/version`, {
+          const response = await fetch(`${url}${adapter.healthPath}`, {
             signal: controller.signal,
             headers: { 'User-Agent': 'subconverter-failover-benchmark/1.0' }
           });
@@ -488,7 +665,7 @@ export async function handleApiRequest(request, env, requestId) {
           let version = '未知版本';
           if (response.status === 200) {
             const text = await response.text();
-            version = text.trim() || '未知版本';
+            version = adapter.parseVersion(text) || '未知版本';
           }
           
           // 计算权重
@@ -508,7 +685,8 @@ export async function handleApiRequest(request, env, requestId) {
             responseTimeScore,
             weight,
             healthy: response.status === 200,
-            version: version
+            version: version,
+            adapter: adapter.name
           };
         } catch (error) {
           const responseTime = Date.now() - startTime;
@@ -530,7 +708,8 @@ export async function handleApiRequest(request, env, requestId) {
             weight,
             healthy: false,
             error: error.name,
-            version: '未知版本'
+            version: '未知版本',
+            adapter: adapter.name
           };
         }
       });
@@ -669,8 +848,9 @@ export async function handleApiRequest(request, env, requestId) {
   if (url.pathname === '/api/lb-test' && request.method === 'GET') {
     try {
       const backends = getBackendsFromEnv(env);
-      const lbAlgorithm = getConfig(env, 'LB_ALGORITHM', 'weighted_round_robin');
-      const loadBalancer = new SmartWeightedLoadBalancer(env);
+      const lbAlgorithm = getLbAlgorithmName(env);
+      // 使用独立状态：模拟数据不写入共享的权重、权重解释和轮询计数，也不会同步到D1
+      const loadBalancer = new SmartWeightedLoadBalancer(env, { isolated: true });
       
       const mockBackends = new Map();
       backends.forEach((url, index) => {
@@ -697,6 +877,7 @@ export async function handleApiRequest(request, env, requestId) {
         selected_backend: selectedBackend,
         backend_details: Object.fromEntries(mockBackends),
         weight_statistics: weightStats,
+        lb_state: getLbAlgorithmState(),
         timestamp: new Date().toISOString(),
         beijing_time: getBeijingTimeString()
       }), {
@@ -755,6 +936,7 @@ export async function handleApiRequest(request, env, requestId) {
       
       const concurrentStats = healthCheckController.getStats();
       const loadBalancer = new SmartWeightedLoadBalancer(env);
+      await loadBalancer.syncState(db, requestId, true);
       const weightStats = loadBalancer.getWeightStatistics();
       
       return new Response(JSON.stringify({
@@ -777,7 +959,7 @@ export async function handleApiRequest(request, env, requestId) {
             concurrent_stats: concurrentStats
           },
           load_balancer: {
-            algorithm: getConfig(env, 'LB_ALGORITHM', 'weighted_round_robin'),
+            algorithm: getLbAlgorithmName(env),
             weight_statistics: weightStats,
             backend_count: weightStats.length
           },
@@ -812,6 +994,7 @@ export async function handleApiRequest(request, env, requestId) {
       for (const backendUrl of backends) {
         loadBalancer.resetBackendWeight(backendUrl);
       }
+      await loadBalancer.flushState(db, requestId);
       
       return new Response(JSON.stringify({
         success: true,
@@ -837,6 +1020,7 @@ export async function handleApiRequest(request, env, requestId) {
   if (url.pathname === '/api/weight-stats' && request.method === 'GET') {
     try {
       const loadBalancer = new SmartWeightedLoadBalancer(env);
+      await loadBalancer.syncState(db, requestId, true);
       const weightStats = loadBalancer.getWeightStatistics();
       
       return new Response(JSON.stringify({
@@ -862,10 +1046,990 @@ export async function handleApiRequest(request, env, requestId) {
     }
   }
   
-  return new Response(JSON.stringify({ error: '未找到API端点' }), {
-    status: 404,
-    headers: { 'Content-Type': 'application/json; charset=utf-8' }
-  });
+  // 后端权重解释API：最近一次权重计算的各项因子
+  // :id 为后端在 BACKEND_URLS 中的序号（从0开始）或URL编码的后端地址
+  const weightExplainMatch = url.pathname.match(/^\/api\/backends\/([^/]+)\/weight-explain$/);
+  if (weightExplainMatch && request.method === 'GET') {
+    try {
+      const backend = resolveBackendId(env, weightExplainMatch[1]);
+      if (!backend) {
+        return new Response(JSON.stringify({ 
+          error: `未知后端: ${weightExplainMatch[1]}`,
+          request_id: requestId
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      const loadBalancer = new SmartWeightedLoadBalancer(env);
+      await loadBalancer.syncState(db, requestId, true);
+      const breakdown = loadBalancer.getWeightBreakdown(backend.url);
+      
+      return new Response(JSON.stringify({
+        success: true,
+        request_id: requestId,
+        backend_url: backend.url,
+        index: backend.index,
+        breakdown: breakdown,
+        summary: summarizeWeightBreakdown(breakdown),
+        backend_status: db ? await db.getBackendStatus(backend.url) : null,
+        message: breakdown ? undefined : '该后端还没有权重计算记录（等待下一次健康检查）',
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 后端手动控制API（需要管理员令牌）
+  const backendControlMatch = url.pathname.match(/^\/api\/backends\/([^/]+)\/control(\/clear)?$/);
+  if (backendControlMatch || url.pathname === '/api/backend-controls') {
+    if (!await isAdminRequest(request, env)) {
+      return new Response(JSON.stringify({ 
+        error: env.ADMIN_TOKEN ? '管理员令牌无效' : '未配置ADMIN_TOKEN，后端手动控制接口不可用',
+        request_id: requestId
+      }), {
+        status: env.ADMIN_TOKEN ? 401 : 503,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+    
+    if (!db) {
+      return new Response(JSON.stringify({ 
+        error: 'D1数据库未配置',
+        request_id: requestId
+      }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 查看后端手动控制和审计记录
+  // 参数: backend（可选，按后端URL筛选审计记录），limit（审计记录条数，默认50）
+  if (url.pathname === '/api/backend-controls' && request.method === 'GET') {
+    try {
+      const limit = Math.min(500, parseInt(url.searchParams.get('limit') || '50', 10) || 50);
+      const now = Date.now();
+      const controls = (await db.getBackendControls()).map(row => ({ ...row, active: isControlActive(row, now) }));
+      
+      return new Response(JSON.stringify({
+        success: true,
+        request_id: requestId,
+        modes: BACKEND_CONTROL_MODES,
+        controls: controls,
+        audit: await db.getBackendControlAudit(limit, url.searchParams.get('backend') || null),
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 设置后端手动控制（:id 同权重解释API）
+  // 请求体: { mode, weight_override?, expires_in_minutes?, note?, operator? }
+  // mode: active（正常）| disabled（禁用）| drain（排空）| pinned（固定为首选）；weight_override 为 null 时使用学习到的权重
+  // 清除: POST /api/backends/:id/control/clear，请求体: { note?, operator? }
+  if (backendControlMatch && request.method === 'POST') {
+    try {
+      const backend = resolveBackendId(env, backendControlMatch[1]);
+      if (!backend) {
+        return new Response(JSON.stringify({ 
+          error: `未知后端: ${backendControlMatch[1]}`,
+          request_id: requestId
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      const body = await request.json().catch(() => ({}));
+      const actor = {
+        operator: typeof body.operator === 'string' && body.operator.trim() ? body.operator.trim().slice(0, 64) : 'admin',
+        client_ip: request.headers.get('cf-connecting-ip') || null
+      };
+      const note = typeof body.note === 'string' && body.note.trim() ? body.note.trim().slice(0, 200) : null;
+      const controls = new BackendControlManager(env, db);
+      
+      if (backendControlMatch[2]) {
+        const cleared = await controls.clearControl(backend.url, actor, requestId, note);
+        
+        return new Response(JSON.stringify({
+          success: true,
+          message: cleared ? `已清除 ${backend.url} 的手动控制` : '该后端没有手动控制',
+          request_id: requestId,
+          backend_url: backend.url,
+          timestamp: new Date().toISOString(),
+          beijing_time: getBeijingTimeString()
+        }), {
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      const mode = body.mode || 'active';
+      const weightOverride = body.weight_override ?? null;
+      const expiresIn = body.expires_in_minutes ?? null;
+      const maxWeight = getConfig(env, 'MAX_WEIGHT', 100);
+      let error = null;
+      
+      if (!BACKEND_CONTROL_MODES.includes(mode)) {
+        error = `mode 必须是 ${BACKEND_CONTROL_MODES.join('、')} 之一`;
+      } else if (weightOverride !== null && !(typeof weightOverride === 'number' && weightOverride >= 0 && weightOverride <= maxWeight)) {
+        error = `weight_override 必须是 0-${maxWeight} 之间的数字或 null`;
+      } else if (expiresIn !== null && !(typeof expiresIn === 'number' && expiresIn > 0 && expiresIn <= 43200)) {
+        error = 'expires_in_minutes 必须是 0-43200（30天）之间的数字或 null';
+      } else if (mode === 'active' && weightOverride === null) {
+        error = '没有要设置的控制，清除手动控制请使用 /control/clear';
+      }
+      
+      if (error) {
+        return new Response(JSON.stringify({ 
+          error: error,
+          request_id: requestId
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      const control = await controls.setControl(backend.url, {
+        mode,
+        weight_override: weightOverride,
+        expires_at: expiresIn !== null ? Date.now() + expiresIn * 60000 : null,
+        note
+      }, actor, requestId);
+      
+      return new Response(JSON.stringify({
+        success: true,
+        message: `已设置 ${backend.url} 的手动控制: ${mode}${weightOverride !== null ? `，固定权重 ${weightOverride}` : ''}`,
+        request_id: requestId,
+        control: control,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 后端传输统计API（响应大小、首字节时间、传输时间、截断和超时次数）
+  if (url.pathname === '/api/transfer-stats' && request.method === 'GET') {
+    try {
+      if (!db) {
+        return new Response(JSON.stringify({ 
+          error: 'D1数据库未配置',
+          request_id: requestId
+        }), {
+          status: 503,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      const limit = parseInt(url.searchParams.get('limit') || '500', 10);
+      
+      return new Response(JSON.stringify({
+        success: true,
+        request_id: requestId,
+        sample_size: limit,
+        backends: await db.getTransferStats(limit),
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 地区路由统计API：各国家/地区客户端访问各后端的成功率和响应时间
+  if (url.pathname === '/api/geo-stats' && request.method === 'GET') {
+    try {
+      if (!db) {
+        return new Response(JSON.stringify({ 
+          error: 'D1数据库未配置',
+          request_id: requestId
+        }), {
+          status: 503,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      const geoRouter = new GeoRouter(env, db);
+      const hours = parseInt(url.searchParams.get('hours') || `${geoRouter.windowHours}`, 10);
+      const since = new Date(Date.now() - hours * 3600 * 1000).toISOString();
+      const rows = await db.getGeoStats(since);
+      
+      const countries = {};
+      for (const row of rows) {
+        (countries[row.country] = countries[row.country] || []).push({
+          backend_url: row.backend_url,
+          samples: row.samples,
+          success_rate: row.success_rate,
+          avg_response_time: row.avg_response_time,
+          colos: row.colos,
+          learned: row.samples >= geoRouter.minSamples
+        });
+      }
+      
+      return new Response(JSON.stringify({
+        success: true,
+        request_id: requestId,
+        window_hours: hours,
+        settings: geoRouter.getSettings(),
+        client: getClientGeo(request),
+        countries,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 限流状态API（需要管理员令牌，包含客户端信息）
+  if (url.pathname === '/api/rate-limits' && request.method === 'GET') {
+    if (!await isAdminRequest(request, env)) {
+      return new Response(JSON.stringify({ 
+        error: env.ADMIN_TOKEN ? '管理员令牌无效' : '未配置ADMIN_TOKEN，限流状态接口不可用',
+        request_id: requestId
+      }), {
+        status: env.ADMIN_TOKEN ? 401 : 503,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+    
+    try {
+      const rateLimiter = new TokenBucketRateLimiter(env, db);
+      const limit = parseInt(url.searchParams.get('limit') || '50', 10);
+      const offenders = db ? await db.getRateLimitOffenders(limit) : [];
+      
+      return new Response(JSON.stringify({
+        success: true,
+        request_id: requestId,
+        limits: rateLimiter.getLimits(),
+        offenders: offenders,
+        total_offenders: offenders.length,
+        local_buckets: rateLimiter.getLocalBuckets(),
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 访问令牌管理API（需要管理员令牌）
+  if (url.pathname === '/api/tokens' || url.pathname.startsWith('/api/tokens/')) {
+    if (!await isAdminRequest(request, env)) {
+      return new Response(JSON.stringify({ 
+        error: env.ADMIN_TOKEN ? '管理员令牌无效' : '未配置ADMIN_TOKEN，令牌管理接口不可用',
+        request_id: requestId
+      }), {
+        status: env.ADMIN_TOKEN ? 401 : 503,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+    
+    if (!db) {
+      return new Response(JSON.stringify({ 
+        error: 'D1数据库未配置',
+        request_id: requestId
+      }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 访问令牌列表API
+  if (url.pathname === '/api/tokens' && request.method === 'GET') {
+    try {
+      const tokens = await db.listAccessTokens();
+      
+      return new Response(JSON.stringify({
+        success: true,
+        request_id: requestId,
+        tokens: tokens,
+        total_tokens: tokens.length,
+        active_tokens: tokens.filter(token => !token.revoked).length,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 创建访问令牌API
+  // 请求体: { label, expires_in_days?, expires_at?, daily_quota?, total_quota? }
+  if (url.pathname === '/api/tokens' && request.method === 'POST') {
+    try {
+      const body = await request.json().catch(() => ({}));
+      
+      if (!body.label || typeof body.label !== 'string') {
+        return new Response(JSON.stringify({ 
+          error: '缺少令牌标签 label',
+          request_id: requestId
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      let expiresAt = body.expires_at ? new Date(body.expires_at) : null;
+      if (!expiresAt && body.expires_in_days) {
+        expiresAt = new Date(Date.now() + Number(body.expires_in_days) * 24 * 60 * 60 * 1000);
+      }
+      if (expiresAt && isNaN(expiresAt.getTime())) {
+        return new Response(JSON.stringify({ 
+          error: '无效的过期时间',
+          request_id: requestId
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      const generated = await generateAccessToken();
+      const token = await db.createAccessToken({
+        label: body.label.trim(),
+        token_hash: generated.hash,
+        token_prefix: generated.prefix,
+        expires_at: expiresAt ? expiresAt.toISOString() : null,
+        daily_quota: parseInt(body.daily_quota, 10) || null,
+        total_quota: parseInt(body.total_quota, 10) || null
+      });
+      
+      return new Response(JSON.stringify({
+        success: true,
+        message: '访问令牌已创建，令牌明文只返回这一次，请妥善保存',
+        access_token: generated.token,
+        token: token,
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        status: 201,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 吊销访问令牌API
+  if (url.pathname === '/api/tokens/revoke' && request.method === 'POST') {
+    try {
+      const id = parseInt(url.searchParams.get('id') || '0', 10);
+      const revoked = await db.revokeAccessToken(id);
+      
+      return new Response(JSON.stringify({
+        success: revoked,
+        message: revoked ? `访问令牌 ${id} 已吊销` : `访问令牌 ${id} 不存在或已吊销`,
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        status: revoked ? 200 : 404,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 轮换访问令牌API：生成新令牌，旧令牌立即失效，标签、配额和用量保留
+  if (url.pathname === '/api/tokens/rotate' && request.method === 'POST') {
+    try {
+      const id = parseInt(url.searchParams.get('id') || '0', 10);
+      const generated = await generateAccessToken();
+      const rotated = await db.rotateAccessToken(id, generated.hash, generated.prefix);
+      
+      if (!rotated) {
+        return new Response(JSON.stringify({ 
+          error: `访问令牌 ${id} 不存在或已吊销`,
+          request_id: requestId
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      return new Response(JSON.stringify({
+        success: true,
+        message: '访问令牌已轮换，令牌明文只返回这一次，请妥善保存',
+        access_token: generated.token,
+        token: await db.getAccessTokenById(id),
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 后端能力矩阵API
+  if (url.pathname === '/api/capabilities' && request.method === 'GET') {
+    try {
+      if (!db) {
+        return new Response(JSON.stringify({ 
+          error: 'D1数据库未配置',
+          request_id: requestId
+        }), {
+          status: 503,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      const rows = await loadCapabilityRows(db, true);
+      
+      return new Response(JSON.stringify({
+        success: true,
+        request_id: requestId,
+        enabled: isCapabilityRoutingEnabled(env),
+        matrix: buildCapabilityMatrix(rows),
+        overrides: rows.filter(row => row.source === 'override'),
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 后端能力管理API（需要管理员令牌）
+  if (url.pathname.startsWith('/api/capabilities/')) {
+    if (!await isAdminRequest(request, env)) {
+      return new Response(JSON.stringify({ 
+        error: env.ADMIN_TOKEN ? '管理员令牌无效' : '未配置ADMIN_TOKEN，能力管理接口不可用',
+        request_id: requestId
+      }), {
+        status: env.ADMIN_TOKEN ? 401 : 503,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+    
+    if (!db) {
+      return new Response(JSON.stringify({ 
+        error: 'D1数据库未配置',
+        request_id: requestId
+      }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 手动设置后端能力API
+  // 请求体: { backend_url, capability, supported, note? }，supported 为 null 时删除手动设置
+  // capability 格式: target:<名称>（如 target:singbox）或 feature:<名称>（remote_config、ruleset、profile、render）
+  if (url.pathname === '/api/capabilities/override' && request.method === 'POST') {
+    try {
+      const body = await request.json().catch(() => ({}));
+      const backends = JSON.parse(env.BACKEND_URLS || '[]');
+      
+      if (!backends.includes(body.backend_url) || !/^(target|feature):[a-z0-9_-]+$/.test(body.capability || '')) {
+        return new Response(JSON.stringify({ 
+          error: '需要已配置的 backend_url 和格式为 target:<名称> 或 feature:<名称> 的 capability',
+          request_id: requestId
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      let message;
+      if (body.supported === null || body.supported === undefined) {
+        const deleted = await db.deleteCapabilityOverride(body.backend_url, body.capability);
+        message = deleted ? '已删除手动设置，恢复使用探测结果' : '没有对应的手动设置';
+      } else {
+        await db.setCapabilityOverride(body.backend_url, body.capability, !!body.supported, body.note || null);
+        message = `已将 ${body.backend_url} 的 ${body.capability} 设置为${body.supported ? '支持' : '不支持'}`;
+      }
+      invalidateCapabilityCache();
+      
+      return new Response(JSON.stringify({
+        success: true,
+        message: message,
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 立即探测全部后端能力API
+  if (url.pathname === '/api/capabilities/probe' && request.method === 'POST') {
+    try {
+      const backends = JSON.parse(env.BACKEND_URLS || '[]');
+      const probeResult = await runCapabilityProbes(db, backends, env, requestId, true);
+      
+      return new Response(JSON.stringify({
+        success: true,
+        request_id: requestId,
+        ...probeResult,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 请求合并统计API（isolate 统计只反映处理本次请求的isolate）
+  if (url.pathname === '/api/coalescing' && request.method === 'GET') {
+    try {
+      return new Response(JSON.stringify({
+        success: true,
+        request_id: requestId,
+        enabled: getConfig(env, 'ENABLE_REQUEST_COALESCING', DEFAULT_ENABLE_REQUEST_COALESCING),
+        across_isolates: isCrossIsolateCoalescingEnabled(env),
+        isolate: getIsolateCoalescingStats(),
+        daily: db ? await db.getCoalescingStats(30) : null,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 熔断器状态API
+  if (url.pathname === '/api/circuit-breakers' && request.method === 'GET') {
+    try {
+      if (!db) {
+        return new Response(JSON.stringify({ 
+          error: 'D1数据库未配置',
+          request_id: requestId
+        }), {
+          status: 503,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      const breaker = new CircuitBreakerManager(env, db);
+      const rows = await db.getCircuitBreakers();
+      
+      return new Response(JSON.stringify({
+        success: true,
+        request_id: requestId,
+        settings: breaker.getSettings(),
+        breakers: rows.map(row => breaker.summarize(row)),
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 手动重置熔断器API（需要管理员令牌）
+  if (url.pathname === '/api/circuit-breakers/reset' && request.method === 'POST') {
+    if (!await isAdminRequest(request, env)) {
+      return new Response(JSON.stringify({ 
+        error: env.ADMIN_TOKEN ? '管理员令牌无效' : '未配置ADMIN_TOKEN，熔断器管理接口不可用',
+        request_id: requestId
+      }), {
+        status: env.ADMIN_TOKEN ? 401 : 503,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+    
+    try {
+      const backendUrl = url.searchParams.get('backend');
+      if (!db || !backendUrl) {
+        return new Response(JSON.stringify({ 
+          error: db ? '缺少参数 backend' : 'D1数据库未配置',
+          request_id: requestId
+        }), {
+          status: db ? 400 : 503,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      const reset = await db.resetCircuitBreaker(backendUrl);
+      
+      return new Response(JSON.stringify({
+        success: true,
+        message: reset ? `已重置 ${backendUrl} 的熔断器` : '该后端没有熔断器记录',
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 短链接管理API
+  if (url.pathname === '/api/shortlinks' || url.pathname.startsWith('/api/shortlinks/')) {
+    if (!isShortLinkEnabled(env) || !db) {
+      return new Response(JSON.stringify({ 
+        error: db ? '短链接未启用' : 'D1数据库未配置，短链接不可用',
+        request_id: requestId
+      }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 创建短链接API
+  // 请求体: { conversion_url } 或 { path?, query }，可选 label、expires_in_days、expires_at
+  if (url.pathname === '/api/shortlinks' && request.method === 'POST') {
+    try {
+      const auth = await authorizeShortLinkRequest(request, env, db, true);
+      if (!auth.allowed) {
+        return createRejectionResponse(auth, requestId);
+      }
+      
+      const body = await request.json().catch(() => ({}));
+      const target = buildShortLinkTarget(body, env);
+      if (!target.allowed) {
+        return createRejectionResponse(target, requestId);
+      }
+      
+      let expiresAt = body.expires_at ? new Date(body.expires_at) : null;
+      if (!expiresAt && body.expires_in_days) {
+        expiresAt = new Date(Date.now() + Number(body.expires_in_days) * 24 * 60 * 60 * 1000);
+      }
+      if (expiresAt && isNaN(expiresAt.getTime())) {
+        return new Response(JSON.stringify({ 
+          error: '无效的过期时间',
+          request_id: requestId
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      const link = await createShortLink(db, {
+        path: target.path,
+        query: target.query,
+        label: typeof body.label === 'string' ? body.label.trim() : null,
+        owner_token_id: auth.ownerTokenId,
+        created_by_admin: auth.admin,
+        expires_at: expiresAt ? expiresAt.toISOString() : null
+      }, env);
+      
+      return new Response(JSON.stringify({
+        success: true,
+        short_url: buildShortUrl(url.origin, link.code),
+        link: link,
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        status: 201,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 短链接列表API：管理员返回全部，访问令牌只返回自己创建的短链接
+  if (url.pathname === '/api/shortlinks' && request.method === 'GET') {
+    try {
+      const auth = await authorizeShortLinkRequest(request, env, db);
+      if (!auth.allowed) {
+        return createRejectionResponse(auth, requestId);
+      }
+      
+      const limit = Math.min(parseInt(url.searchParams.get('limit') || '100', 10) || 100, 500);
+      const links = await db.listShortLinks(auth.admin ? null : auth.ownerTokenId, limit);
+      
+      return new Response(JSON.stringify({
+        success: true,
+        request_id: requestId,
+        links: links.map(link => ({ ...link, short_url: buildShortUrl(url.origin, link.code) })),
+        total_links: links.length,
+        total_hits: links.reduce((sum, link) => sum + (link.hits || 0), 0),
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 删除短链接API
+  if (url.pathname === '/api/shortlinks/delete' && request.method === 'POST') {
+    try {
+      const auth = await authorizeShortLinkRequest(request, env, db);
+      if (!auth.allowed) {
+        return createRejectionResponse(auth, requestId);
+      }
+      
+      const code = url.searchParams.get('code') || '';
+      const deleted = await db.deleteShortLink(code, auth.admin ? null : auth.ownerTokenId);
+      
+      return new Response(JSON.stringify({
+        success: deleted,
+        message: deleted ? `短链接 ${code} 已删除` : `短链接 ${code} 不存在或无权删除`,
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        status: deleted ? 200 : 404,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 最后可用快照列表API
+  if (url.pathname === '/api/last-known-good' && request.method === 'GET') {
+    try {
+      let snapshots = [];
+      
+      if (db) {
+        const limit = parseInt(url.searchParams.get('limit') || '100', 10);
+        snapshots = await db.listLastKnownGood(limit);
+      }
+      
+      return new Response(JSON.stringify({
+        success: true,
+        request_id: requestId,
+        snapshots: snapshots,
+        total_snapshots: snapshots.length,
+        total_size: snapshots.reduce((sum, snapshot) => sum + (snapshot.size || 0), 0),
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  // 清除最后可用快照API（需要管理员令牌，指定key清除单个快照，否则清除全部）
+  if (url.pathname === '/api/last-known-good/purge' && request.method === 'POST') {
+    if (!await isAdminRequest(request, env)) {
+      return new Response(JSON.stringify({ 
+        error: env.ADMIN_TOKEN ? '管理员令牌无效' : '未配置ADMIN_TOKEN，快照管理接口不可用',
+        request_id: requestId
+      }), {
+        status: env.ADMIN_TOKEN ? 401 : 503,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+    
+    try {
+      if (!db) {
+        return new Response(JSON.stringify({ 
+          error: 'D1数据库未配置',
+          request_id: requestId
+        }), {
+          status: 503,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+      }
+      
+      const snapshotKey = url.searchParams.get('key');
+      const deleted = await db.purgeLastKnownGood(snapshotKey);
+      
+      return new Response(JSON.stringify({
+        success: true,
+        message: snapshotKey ? `已清除快照 ${snapshotKey}` : '已清除所有最后可用快照',
+        snapshots_deleted: deleted,
+        request_id: requestId,
+        timestamp: new Date().toISOString(),
+        beijing_time: getBeijingTimeString()
+      }), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    } catch (error) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        request_id: requestId
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+  
+  return new Response(JSON.stringify({ error: '未找到API端点' }), {
+    status: 404,
+    headers: { 'Content-Type': 'application/json; charset=utf-8' }
+  });
+}
+
+// 解析路径中的后端标识：BACKEND_URLS 中的序号或URL编码的后端地址，未知后端返回 null
+function resolveBackendId(env, id) {
+  const backends = getBackendsFromEnv(env);
+  
+  if (/^\d+$/.test(id)) {
+    const index = parseInt(id, 10);
+    return index < backends.length ? { url: backends[index], index } : null;
+  }
+  
+  let backendUrl;
+  try {
+    backendUrl = decodeURIComponent(id);
+  } catch (error) {
+    return null;
+  }
+  const index = backends.indexOf(backendUrl);
+  return index >= 0 ? { url: backendUrl, index } : null;
 }
 
 // 计算响应时间得分
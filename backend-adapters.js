@@ -0,0 +1,190 @@
+// 后端适配器：后端池可以混用不同的转换服务实现，客户端始终使用 subconverter 风格的 /sub URL
+// 每个适配器负责：健康探测路径、版本解析、请求URL转换、转换结果校验
+// 按 BACKEND_ADAPTERS 为每个后端选择适配器，未配置的后端使用 subconverter
+import { getConfig, DEFAULT_BACKEND_ADAPTERS } from './utils.js';
+import { validateConversionOutput } from './response-validator.js';
+
+const DEFAULT_ADAPTER = 'subconverter';
+
+// subconverter 版本文本解析（如 "subconverter v0.9.9-7544246 backend"）
+function parseSubconverterVersion(text) {
+  if (!text || typeof text !== 'string') return 'subconverter';
+  
+  // 清理文本
+  text = text.trim();
+  
+  // 尝试匹配各种版本格式
+  const versionPatterns = [
+    // 完整版本格式: subconverter v0.9.9-7544246 backend
+    /(subconverter\s+v[\d]+\.[\d]+\.[\d]+-[\w]+(?:\s+backend)?)/i,
+    
+    // 标准版本格式: v0.9.9-7544246
+    /(v[\d]+\.[\d]+\.[\d]+-[\w]+)/i,
+    
+    // 简略版本格式: subconverter v0.9.9
+    /(subconverter\s+v[\d]+\.[\d]+\.[\d]+)/i,
+    
+    // 纯版本号: 0.9.9-7544246
+    /([\d]+\.[\d]+\.[\d]+-[\w]+)/,
+    
+    // 基础版本号: 0.9.9
+    /([\d]+\.[\d]+\.[\d]+)/,
+    
+    // 如果只是 subconverter 关键字
+    /(subconverter)/i
+  ];
+  
+  for (const pattern of versionPatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      // 返回匹配的第一个完整字符串
+      const version = match[1].trim();
+      
+      // 确保格式统一
+      if (version.toLowerCase().includes('subconverter')) {
+        return version;
+      } else if (version.startsWith('v')) {
+        return `subconverter ${version}`;
+      } else if (/^\d/.test(version)) {
+        return `subconverter v${version}`;
+      } else {
+        return version;
+      }
+    }
+  }
+  
+  // 如果没有匹配到任何模式，返回原始文本的前50个字符
+  if (text.length <= 50) {
+    return text || 'subconverter';
+  }
+  
+  // 尝试从文本中提取任何看起来像版本的信息
+  const words = text.split(/\s+/);
+  for (const word of words) {
+    if (word.includes('v') || /[\d]+\.[\d]+/.test(word)) {
+      if (word.length <= 30) {
+        return `subconverter ${word}`;
+      }
+    }
+  }
+  
+  return 'subconverter';
+}
+
+// sublink-worker 的 target 对应的接口路径
+const SUBLINK_TARGET_PATHS = {
+  clash: '/clash',
+  clashr: '/clash',
+  singbox: '/singbox',
+  surge: '/surge',
+  v2ray: '/xray',
+  mixed: '/xray'
+};
+
+// sublink-worker 无法实现的 subconverter 参数：忽略会改变节点集合或规则，带这些参数的请求不交给该后端
+const SUBLINK_UNSUPPORTED_PARAMS = ['config', 'include', 'exclude', 'rename', 'filter_script'];
+
+// 适配器接口:
+// name、healthPath: 健康探测路径
+// parseVersion(text): 从探测响应中解析版本
+// isHealthy(response, text): 探测响应是否表示健康
+// translateUrl(requestUrl, backendUrl): 转换为后端的完整URL，不支持该请求时返回 null
+// validateOutput(text, target, complete): 校验转换结果，返回失败原因或 null
+const ADAPTERS = {
+  subconverter: {
+    name: 'subconverter',
+    healthPath: '/version',
+    parseVersion: parseSubconverterVersion,
+    isHealthy: (response) => response.status === 200,
+    translateUrl(requestUrl, backendUrl) {
+      const url = new URL(requestUrl);
+      return `${backendUrl}${url.pathname}${url.search}`;
+    },
+    validateOutput: validateConversionOutput
+  },
+  
+  // https://github.com/7Sageer/sublink-worker: /clash、/singbox 等接口，config 参数为换行分隔的分享链接或订阅地址
+  'sublink-worker': {
+    name: 'sublink-worker',
+    healthPath: '/',
+    parseVersion: () => 'sublink-worker',
+    isHealthy: (response) => response.status === 200,
+    translateUrl(requestUrl, backendUrl) {
+      const url = new URL(requestUrl);
+      const target = (url.searchParams.get('target') || '').toLowerCase();
+      const source = url.searchParams.get('url');
+      
+      if (url.pathname !== '/sub' || !SUBLINK_TARGET_PATHS[target] || !source) {
+        return null;
+      }
+      if (SUBLINK_UNSUPPORTED_PARAMS.some(param => url.searchParams.has(param))) {
+        return null;
+      }
+      
+      // subconverter 用 | 分隔多个订阅
+      const params = new URLSearchParams({ config: source.split('|').join('\n') });
+      return `${backendUrl}${SUBLINK_TARGET_PATHS[target]}?${params.toString()}`;
+    },
+    validateOutput: validateConversionOutput
+  }
+};
+
+// 可用的适配器名称
+export function listBackendAdapters() {
+  return Object.keys(ADAPTERS);
+}
+
+// 后端适配器配置: { 后端URL: 适配器名称 }
+export function getBackendAdapterConfig(env) {
+  const config = getConfig(env, 'BACKEND_ADAPTERS', DEFAULT_BACKEND_ADAPTERS);
+  return config && typeof config === 'object' && !Array.isArray(config) ? config : {};
+}
+
+// 校验适配器配置，返回错误列表
+export function validateBackendAdapterConfig(config) {
+  return Object.entries(config)
+    .filter(([, name]) => !ADAPTERS[name])
+    .map(([url, name]) => `${url}: 未知适配器 ${name}`);
+}
+
+// 获取后端使用的适配器，未配置或名称未知时使用 subconverter
+export function getBackendAdapter(env, backendUrl) {
+  const name = getBackendAdapterConfig(env)[backendUrl];
+  if (name && !ADAPTERS[name]) {
+    console.warn(`后端 ${backendUrl} 配置了未知适配器 ${name}，使用 ${DEFAULT_ADAPTER}`);
+  }
+  return ADAPTERS[name] || ADAPTERS[DEFAULT_ADAPTER];
+}
+
+// 排除适配器无法处理该请求的后端
+// 返回 { backends, excluded: [{ url, missing }], unsupported }；unsupported 为 true 表示没有后端能处理该请求
+export function filterBackendsByAdapter(env, backends, request, requestId) {
+  if (!request) {
+    return { backends, excluded: [] };
+  }
+  
+  const eligible = [];
+  const excluded = [];
+  
+  for (const url of backends) {
+    const adapter = getBackendAdapter(env, url);
+    if (adapter.translateUrl(request.url, url) === null) {
+      excluded.push({ url, missing: [`adapter:${adapter.name}`] });
+    } else {
+      eligible.push(url);
+    }
+  }
+  
+  if (excluded.length === 0) {
+    return { backends, excluded };
+  }
+  
+  // 全部后端都无法处理时无法转换出后端地址，不再转发，由调用方返回4xx
+  if (eligible.length === 0) {
+    console.warn(`[${requestId}] 没有后端的适配器支持该请求`);
+    return { backends: [], excluded, unsupported: true };
+  }
+  
+  console.log(`[${requestId}] 适配器过滤: 排除 ${excluded.map(item => `${item.url}(${item.missing[0]})`).join(', ')}`);
+  return { backends: eligible, excluded };
+}
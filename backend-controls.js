@@ -0,0 +1,227 @@
+// 后端手动控制：后端维护时无需修改 BACKEND_URLS 重新部署，控制保存在D1，所有isolate看到同一状态
+// disabled（禁用）: 不分配请求，定时健康检查也不再探测
+// drain（排空）: 不分配新请求，健康检查照常进行，便于观察何时恢复
+// pinned（固定）: 健康时总是作为首选后端，不健康时按常规流程选择
+// weight_override: 选择后端时用固定权重代替学习到的权重（backend_status 中的权重照常更新）
+// 控制可以设置到期时间，到期后自动失效；每次变更和到期都写入 backend_control_audit
+import { getBeijingTimeString } from './utils.js';
+
+export const BACKEND_CONTROL_MODES = ['active', 'disabled', 'drain', 'pinned'];
+
+// 不接收新请求的模式
+const BLOCKED_MODES = ['disabled', 'drain'];
+
+// 控制是否仍然有效（未设置到期时间或尚未到期）
+export function isControlActive(row, now = Date.now()) {
+  return !!row && (!row.expires_at || row.expires_at > now);
+}
+
+// 按手动控制调整 backend_status 中的健康后端：排除禁用和排空的后端，权重使用固定权重
+// 固定的后端在前，其余按权重降序、响应时间升序（getHighestWeightAvailableBackend 使用）
+export function applyBackendControls(statusRows, controlRows, now = Date.now()) {
+  const controls = new Map(
+    controlRows.filter(row => isControlActive(row, now)).map(row => [row.backend_url, row])
+  );
+  const isPinned = (row) => (row.control_mode === 'pinned' ? 1 : 0);
+  
+  return statusRows
+    .filter(row => !BLOCKED_MODES.includes(controls.get(row.backend_url)?.mode))
+    .map(row => {
+      const control = controls.get(row.backend_url);
+      if (!control) return row;
+      return {
+        ...row,
+        weight: control.weight_override ?? row.weight,
+        learned_weight: row.weight,
+        control_mode: control.mode
+      };
+    })
+    .sort((a, b) => (isPinned(b) - isPinned(a)) ||
+      ((b.weight || 0) - (a.weight || 0)) ||
+      ((a.response_time || Infinity) - (b.response_time || Infinity)));
+}
+
+// 审计记录中的控制状态
+function snapshot(row) {
+  if (!row) return null;
+  return {
+    mode: row.mode,
+    weight_override: row.weight_override ?? null,
+    expires_at: row.expires_at ?? null,
+    note: row.note || null
+  };
+}
+
+export class BackendControlManager {
+  constructor(env, db = null) {
+    this.env = env;
+    this.db = db;
+    this.controls = null;
+  }
+
+  // 读取仍然有效的控制: Map<backendUrl, row>，读取失败时视为没有控制
+  async loadControls(requestId) {
+    if (this.controls) return this.controls;
+    
+    if (!this.db) {
+      this.controls = new Map();
+      return this.controls;
+    }
+    
+    try {
+      const now = Date.now();
+      const rows = await this.db.getBackendControls();
+      this.controls = new Map(
+        rows.filter(row => isControlActive(row, now)).map(row => [row.backend_url, row])
+      );
+    } catch (error) {
+      console.warn(`[${requestId}] 读取后端手动控制失败，视为没有控制: ${error.message}`);
+      this.controls = new Map();
+    }
+    return this.controls;
+  }
+
+  // 需先调用 loadControls 或 filterBackends/filterProbeTargets
+  getControl(backendUrl) {
+    return this.controls?.get(backendUrl) || null;
+  }
+
+  isPinned(backendUrl) {
+    return this.getControl(backendUrl)?.mode === 'pinned';
+  }
+
+  // 选择后端前过滤：跳过禁用和排空的后端
+  // 返回 { backends, skipped: [{ url, mode }] }
+  async filterBackends(backends, requestId) {
+    const controls = await this.loadControls(requestId);
+    const allowed = [];
+    const skipped = [];
+    
+    for (const url of backends) {
+      const mode = controls.get(url)?.mode;
+      if (BLOCKED_MODES.includes(mode)) {
+        skipped.push({ url, mode });
+      } else {
+        allowed.push(url);
+      }
+    }
+    
+    if (skipped.length > 0) {
+      console.log(`[${requestId}] 手动控制跳过 ${skipped.length} 个后端: ${skipped.map(s => `${s.url}(${s.mode})`).join(', ')}`);
+    }
+    
+    return { backends: allowed, skipped };
+  }
+
+  // 健康检查前过滤：只跳过禁用的后端，排空的后端继续探测
+  async filterProbeTargets(backends, requestId) {
+    const controls = await this.loadControls(requestId);
+    const skipped = backends.filter(url => controls.get(url)?.mode === 'disabled');
+    
+    if (skipped.length > 0) {
+      console.log(`[${requestId}] 跳过已禁用后端的健康检查: ${skipped.join(', ')}`);
+    }
+    
+    return { backends: backends.filter(url => !skipped.includes(url)), skipped };
+  }
+
+  // 选择使用的权重：有固定权重时使用固定权重
+  effectiveWeight(backendUrl, weight) {
+    return this.getControl(backendUrl)?.weight_override ?? weight;
+  }
+
+  // 固定的后端移到最前，其余保持原顺序
+  pinFirst(order) {
+    return [...order.filter(url => this.isPinned(url)), ...order.filter(url => !this.isPinned(url))];
+  }
+
+  // 设置控制并写入审计记录
+  // changes: { mode, weight_override, expires_at, note }；actor: { operator, client_ip }
+  async setControl(backendUrl, changes, actor, requestId) {
+    const previous = await this.db.getBackendControl(backendUrl);
+    const now = Date.now();
+    const row = {
+      backend_url: backendUrl,
+      mode: changes.mode || 'active',
+      weight_override: changes.weight_override ?? null,
+      expires_at: changes.expires_at ?? null,
+      note: changes.note || null,
+      updated_by: actor.operator || null,
+      updated_at: now,
+      updated_at_beijing: getBeijingTimeString(new Date(now)),
+      expires_at_beijing: changes.expires_at ? getBeijingTimeString(new Date(changes.expires_at)) : null
+    };
+    
+    await this.db.saveBackendControl(row, {
+      backend_url: backendUrl,
+      action: 'set',
+      previous_state: snapshot(isControlActive(previous, now) ? previous : null),
+      new_state: snapshot(row),
+      operator: actor.operator || null,
+      client_ip: actor.client_ip || null,
+      note: row.note,
+      request_id: requestId,
+      timestamp: now
+    });
+    this.controls = null;
+    
+    console.log(`[${requestId}] 后端手动控制: ${backendUrl} -> ${row.mode}${row.weight_override !== null ? `, 固定权重 ${row.weight_override}` : ''}${row.expires_at_beijing ? `, 到期 ${row.expires_at_beijing}` : ''}, 操作人: ${row.updated_by || '未知'}`);
+    return row;
+  }
+
+  // 清除控制并写入审计记录，没有控制时返回 false
+  async clearControl(backendUrl, actor, requestId, note = null) {
+    const previous = await this.db.getBackendControl(backendUrl);
+    if (!previous) return false;
+    
+    await this.db.deleteBackendControl(backendUrl, {
+      backend_url: backendUrl,
+      action: 'clear',
+      previous_state: snapshot(previous),
+      new_state: null,
+      operator: actor.operator || null,
+      client_ip: actor.client_ip || null,
+      note,
+      request_id: requestId,
+      timestamp: Date.now()
+    });
+    this.controls = null;
+    
+    console.log(`[${requestId}] 清除后端手动控制: ${backendUrl}, 操作人: ${actor.operator || '未知'}`);
+    return true;
+  }
+
+  // 删除已到期的控制并记录审计（定时任务调用）
+  async expireControls(requestId) {
+    if (!this.db) return 0;
+    
+    let expired = [];
+    try {
+      const now = Date.now();
+      expired = (await this.db.getBackendControls()).filter(row => !isControlActive(row, now));
+      
+      for (const row of expired) {
+        await this.db.deleteBackendControl(row.backend_url, {
+          backend_url: row.backend_url,
+          action: 'expire',
+          previous_state: snapshot(row),
+          new_state: null,
+          operator: 'system',
+          client_ip: null,
+          note: null,
+          request_id: requestId,
+          timestamp: now
+        }, now);
+      }
+    } catch (error) {
+      console.warn(`[${requestId}] 清理到期的后端手动控制失败: ${error.message}`);
+      return 0;
+    }
+    
+    if (expired.length > 0) {
+      console.log(`[${requestId}] 后端手动控制到期: ${expired.map(row => `${row.backend_url}(${row.mode})`).join(', ')}`);
+      this.controls = null;
+    }
+    return expired.length;
+  }
+}
@@ -0,0 +1,465 @@
+// 内置简易转换器：所有后端不可用且没有可用快照时的最后兜底
+// 只处理最常见的情况：拉取 base64/纯文本分享链接订阅（vmess、vless、trojan、ss、hysteria2），
+// 输出只有一个 select 分组的 Clash/mihomo YAML 或 sing-box JSON；其他参数忽略并通过响应头提示
+import {
+  getConfig,
+  DEFAULT_ENABLE_BUILTIN_CONVERTER,
+  DEFAULT_BUILTIN_CONVERTER_TIMEOUT,
+  DEFAULT_BUILTIN_CONVERTER_MAX_SIZE
+} from './utils.js';
+import { redactText } from './redaction.js';
+
+const BUILTIN_PATHS = ['/sub'];
+const SUPPORTED_PARAMS = ['target', 'url'];
+const TARGET_FORMATS = { clash: 'clash', clashr: 'clash', singbox: 'singbox' };
+const GROUP_NAME = 'Proxy';
+const SUBSCRIPTION_USER_AGENT = 'v2rayN/6.0'; // 让机场返回分享链接格式的订阅
+
+// 是否可以用内置转换器处理该请求
+export function isBuiltinConverterEnabled(env, request) {
+  if (!getConfig(env, 'ENABLE_BUILTIN_CONVERTER', DEFAULT_ENABLE_BUILTIN_CONVERTER)) {
+    return false;
+  }
+  
+  const url = new URL(request.url);
+  return request.method === 'GET' && BUILTIN_PATHS.includes(url.pathname) &&
+    !!TARGET_FORMATS[url.searchParams.get('target')?.toLowerCase()] && !!url.searchParams.get('url');
+}
+
+// base64（含URL安全字符、缺少填充）解码为UTF-8文本，失败返回 null
+function decodeBase64(text) {
+  try {
+    let normalized = text.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+    normalized += '='.repeat((4 - normalized.length % 4) % 4);
+    const binary = atob(normalized);
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+  } catch (error) {
+    return null;
+  }
+}
+
+function decodeName(hash) {
+  try {
+    return decodeURIComponent(hash || '');
+  } catch (error) {
+    return hash || '';
+  }
+}
+
+function parsePort(value) {
+  const port = parseInt(value, 10);
+  return port > 0 && port < 65536 ? port : null;
+}
+
+// 去掉IPv6地址的方括号
+function parseHost(hostname) {
+  return hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+function isTrue(value) {
+  return value === '1' || value === 'true';
+}
+
+// 传输层: { type: tcp | ws | grpc, path, host, serviceName }，不支持的传输层返回 null
+function buildTransport(type, path, host, serviceName) {
+  const network = (type || 'tcp').toLowerCase();
+  if (network === 'tcp' || network === 'none') return { type: 'tcp' };
+  if (network === 'ws') return { type: 'ws', path: path || '/', host: host || null };
+  if (network === 'grpc') return { type: 'grpc', serviceName: serviceName || '' };
+  return null;
+}
+
+function parseVmess(link) {
+  const config = JSON.parse(decodeBase64(link.slice('vmess://'.length)) || 'null');
+  if (!config) return null;
+  
+  const transport = buildTransport(config.net, config.path, config.host, config.path);
+  if (!transport) return null;
+  
+  return {
+    type: 'vmess',
+    name: config.ps || `${config.add}:${config.port}`,
+    server: config.add,
+    port: parsePort(config.port),
+    uuid: config.id,
+    alterId: parseInt(config.aid, 10) || 0,
+    cipher: config.scy || 'auto',
+    tls: config.tls === 'tls' ? { sni: config.sni || config.host || null, insecure: false, fingerprint: config.fp || null } : null,
+    transport
+  };
+}
+
+function parseVless(url) {
+  const params = url.searchParams;
+  const transport = buildTransport(params.get('type'), params.get('path'), params.get('host'), params.get('serviceName'));
+  if (!transport) return null;
+  
+  const security = params.get('security');
+  const tls = security === 'tls' || security === 'reality'
+    ? {
+      sni: params.get('sni') || null,
+      insecure: isTrue(params.get('allowInsecure')),
+      fingerprint: params.get('fp') || null,
+      reality: security === 'reality' ? { publicKey: params.get('pbk'), shortId: params.get('sid') || '' } : null
+    }
+    : null;
+  
+  return {
+    type: 'vless',
+    uuid: decodeURIComponent(url.username),
+    flow: params.get('flow') || null,
+    tls,
+    transport
+  };
+}
+
+function parseTrojan(url) {
+  const params = url.searchParams;
+  const transport = buildTransport(params.get('type'), params.get('path'), params.get('host'), params.get('serviceName'));
+  if (!transport) return null;
+  
+  return {
+    type: 'trojan',
+    password: decodeURIComponent(url.username),
+    tls: { sni: params.get('sni') || params.get('peer') || null, insecure: isTrue(params.get('allowInsecure')), fingerprint: params.get('fp') || null },
+    transport
+  };
+}
+
+function parseHysteria2(url) {
+  const params = url.searchParams;
+  const obfs = params.get('obfs');
+  
+  return {
+    type: 'hysteria2',
+    password: decodeURIComponent(url.username + (url.password ? `:${url.password}` : '')),
+    tls: { sni: params.get('sni') || null, insecure: isTrue(params.get('insecure')), fingerprint: null },
+    obfs: obfs ? { type: obfs, password: params.get('obfs-password') || '' } : null
+  };
+}
+
+// ss://base64(method:password)@host:port#name（SIP002）或 ss://base64(method:password@host:port)#name
+// 带插件（plugin）的节点无法用基础配置表示，跳过
+function parseShadowsocks(link) {
+  const hashIndex = link.indexOf('#');
+  const name = hashIndex >= 0 ? decodeName(link.slice(hashIndex + 1)) : '';
+  let body = (hashIndex >= 0 ? link.slice(0, hashIndex) : link).slice('ss://'.length);
+  
+  const queryIndex = body.indexOf('?');
+  if (queryIndex >= 0) {
+    if (new URLSearchParams(body.slice(queryIndex + 1)).get('plugin')) return null;
+    body = body.slice(0, queryIndex);
+  }
+  body = body.replace(/\/$/, '');
+  
+  let userInfo;
+  let hostPart;
+  const atIndex = body.lastIndexOf('@');
+  if (atIndex >= 0) {
+    const encoded = body.slice(0, atIndex);
+    userInfo = encoded.includes(':') ? decodeURIComponent(encoded) : decodeBase64(decodeURIComponent(encoded));
+    hostPart = body.slice(atIndex + 1);
+  } else {
+    const decoded = decodeBase64(body) || '';
+    const decodedAt = decoded.lastIndexOf('@');
+    if (decodedAt < 0) return null;
+    userInfo = decoded.slice(0, decodedAt);
+    hostPart = decoded.slice(decodedAt + 1);
+  }
+  
+  const separator = userInfo?.indexOf(':') ?? -1;
+  const portIndex = hostPart.lastIndexOf(':');
+  if (separator < 0 || portIndex < 0) return null;
+  
+  const server = parseHost(hostPart.slice(0, portIndex));
+  const port = parsePort(hostPart.slice(portIndex + 1));
+  
+  return {
+    type: 'ss',
+    name: name || `${server}:${port}`,
+    server,
+    port,
+    cipher: userInfo.slice(0, separator),
+    password: userInfo.slice(separator + 1)
+  };
+}
+
+// 解析单条分享链接，不支持或格式错误时返回 null
+export function parseShareLink(link) {
+  const scheme = link.slice(0, link.indexOf('://')).toLowerCase();
+  
+  try {
+    let node = null;
+    if (scheme === 'vmess') {
+      node = parseVmess(link);
+    } else if (scheme === 'ss') {
+      node = parseShadowsocks(link);
+    } else if (['vless', 'trojan', 'hysteria2', 'hy2'].includes(scheme)) {
+      const url = new URL(link);
+      const parsers = { vless: parseVless, trojan: parseTrojan, hysteria2: parseHysteria2, hy2: parseHysteria2 };
+      const server = parseHost(url.hostname);
+      const port = parsePort(url.port || '443');
+      node = parsers[scheme](url);
+      if (node) {
+        node = { ...node, name: decodeName(url.hash.slice(1)) || `${server}:${port}`, server, port };
+      }
+    }
+    
+    return node && node.server && node.port ? node : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 解析订阅内容（base64 或纯文本，每行一条分享链接）
+// 返回 { nodes, skipped }，skipped 为无法解析或不支持的行数
+export function parseSubscriptionContent(text) {
+  const content = text.trim();
+  const decoded = content.includes('://') ? content : decodeBase64(content);
+  if (!decoded) {
+    return { nodes: [], skipped: 0 };
+  }
+  
+  const lines = decoded.split(/\r?\n/).map(line => line.trim()).filter(line => line.includes('://'));
+  const nodes = lines.map(parseShareLink).filter(Boolean);
+  
+  return { nodes, skipped: lines.length - nodes.length };
+}
+
+// 节点名称去重：重名节点追加序号
+function dedupeNames(nodes) {
+  const seen = new Map();
+  return nodes.map(node => {
+    const count = seen.get(node.name) || 0;
+    seen.set(node.name, count + 1);
+    return count === 0 ? node : { ...node, name: `${node.name} ${count + 1}` };
+  });
+}
+
+function toClashProxy(node) {
+  const proxy = { name: node.name, type: node.type, server: node.server, port: node.port };
+  
+  if (node.type === 'ss') {
+    return { ...proxy, cipher: node.cipher, password: node.password, udp: true };
+  }
+  
+  if (node.type === 'vmess') {
+    Object.assign(proxy, { uuid: node.uuid, alterId: node.alterId, cipher: node.cipher });
+  } else if (node.type === 'vless') {
+    Object.assign(proxy, { uuid: node.uuid });
+    if (node.flow) proxy.flow = node.flow;
+  } else {
+    proxy.password = node.password;
+  }
+  
+  proxy.udp = true;
+  
+  if (node.tls) {
+    if (node.type === 'vmess' || node.type === 'vless') {
+      proxy.tls = true;
+      if (node.tls.sni) proxy.servername = node.tls.sni;
+    } else if (node.tls.sni) {
+      proxy.sni = node.tls.sni;
+    }
+    if (node.tls.insecure) proxy['skip-cert-verify'] = true;
+    if (node.tls.fingerprint) proxy['client-fingerprint'] = node.tls.fingerprint;
+    if (node.tls.reality) {
+      proxy['reality-opts'] = { 'public-key': node.tls.reality.publicKey, 'short-id': node.tls.reality.shortId };
+    }
+  }
+  
+  if (node.obfs) {
+    proxy.obfs = node.obfs.type;
+    proxy['obfs-password'] = node.obfs.password;
+  }
+  
+  if (node.transport && node.transport.type !== 'tcp') {
+    proxy.network = node.transport.type;
+    if (node.transport.type === 'ws') {
+      proxy['ws-opts'] = { path: node.transport.path };
+      if (node.transport.host) proxy['ws-opts'].headers = { Host: node.transport.host };
+    } else {
+      proxy['grpc-opts'] = { 'grpc-service-name': node.transport.serviceName };
+    }
+  }
+  
+  return proxy;
+}
+
+// Clash/mihomo YAML；JSON 对象和字符串本身就是合法的 YAML 流式写法，无需额外转义
+export function renderClashConfig(nodes) {
+  const proxies = dedupeNames(nodes).map(toClashProxy);
+  
+  return [
+    'mixed-port: 7890',
+    'allow-lan: false',
+    'mode: rule',
+    'log-level: info',
+    'proxies:',
+    ...proxies.map(proxy => `  - ${JSON.stringify(proxy)}`),
+    'proxy-groups:',
+    `  - ${JSON.stringify({ name: GROUP_NAME, type: 'select', proxies: proxies.map(proxy => proxy.name) })}`,
+    'rules:',
+    `  - ${JSON.stringify(`MATCH,${GROUP_NAME}`)}`,
+    ''
+  ].join('\n');
+}
+
+function toSingBoxOutbound(node) {
+  const outbound = { type: node.type === 'ss' ? 'shadowsocks' : node.type, tag: node.name, server: node.server, server_port: node.port };
+  
+  if (node.type === 'ss') {
+    return { ...outbound, method: node.cipher, password: node.password };
+  }
+  
+  if (node.type === 'vmess') {
+    Object.assign(outbound, { uuid: node.uuid, security: node.cipher, alter_id: node.alterId });
+  } else if (node.type === 'vless') {
+    outbound.uuid = node.uuid;
+    if (node.flow) outbound.flow = node.flow;
+  } else {
+    outbound.password = node.password;
+  }
+  
+  if (node.tls) {
+    outbound.tls = { enabled: true };
+    if (node.tls.sni) outbound.tls.server_name = node.tls.sni;
+    if (node.tls.insecure) outbound.tls.insecure = true;
+    if (node.tls.fingerprint || node.tls.reality) {
+      outbound.tls.utls = { enabled: true, fingerprint: node.tls.fingerprint || 'chrome' };
+    }
+    if (node.tls.reality) {
+      outbound.tls.reality = { enabled: true, public_key: node.tls.reality.publicKey, short_id: node.tls.reality.shortId };
+    }
+  }
+  
+  if (node.obfs) {
+    outbound.obfs = { type: node.obfs.type, password: node.obfs.password };
+  }
+  
+  if (node.transport?.type === 'ws') {
+    outbound.transport = { type: 'ws', path: node.transport.path };
+    if (node.transport.host) outbound.transport.headers = { Host: node.transport.host };
+  } else if (node.transport?.type === 'grpc') {
+    outbound.transport = { type: 'grpc', service_name: node.transport.serviceName };
+  }
+  
+  return outbound;
+}
+
+export function renderSingBoxConfig(nodes) {
+  const outbounds = dedupeNames(nodes).map(toSingBoxOutbound);
+  
+  return JSON.stringify({
+    log: { level: 'info' },
+    inbounds: [{ type: 'mixed', tag: 'mixed-in', listen: '127.0.0.1', listen_port: 7890 }],
+    outbounds: [
+      { type: 'selector', tag: GROUP_NAME, outbounds: outbounds.map(outbound => outbound.tag) },
+      ...outbounds,
+      { type: 'direct', tag: 'direct' }
+    ],
+    route: { final: GROUP_NAME }
+  }, null, 2);
+}
+
+// 拉取一个订阅地址，超时或超过大小限制时抛出错误
+async function fetchSubscription(subscriptionUrl, env) {
+  const timeout = getConfig(env, 'BUILTIN_CONVERTER_TIMEOUT', DEFAULT_BUILTIN_CONVERTER_TIMEOUT);
+  const maxSize = getConfig(env, 'BUILTIN_CONVERTER_MAX_SIZE', DEFAULT_BUILTIN_CONVERTER_MAX_SIZE);
+  
+  const response = await fetch(subscriptionUrl, {
+    headers: { 'User-Agent': SUBSCRIPTION_USER_AGENT },
+    signal: AbortSignal.timeout(timeout)
+  });
+  if (!response.ok) {
+    response.body?.cancel().catch(() => {});
+    throw new Error(`HTTP ${response.status}`);
+  }
+  
+  // 先按 Content-Length 拒绝，再边读取边计数，超过上限时立即停止读取
+  if (parseInt(response.headers.get('Content-Length') || '0', 10) > maxSize) {
+    response.body?.cancel().catch(() => {});
+    throw new Error(`订阅内容超过 ${maxSize} 字节`);
+  }
+  if (!response.body) {
+    return '';
+  }
+  
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let size = 0;
+  let text = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    size += value.byteLength;
+    if (size > maxSize) {
+      await reader.cancel().catch(() => {});
+      throw new Error(`订阅内容超过 ${maxSize} 字节`);
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+  return text + decoder.decode();
+}
+
+// 日志中只显示订阅地址的主机名；地址无法解析时不再抛出异常
+function describeSource(source) {
+  try {
+    return new URL(source).host || '无效地址';
+  } catch {
+    return '无效地址';
+  }
+}
+
+// 使用内置转换器处理请求
+// url 参数可以是订阅地址或分享链接，多个用 | 分隔；没有可用节点时返回 null
+export async function convertWithBuiltin(request, env, requestId) {
+  const url = new URL(request.url);
+  const format = TARGET_FORMATS[url.searchParams.get('target').toLowerCase()];
+  const ignoredParams = [...new Set(url.searchParams.keys())].filter(name => !SUPPORTED_PARAMS.includes(name));
+  
+  const nodes = [];
+  let skipped = 0;
+  for (const source of url.searchParams.get('url').split('|').map(item => item.trim()).filter(Boolean)) {
+    let content = source;
+    if (/^https?:\/\//i.test(source)) {
+      try {
+        content = await fetchSubscription(source, env);
+      } catch (error) {
+        console.warn(`[${requestId}] 内置转换器拉取订阅失败 (${describeSource(source)}): ${redactText(error.message, env)}`);
+        continue;
+      }
+    }
+    
+    const result = parseSubscriptionContent(content);
+    nodes.push(...result.nodes);
+    skipped += result.skipped;
+  }
+  
+  if (nodes.length === 0) {
+    console.warn(`[${requestId}] 内置转换器没有解析到可用节点`);
+    return null;
+  }
+  
+  console.log(`[${requestId}] 内置转换器生成 ${format} 配置: ${nodes.length} 个节点，跳过 ${skipped} 条，忽略参数: ${ignoredParams.join(', ') || '无'}`);
+  
+  const headers = new Headers({
+    'Content-Type': format === 'clash' ? 'text/yaml; charset=utf-8' : 'application/json; charset=utf-8',
+    'X-Served-By': 'builtin-fallback',
+    'X-Builtin-Nodes': `${nodes.length}`,
+    'X-Request-ID': requestId,
+    'Cache-Control': 'no-store, max-age=0'
+  });
+  if (ignoredParams.length > 0) {
+    headers.set('X-Builtin-Warning', `ignored unsupported parameters: ${ignoredParams.join(', ')}`);
+  }
+  if (skipped > 0) {
+    headers.set('X-Builtin-Skipped', `${skipped}`);
+  }
+  
+  return new Response(format === 'clash' ? renderClashConfig(nodes) : renderSingBoxConfig(nodes), {
+    status: 200,
+    headers
+  });
+}
@@ -0,0 +1,247 @@
+// 后端能力：并非所有subconverter都支持所有 target（旧版本缺少 sing-box 等），选择后端前先排除不支持的后端
+// 能力来源: probe（定时任务用极小的合成订阅探测）和 override（手动设置，优先于探测结果），均保存在D1
+import {
+  getConfig,
+  getBeijingTimeString,
+  DEFAULT_ENABLE_CAPABILITY_ROUTING,
+  DEFAULT_CAPABILITY_PROBE_TARGETS,
+  DEFAULT_CAPABILITY_PROBE_INTERVAL,
+  DEFAULT_CAPABILITY_PROBE_TIMEOUT
+} from './utils.js';
+import { getBackendAdapter } from './backend-adapters.js';
+
+const CAPABILITY_CACHE_TTL = 60 * 1000; // 能力数据在isolate内的缓存时间
+
+// 需要额外参数才能产生正常输出的 target
+const PROBE_EXTRA_PARAMS = {
+  surge: { ver: '4' }
+};
+
+// 路径对应的功能（只能通过手动设置标记为不支持）
+const PATH_FEATURES = {
+  '/getruleset': 'feature:ruleset',
+  '/getprofile': 'feature:profile',
+  '/render': 'feature:render'
+};
+
+// 能力数据缓存（同一isolate内共享）
+let capabilityCache = { rows: null, loadedAt: 0 };
+
+// 是否按能力过滤后端
+export function isCapabilityRoutingEnabled(env) {
+  return getConfig(env, 'ENABLE_CAPABILITY_ROUTING', DEFAULT_ENABLE_CAPABILITY_ROUTING);
+}
+
+// 请求需要的能力: target:<名称>、feature:<名称>
+export function getRequiredCapabilities(request) {
+  if (!request) return [];
+  
+  const url = new URL(request.url);
+  const required = [];
+  const target = url.searchParams.get('target');
+  
+  if (target) {
+    required.push(`target:${target.toLowerCase()}`);
+  }
+  if (url.searchParams.get('config')) {
+    required.push('feature:remote_config');
+  }
+  if (PATH_FEATURES[url.pathname]) {
+    required.push(PATH_FEATURES[url.pathname]);
+  }
+  
+  return required;
+}
+
+// 构建能力矩阵: { backendUrl: { capability: { supported, source, detail, checked_at, checked_at_beijing } } }
+// 手动设置优先于探测结果
+export function buildCapabilityMatrix(rows) {
+  const matrix = {};
+  
+  for (const row of rows) {
+    const capabilities = matrix[row.backend_url] || (matrix[row.backend_url] = {});
+    const existing = capabilities[row.capability];
+    
+    if (!existing || row.source === 'override') {
+      capabilities[row.capability] = {
+        supported: row.supported === 1,
+        source: row.source,
+        detail: row.detail || null,
+        checked_at: row.checked_at,
+        checked_at_beijing: row.checked_at_beijing
+      };
+    }
+  }
+  
+  return matrix;
+}
+
+// 读取能力数据（带缓存）
+export async function loadCapabilityRows(db, forceRefresh = false) {
+  const now = Date.now();
+  if (!forceRefresh && capabilityCache.rows && now - capabilityCache.loadedAt < CAPABILITY_CACHE_TTL) {
+    return capabilityCache.rows;
+  }
+  
+  const rows = await db.getBackendCapabilities();
+  capabilityCache = { rows, loadedAt: now };
+  return rows;
+}
+
+export function invalidateCapabilityCache() {
+  capabilityCache = { rows: null, loadedAt: 0 };
+}
+
+// 排除明确不支持请求所需能力的后端，未探测过的能力视为支持
+// 返回 { backends, excluded: [{ url, missing }], required }
+export async function filterBackendsByCapability(db, backends, request, env, requestId) {
+  const required = getRequiredCapabilities(request);
+  
+  if (!db || required.length === 0 || !isCapabilityRoutingEnabled(env)) {
+    return { backends, excluded: [], required };
+  }
+  
+  let matrix;
+  try {
+    matrix = buildCapabilityMatrix(await loadCapabilityRows(db));
+  } catch (error) {
+    console.warn(`[${requestId}] 读取后端能力失败，跳过能力过滤: ${error.message}`);
+    return { backends, excluded: [], required };
+  }
+  
+  const eligible = [];
+  const excluded = [];
+  
+  for (const url of backends) {
+    const missing = required.filter(capability => matrix[url]?.[capability]?.supported === false);
+    if (missing.length > 0) {
+      excluded.push({ url, missing });
+    } else {
+      eligible.push(url);
+    }
+  }
+  
+  if (excluded.length === 0) {
+    return { backends, excluded, required };
+  }
+  
+  // 全部后端都不支持时仍按原列表选择，由后端返回具体错误
+  if (eligible.length === 0) {
+    console.warn(`[${requestId}] 没有后端支持 ${required.join(', ')}，忽略能力过滤`);
+    return { backends, excluded: [], required };
+  }
+  
+  console.log(`[${requestId}] 能力过滤: 需要 ${required.join(', ')}，排除 ${excluded.length} 个后端，剩余 ${eligible.length} 个`);
+  return { backends: eligible, excluded, required };
+}
+
+// 合成订阅：一个指向本地地址的 Shadowsocks 节点，转换结果中不包含任何真实信息
+function buildProbeNodeLink() {
+  return `ss://${btoa('aes-128-gcm:capability-probe')}@127.0.0.1:8388#capability-probe`;
+}
+
+// 用合成订阅探测单个 target
+// 返回 { capability, supported, detail }，supported 为 null 表示无法判断（网络错误、超时、5xx）
+export async function probeTarget(backendUrl, target, env, requestId) {
+  const timeout = getConfig(env, 'CAPABILITY_PROBE_TIMEOUT', DEFAULT_CAPABILITY_PROBE_TIMEOUT);
+  const params = new URLSearchParams({
+    target,
+    url: buildProbeNodeLink(),
+    ...(PROBE_EXTRA_PARAMS[target] || {})
+  });
+  const capability = `target:${target}`;
+  // 探测请求按客户端 /sub 请求的形式交给后端适配器转换（主机名不会被使用）
+  const adapter = getBackendAdapter(env, backendUrl);
+  const probeUrl = adapter.translateUrl(`https://probe.invalid/sub?${params.toString()}`, backendUrl);
+  
+  if (!probeUrl) {
+    return { capability, supported: false, detail: `unsupported_by_adapter: ${adapter.name}` };
+  }
+  
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  
+  try {
+    const response = await fetch(probeUrl, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': 'subconverter-failover-worker/1.0',
+        'X-Request-ID': requestId
+      },
+      cf: { cacheTtl: 0 }
+    });
+    const text = await response.text();
+    
+    if (response.status >= 500) {
+      return { capability, supported: null, detail: `HTTP ${response.status}` };
+    }
+    
+    if (!response.ok) {
+      return { capability, supported: false, detail: `HTTP ${response.status}: ${text.trim().slice(0, 100)}` };
+    }
+    
+    const error = adapter.validateOutput(text, target, true);
+    return { capability, supported: !error, detail: error };
+  } catch (error) {
+    return { capability, supported: null, detail: `${error.name}: ${error.message}` };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// 定时任务：探测健康且超过探测间隔的后端，force 为 true 时探测全部后端
+// 返回 { probed, skipped, results: { backendUrl: [{ capability, supported, detail }] } }
+export async function runCapabilityProbes(db, backends, env, requestId, force = false) {
+  const targets = getConfig(env, 'CAPABILITY_PROBE_TARGETS', DEFAULT_CAPABILITY_PROBE_TARGETS);
+  const interval = getConfig(env, 'CAPABILITY_PROBE_INTERVAL', DEFAULT_CAPABILITY_PROBE_INTERVAL) * 1000;
+  const rows = await db.getBackendCapabilities();
+  const unhealthy = (await db.getAllBackendStatus())
+    .filter(b => b.healthy !== 1)
+    .map(b => b.backend_url);
+  const now = Date.now();
+  
+  const dueBackends = backends.filter(url => {
+    if (force) return true;
+    if (unhealthy.includes(url)) return false;
+    const lastProbe = rows
+      .filter(row => row.backend_url === url && row.source === 'probe')
+      .reduce((latest, row) => Math.max(latest, new Date(row.checked_at).getTime() || 0), 0);
+    return now - lastProbe >= interval;
+  });
+  
+  if (dueBackends.length === 0) {
+    return { probed: 0, skipped: backends.length, results: {} };
+  }
+  
+  console.log(`[${requestId}] 开始探测后端能力: ${dueBackends.length} 个后端，target: ${targets.join(', ')}`);
+  
+  const results = {};
+  
+  // 后端之间并行，同一后端的 target 依次探测，避免对单个后端突发请求
+  await Promise.allSettled(dueBackends.map(async backendUrl => {
+    results[backendUrl] = [];
+    
+    for (const target of targets) {
+      const result = await probeTarget(backendUrl, target.toLowerCase(), env, requestId);
+      results[backendUrl].push(result);
+      
+      // 无法判断时保留上次的探测结果
+      if (result.supported !== null) {
+        await db.saveCapabilityProbe({
+          backend_url: backendUrl,
+          capability: result.capability,
+          supported: result.supported,
+          detail: result.detail,
+          beijing_time: getBeijingTimeString()
+        });
+      }
+    }
+    
+    const unsupported = results[backendUrl].filter(r => r.supported === false).map(r => r.capability);
+    console.log(`[${requestId}] 后端能力探测完成: ${backendUrl}${unsupported.length > 0 ? `，不支持: ${unsupported.join(', ')}` : '，全部支持'}`);
+  }));
+  
+  invalidateCapabilityCache();
+  
+  return { probed: dueBackends.length, skipped: backends.length - dueBackends.length, results };
+}
@@ -0,0 +1,239 @@
+// 熔断器：按后端统计真实请求和健康检查的结果，连续失败或窗口内错误率过高时熔断
+// closed（正常）-> open（跳过该后端）-> half_open（放行少量试探请求）-> closed
+// 状态保存在D1，所有isolate看到同一状态；半开状态的试探名额用条件更新原子领取
+// 试探请求超过 CB_HALF_OPEN_TRIAL_TIMEOUT 没有结果时名额可重新领取，避免半开状态永远不再放行
+import {
+  getConfig,
+  getBeijingTimeString,
+  DEFAULT_ENABLE_CIRCUIT_BREAKER,
+  DEFAULT_CB_FAILURE_THRESHOLD,
+  DEFAULT_CB_ERROR_RATE_THRESHOLD,
+  DEFAULT_CB_MIN_REQUESTS,
+  DEFAULT_CB_WINDOW_SECONDS,
+  DEFAULT_CB_OPEN_DURATION,
+  DEFAULT_CB_HALF_OPEN_MAX_TRIALS,
+  DEFAULT_CB_HALF_OPEN_TRIAL_TIMEOUT
+} from './utils.js';
+
+const MAX_WINDOW_OUTCOMES = 100; // 滑动窗口最多保存的结果数
+
+// 是否计入熔断失败：5xx、网络错误、超时和无效响应内容
+// 真实请求的4xx是客户端错误（如不支持的 target、无效的订阅地址），后端本身正常，不计入失败
+export function isBreakerFailure(healthResult, reason, source) {
+  if (healthResult.healthy) return false;
+  if (reason && reason.startsWith('invalid_body')) return true;
+  return !(source === 'request' && healthResult.status >= 400 && healthResult.status < 500);
+}
+
+export class CircuitBreakerManager {
+  constructor(env, db = null) {
+    this.env = env;
+    this.db = db;
+    this.failureThreshold = getConfig(env, 'CB_FAILURE_THRESHOLD', DEFAULT_CB_FAILURE_THRESHOLD);
+    this.errorRateThreshold = getConfig(env, 'CB_ERROR_RATE_THRESHOLD', DEFAULT_CB_ERROR_RATE_THRESHOLD);
+    this.minRequests = getConfig(env, 'CB_MIN_REQUESTS', DEFAULT_CB_MIN_REQUESTS);
+    this.windowMs = getConfig(env, 'CB_WINDOW_SECONDS', DEFAULT_CB_WINDOW_SECONDS) * 1000;
+    this.openDurationMs = getConfig(env, 'CB_OPEN_DURATION', DEFAULT_CB_OPEN_DURATION) * 1000;
+    this.halfOpenMaxTrials = getConfig(env, 'CB_HALF_OPEN_MAX_TRIALS', DEFAULT_CB_HALF_OPEN_MAX_TRIALS);
+    this.halfOpenTrialTimeoutMs = getConfig(env, 'CB_HALF_OPEN_TRIAL_TIMEOUT', DEFAULT_CB_HALF_OPEN_TRIAL_TIMEOUT) * 1000;
+    this.states = null;
+  }
+
+  // 是否启用熔断器（需要D1）
+  isEnabled() {
+    return !!this.db && getConfig(this.env, 'ENABLE_CIRCUIT_BREAKER', DEFAULT_ENABLE_CIRCUIT_BREAKER);
+  }
+
+  // 读取全部熔断器状态: Map<backendUrl, row>
+  async loadStates(requestId) {
+    if (this.states) return this.states;
+    
+    try {
+      const rows = await this.db.getCircuitBreakers();
+      this.states = new Map(rows.map(row => [row.backend_url, row]));
+    } catch (error) {
+      console.warn(`[${requestId}] 读取熔断器状态失败，视为全部闭合: ${error.message}`);
+      this.states = new Map();
+    }
+    return this.states;
+  }
+
+  // 熔断已到期，可以进入半开状态
+  isOpenExpired(row, now = Date.now()) {
+    return row.state === 'open' && now - (row.opened_at || 0) >= this.openDurationMs;
+  }
+
+  // 半开状态最近一次领取试探名额已超时，未返回结果的名额可重新领取
+  isTrialStale(row, now = Date.now()) {
+    return row.state === 'half_open' && now - (row.half_open_trial_at || 0) >= this.halfOpenTrialTimeoutMs;
+  }
+
+  // 选择后端前过滤：跳过熔断中的后端和试探名额已用完的半开后端
+  // 返回 { backends, skipped: [{ url, state }] }
+  async filterBackends(backends, requestId) {
+    if (!this.isEnabled()) {
+      return { backends, skipped: [] };
+    }
+    
+    const states = await this.loadStates(requestId);
+    const now = Date.now();
+    const allowed = [];
+    const skipped = [];
+    
+    for (const url of backends) {
+      const row = states.get(url);
+      const blocked = row && (
+        (row.state === 'open' && !this.isOpenExpired(row, now)) ||
+        (row.state === 'half_open' && row.half_open_trials >= this.halfOpenMaxTrials && !this.isTrialStale(row, now))
+      );
+      
+      if (blocked) {
+        skipped.push({ url, state: row.state });
+      } else {
+        allowed.push(url);
+      }
+    }
+    
+    if (skipped.length > 0) {
+      console.log(`[${requestId}] 熔断器跳过 ${skipped.length} 个后端: ${skipped.map(s => `${s.url}(${s.state})`).join(', ')}`);
+    }
+    
+    return { backends: allowed, skipped };
+  }
+
+  // 熔断器是否闭合（需先调用 loadStates 或 filterBackends/allowRequest）
+  isClosed(backendUrl) {
+    if (!this.isEnabled() || !this.states) return true;
+    const row = this.states.get(backendUrl);
+    return !row || row.state === 'closed';
+  }
+
+  // 转发前确认是否允许请求该后端；熔断到期时转为半开，半开时原子领取一个试探名额
+  async allowRequest(backendUrl, requestId) {
+    if (!this.isEnabled()) return true;
+    
+    const states = await this.loadStates(requestId);
+    const row = states.get(backendUrl);
+    if (!row || row.state === 'closed') return true;
+    
+    try {
+      if (row.state === 'open') {
+        if (!this.isOpenExpired(row)) return false;
+        await this.db.transitionCircuitToHalfOpen(backendUrl, Date.now() - this.openDurationMs);
+        console.log(`[${requestId}] 熔断器进入半开状态: ${backendUrl}`);
+      }
+      
+      const admitted = await this.db.acquireHalfOpenTrial(
+        backendUrl, this.halfOpenMaxTrials, Date.now() - this.halfOpenTrialTimeoutMs
+      );
+      if (admitted) {
+        console.log(`[${requestId}] 熔断器半开，放行试探请求: ${backendUrl}`);
+      }
+      return admitted;
+    } catch (error) {
+      console.warn(`[${requestId}] 更新熔断器状态失败，放行请求: ${error.message}`);
+      return true;
+    }
+  }
+
+  // 记录一次结果
+  // source: request（真实请求）| probe（健康检查）；半开状态只有真实请求的成功才计入试探成功
+  // 计数用原子SQL累加，再按更新后的计数做条件状态转换，避免多个isolate互相覆盖
+  async recordOutcome(backendUrl, success, reason, source, requestId) {
+    if (!this.isEnabled()) return;
+    
+    try {
+      const now = Date.now();
+      const row = await this.db.recordCircuitOutcome(backendUrl, {
+        success,
+        reason,
+        countTrial: source === 'request',
+        now,
+        windowStart: now - this.windowMs,
+        maxOutcomes: MAX_WINDOW_OUTCOMES
+      });
+      if (!row) return;
+      
+      let outcomes = [];
+      try {
+        outcomes = JSON.parse(row.outcomes || '[]');
+      } catch (error) {
+        outcomes = [];
+      }
+      const failures = outcomes.filter(([, ok]) => !ok).length;
+      const errorRate = outcomes.length > 0 ? failures / outcomes.length : 0;
+      
+      let nextState = null;
+      if (row.state === 'closed') {
+        if (row.consecutive_failures >= this.failureThreshold ||
+            (outcomes.length >= this.minRequests && errorRate >= this.errorRateThreshold)) {
+          nextState = 'open';
+        }
+      } else if (row.state === 'half_open') {
+        if (!success) {
+          // 试探失败，重新熔断
+          nextState = 'open';
+        } else if (row.half_open_successes >= this.halfOpenMaxTrials) {
+          nextState = 'closed';
+        }
+      }
+      
+      if (nextState && await this.db.transitionCircuitState(backendUrl, row.state, nextState, now)) {
+        const detail = nextState === 'open'
+          ? `连续失败 ${row.consecutive_failures} 次，窗口错误率 ${(errorRate * 100).toFixed(0)}% (${failures}/${outcomes.length})`
+          : '试探请求全部成功';
+        console.warn(`[${requestId}] 熔断器状态变化: ${backendUrl} ${row.state} -> ${nextState}，${detail}`);
+        // 状态已变化，下次读取时重新加载
+        this.states = null;
+      } else if (this.states) {
+        this.states.set(backendUrl, row);
+      }
+    } catch (error) {
+      console.warn(`[${requestId}] 记录熔断器结果失败: ${error.message}`);
+    }
+  }
+
+  // 状态摘要（状态页面和API使用）
+  summarize(row) {
+    let outcomes = [];
+    try {
+      outcomes = JSON.parse(row.outcomes || '[]').filter(([time]) => Date.now() - time < this.windowMs);
+    } catch (error) {
+      outcomes = [];
+    }
+    const failures = outcomes.filter(([, ok]) => !ok).length;
+    const state = this.isOpenExpired(row) ? 'half_open_pending' : row.state;
+    
+    return {
+      backend_url: row.backend_url,
+      state,
+      consecutive_failures: row.consecutive_failures || 0,
+      window_requests: outcomes.length,
+      window_failures: failures,
+      error_rate: outcomes.length > 0 ? failures / outcomes.length : 0,
+      opened_at: row.opened_at ? new Date(row.opened_at).toISOString() : null,
+      reopens_in_seconds: row.state === 'open'
+        ? Math.max(0, Math.ceil((row.opened_at + this.openDurationMs - Date.now()) / 1000))
+        : 0,
+      half_open_trials: row.half_open_trials || 0,
+      half_open_successes: row.half_open_successes || 0,
+      last_failure_reason: row.last_failure_reason,
+      state_changed_beijing: row.state_changed_beijing,
+      updated_at_beijing: row.updated_at_beijing
+    };
+  }
+
+  // 熔断器配置
+  getSettings() {
+    return {
+      enabled: this.isEnabled(),
+      failure_threshold: this.failureThreshold,
+      error_rate_threshold: this.errorRateThreshold,
+      min_requests: this.minRequests,
+      window_seconds: this.windowMs / 1000,
+      open_duration_seconds: this.openDurationMs / 1000,
+      half_open_max_trials: this.halfOpenMaxTrials,
+      half_open_trial_timeout_seconds: this.halfOpenTrialTimeoutMs / 1000
+    };
+  }
+}
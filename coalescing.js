@@ -0,0 +1,181 @@
+// 请求合并：群组共享同一订阅链接时，大量客户端几乎同时发来相同的转换请求
+// 同一isolate内相同（规范化后）的GET转换请求共享一次后端请求，响应体通过tee分发给所有等待者
+// 可选通过 Durable Object 在isolate之间合并（需要配置 REQUEST_COALESCER 绑定）
+import {
+  getConfig,
+  getBeijingTimeString,
+  DEFAULT_ENABLE_REQUEST_COALESCING,
+  DEFAULT_COALESCE_MAX_WAIT,
+  DEFAULT_COALESCE_ACROSS_ISOLATES
+} from './utils.js';
+import { normalizeQueryString } from './edge-cache.js';
+
+const COALESCABLE_PATHS = ['/sub']; // 只合并订阅转换请求
+const COALESCE_KEY_HEADER = 'X-Coalesce-Key';
+const TOKEN_LABEL_HEADER = 'X-Coalesce-Token-Label';
+const GEO_HEADER = 'X-Coalesce-Geo';
+
+// 正在进行的后端请求: key -> { leaderRequestId, startedAt, waiters: [{ requestId, resolve, reject }] }
+const inFlight = new Map();
+
+// 当前isolate的合并统计
+const isolateStats = {
+  shared_fetches: 0,
+  coalesced_requests: 0,
+  max_waiters: 0,
+  started_at: getBeijingTimeString()
+};
+
+// 是否对该请求启用合并（只合并GET转换请求）
+export function isCoalescingEnabled(env, request) {
+  if (!getConfig(env, 'ENABLE_REQUEST_COALESCING', DEFAULT_ENABLE_REQUEST_COALESCING)) {
+    return false;
+  }
+  
+  const url = new URL(request.url);
+  return request.method === 'GET' && COALESCABLE_PATHS.includes(url.pathname);
+}
+
+// 是否通过 Durable Object 跨isolate合并
+export function isCrossIsolateCoalescingEnabled(env) {
+  return !!env.REQUEST_COALESCER &&
+    getConfig(env, 'COALESCE_ACROSS_ISOLATES', DEFAULT_COALESCE_ACROSS_ISOLATES);
+}
+
+// 合并键：路径 + 规范化查询字符串（与边缘缓存键一致，参数顺序不影响合并）
+export function buildCoalescingKey(request) {
+  const url = new URL(request.url);
+  return `${url.pathname}?${normalizeQueryString(url)}`;
+}
+
+export function getIsolateCoalescingStats() {
+  return {
+    ...isolateStats,
+    in_flight: inFlight.size
+  };
+}
+
+// 将响应体拆分为 count 份（依次tee），没有响应体时全部为 null
+function splitBody(body, count) {
+  if (!body) {
+    return new Array(count).fill(null);
+  }
+  
+  const bodies = [];
+  let rest = body;
+  for (let i = 1; i < count; i++) {
+    const [branch, remaining] = rest.tee();
+    bodies.push(branch);
+    rest = remaining;
+  }
+  bodies.push(rest);
+  return bodies;
+}
+
+function buildSharedResponse(response, body, requestId, leaderRequestId) {
+  const headers = new Headers(response.headers);
+  headers.set('X-Request-ID', requestId);
+  headers.set('X-Coalesced', requestId === leaderRequestId ? 'leader' : 'follower');
+  headers.set('X-Coalesced-With', leaderRequestId);
+  
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+// 合并相同的进行中请求
+// fetchFn() 返回后端响应；第一个请求（leader）执行 fetchFn，之后到达的相同请求等待并共享同一响应
+// db 可选，用于记录每日合并统计
+export async function coalesceRequest(request, env, ctx, requestId, db, fetchFn) {
+  const key = buildCoalescingKey(request);
+  const maxWait = getConfig(env, 'COALESCE_MAX_WAIT', DEFAULT_COALESCE_MAX_WAIT);
+  const existing = inFlight.get(key);
+  
+  // 超过最长等待时间的请求可能已经卡住，不再加入
+  if (existing && Date.now() - existing.startedAt < maxWait) {
+    console.log(`[${requestId}] 合并到进行中的请求 ${existing.leaderRequestId}，等待者: ${existing.waiters.length + 1}`);
+    return new Promise((resolve, reject) => {
+      existing.waiters.push({ requestId, resolve, reject });
+    });
+  }
+  
+  const entry = { leaderRequestId: requestId, startedAt: Date.now(), waiters: [] };
+  inFlight.set(key, entry);
+  
+  let response;
+  try {
+    response = await fetchFn();
+  } catch (error) {
+    entry.waiters.forEach(waiter => waiter.reject(error));
+    throw error;
+  } finally {
+    if (inFlight.get(key) === entry) {
+      inFlight.delete(key);
+    }
+  }
+  
+  if (entry.waiters.length === 0) {
+    return response;
+  }
+  
+  const bodies = splitBody(response.body, entry.waiters.length + 1);
+  entry.waiters.forEach((waiter, index) => {
+    waiter.resolve(buildSharedResponse(response, bodies[index + 1], waiter.requestId, requestId));
+  });
+  
+  isolateStats.shared_fetches++;
+  isolateStats.coalesced_requests += entry.waiters.length;
+  isolateStats.max_waiters = Math.max(isolateStats.max_waiters, entry.waiters.length);
+  console.log(`[${requestId}] 请求合并: ${entry.waiters.length} 个相同请求共享本次后端响应`);
+  
+  if (db) {
+    ctx.waitUntil(db.recordCoalescedRequests(entry.waiters.length));
+  }
+  
+  return buildSharedResponse(response, bodies[0], requestId, requestId);
+}
+
+// 通过 Durable Object 转发：同一合并键总是路由到同一个对象实例，由该实例合并不同isolate的请求
+// 访问令牌已在转发前移除，令牌标签和客户端地区通过内部请求头传递
+export async function fetchViaCoalescer(request, env, requestId, context = {}) {
+  const key = buildCoalescingKey(request);
+  const stub = env.REQUEST_COALESCER.get(env.REQUEST_COALESCER.idFromName(key));
+  
+  const headers = new Headers(request.headers);
+  headers.set(COALESCE_KEY_HEADER, key);
+  headers.set('X-Request-ID', requestId);
+  if (context.tokenLabel) {
+    headers.set(TOKEN_LABEL_HEADER, context.tokenLabel);
+  } else {
+    headers.delete(TOKEN_LABEL_HEADER);
+  }
+  if (context.geo?.country) {
+    headers.set(GEO_HEADER, `${context.geo.country}/${context.geo.colo || ''}`);
+  } else {
+    headers.delete(GEO_HEADER);
+  }
+  
+  return stub.fetch(new Request(request.url, { method: 'GET', headers }));
+}
+
+// 解析 Durable Object 收到的内部请求，返回 { request, requestId, context }
+export function parseCoalescerRequest(request) {
+  const headers = new Headers(request.headers);
+  const requestId = headers.get('X-Request-ID') || 'coalescer';
+  const tokenLabel = headers.get(TOKEN_LABEL_HEADER);
+  const [country, colo] = (headers.get(GEO_HEADER) || '').split('/');
+  headers.delete(COALESCE_KEY_HEADER);
+  headers.delete(TOKEN_LABEL_HEADER);
+  headers.delete(GEO_HEADER);
+  
+  return {
+    request: new Request(request.url, { method: 'GET', headers }),
+    requestId,
+    context: {
+      tokenLabel: tokenLabel || null,
+      geo: country ? { country, colo: colo || null } : null
+    }
+  };
+}
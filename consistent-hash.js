@@ -0,0 +1,67 @@
+// 一致性哈希环：同一订阅固定落在同一后端，后端增减时只有少量订阅需要迁移
+
+// FNV-1a 32位哈希，附加混合步骤使虚拟节点分布更均匀
+export function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+// 构建哈希环
+// nodes: [{ url, weight }]，每个后端的虚拟节点数与权重成正比
+// 权重按10分一档取整，避免每次权重微调都改变环上的节点
+export function buildHashRing(nodes, virtualNodesPerTier = 16) {
+  const ring = [];
+  
+  for (const node of nodes) {
+    const tiers = Math.max(1, Math.round((node.weight || 0) / 10));
+    const virtualNodes = tiers * virtualNodesPerTier;
+    
+    for (let i = 0; i < virtualNodes; i++) {
+      ring.push({ hash: hashString(`${node.url}#${i}`), url: node.url });
+    }
+  }
+  
+  ring.sort((a, b) => a.hash - b.hash);
+  return ring;
+}
+
+// 从键的位置顺时针遍历哈希环，返回不重复的后端顺序（第一个为首选，其余为一致的备选顺序）
+export function getRingOrder(ring, key) {
+  if (ring.length === 0) {
+    return [];
+  }
+  
+  const keyHash = hashString(key);
+  
+  // 二分查找第一个不小于键哈希的虚拟节点
+  let low = 0;
+  let high = ring.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (ring[mid].hash < keyHash) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  
+  const order = [];
+  for (let i = 0; i < ring.length; i++) {
+    const { url } = ring[(low + i) % ring.length];
+    if (!order.includes(url)) {
+      order.push(url);
+    }
+  }
+  
+  return order;
+}
@@ -2,14 +2,31 @@
 import { 
   getBackendsFromEnv, 
   getConfig, 
+  getClientIp,
   logError,
-  getBeijingTimeString 
+  getBeijingTimeString,
+  DEFAULT_FAILOVER_MAX_ATTEMPTS,
+  DEFAULT_FAILOVER_RETRY_STATUS_CODES,
+  DEFAULT_FAILOVER_RETRY_ERRORS,
+  DEFAULT_ROUTING_MODE,
+  DEFAULT_STICKY_VIRTUAL_NODES
 } from './utils.js';
 import { healthCheckController } from './concurrency.js';
 import { PriorityHealthCheck } from './health-check.js';
 import { SmartWeightedLoadBalancer } from './load-balancer.js';
 import { ResilientTelegramNotifier } from './notifier.js';
 import { SafeD1Database } from './database.js';
+import { isHedgingEnabled, getHedgeDelay, hedgedFetch } from './hedging.js';
+import { isResponseValidationEnabled, validateBackendResponse } from './response-validator.js';
+import { buildHashRing, getRingOrder } from './consistent-hash.js';
+import { redactText } from './redaction.js';
+import { filterBackendsByCapability } from './capabilities.js';
+import { CircuitBreakerManager, isBreakerFailure } from './circuit-breaker.js';
+import { BackendControlManager } from './backend-controls.js';
+import { getProxyTimeouts, ProxyDeadline, withBodyDeadline } from './proxy-timeouts.js';
+import { GeoRouter } from './geo-routing.js';
+import { getBackendAdapter, filterBackendsByAdapter } from './backend-adapters.js';
+import { rankBackends, previewRankBackends, observeLatency } from './lb-algorithms.js';
 
 // 获取后端列表
 export async function getBackends(env, requestId) {
@@ -149,19 +166,194 @@ export async function batchHealthChecks(urls, requestId, env, skipNormalPriority
   return results;
 }
 
+// 更新后端状态并把结果计入熔断器
+// source: probe（健康检查）| request（真实请求）
+async function updateBackendStatusAndCircuit(db, backendUrl, healthResult, targetWeight, requestId, env, source, reason = null) {
+  await db.updateBackendStatusWithWeight(backendUrl, healthResult, targetWeight, requestId);
+  
+  const breaker = new CircuitBreakerManager(env, db);
+  const failureReason = healthResult.healthy ? null : (reason || healthResult.error || `HTTP ${healthResult.status}`);
+  const failed = isBreakerFailure(healthResult, failureReason, source);
+  await breaker.recordOutcome(backendUrl, !failed, failed ? failureReason : null, source, requestId);
+}
+
+// 生成故障转移候选列表：选择流程给出的顺序在前，其余健康后端按权重追加（不健康和没有状态记录的后端不参与故障转移）
+// 权重与选择流程一致（固定权重叠加地区加成），手动固定的后端排在最前
+async function buildRankedBackends(db, backends, preferred, requestId, controls, geoRouter = null) {
+  const ranked = [];
+  const pushBackend = (url) => {
+    if (url && backends.includes(url) && !ranked.includes(url)) {
+      ranked.push(url);
+    }
+  };
+  
+  const effectiveWeight = (status) => {
+    const weight = controls.effectiveWeight(status.backend_url, status.weight) || 0;
+    return geoRouter ? geoRouter.effectiveWeight(status.backend_url, weight) : weight;
+  };
+  
+  preferred.forEach(pushBackend);
+  
+  if (db) {
+    try {
+      const backendStatus = await db.getAllBackendStatus();
+      backendStatus
+        .filter(b => b.healthy === 1)
+        .sort((a, b) => {
+          const weightA = effectiveWeight(a);
+          const weightB = effectiveWeight(b);
+          if (weightB !== weightA) {
+            return weightB - weightA;
+          }
+          return (a.response_time || Infinity) - (b.response_time || Infinity);
+        })
+        .forEach(b => pushBackend(b.backend_url));
+    } catch (error) {
+      console.warn(`[${requestId}] 获取故障转移候选后端失败: ${error.message}`);
+    }
+  }
+  
+  return controls.pinFirst(ranked);
+}
+
+// 粘性路由键：由订阅地址和外部配置决定，没有订阅地址的请求不参与粘性路由
+export function getStickyKey(request) {
+  if (!request) return null;
+  
+  const url = new URL(request.url);
+  const subscription = url.searchParams.get('url');
+  if (!subscription) return null;
+  
+  return `${subscription}|${url.searchParams.get('config') || ''}`;
+}
+
+// 粘性路由：将订阅哈希到健康后端组成的一致性哈希环上（虚拟节点数按 backend_status.weight 分配，有固定权重时使用固定权重）
+// 首选后端快速检查失败时沿环顺延，返回 null 表示需要回退到常规选择流程
+async function selectStickyBackend(db, backends, stickyKey, requestId, env, loadBalancer, selectionStartTime, controls) {
+  let healthyStatus = [];
+  try {
+    healthyStatus = (await db.getAllBackendStatus())
+      .filter(b => b.healthy === 1 && backends.includes(b.backend_url));
+  } catch (error) {
+    console.warn(`[${requestId}] 获取健康后端失败，跳过粘性路由: ${error.message}`);
+    return null;
+  }
+  
+  if (healthyStatus.length === 0) {
+    return null;
+  }
+  
+  const virtualNodes = getConfig(env, 'STICKY_VIRTUAL_NODES', DEFAULT_STICKY_VIRTUAL_NODES);
+  const ring = buildHashRing(
+    healthyStatus.map(b => ({ url: b.backend_url, weight: controls.effectiveWeight(b.backend_url, b.weight) })),
+    virtualNodes
+  );
+  const ringOrder = getRingOrder(ring, stickyKey);
+  const priorityChecker = new PriorityHealthCheck(env);
+  
+  for (const backendUrl of ringOrder) {
+    const status = healthyStatus.find(b => b.backend_url === backendUrl);
+    const weight = controls.effectiveWeight(backendUrl, status.weight);
+    
+    try {
+      const fastCheck = await priorityChecker.priorityCheck(backendUrl, `${requestId}-sticky-check`);
+      const targetWeight = await loadBalancer.calculateBackendWeight(backendUrl, fastCheck, db, requestId);
+      await updateBackendStatusAndCircuit(db, backendUrl, fastCheck, targetWeight, requestId, env, 'probe');
+      
+      if (!fastCheck.healthy) {
+        console.log(`[${requestId}] 粘性后端检查失败: ${backendUrl}，沿哈希环顺延`);
+        continue;
+      }
+      
+      const selectionTime = Date.now() - selectionStartTime;
+      const sticky = backendUrl === ringOrder[0];
+      console.log(`[${requestId}] 一致性哈希选择后端: ${backendUrl}${sticky ? '' : '（首选后端不可用，顺延）'}, 权重: ${weight}, 环上节点: ${ring.length}`);
+      
+      return {
+        backend: backendUrl,
+        selectionTime,
+        algorithm: 'consistent_hash',
+        // 故障转移也沿环顺延，使同一订阅的备选后端同样稳定
+        rankedBackends: await buildRankedBackends(
+          db, backends, ringOrder.slice(ringOrder.indexOf(backendUrl)), requestId, controls
+        ),
+        weight: targetWeight,
+        backendInfo: {
+          weight,
+          avg_response_time: status.avg_response_time,
+          current_response_time: fastCheck.responseTime || status.response_time,
+          last_checked: status.last_checked_beijing,
+          sticky: sticky
+        }
+      };
+    } catch (error) {
+      console.log(`[${requestId}] 粘性后端检查异常: ${backendUrl}, ${error.message}`);
+    }
+  }
+  
+  return null;
+}
+
 // 【修改】智能查找可用后端 - 使用最高权重的健康后端，权重相同按响应时间排序
-export async function smartFindAvailableBackend(db, requestId, env, request = null) {
-  const backends = await getBackends(env, requestId);
+// ROUTING_MODE=sticky 时，带订阅地址的请求先按一致性哈希固定到同一后端
+// 选择前先排除手动禁用或排空的后端、不支持请求的 target 或功能的后端，以及熔断中的后端
+// 手动固定的后端健康时总是首选，手动设置的固定权重代替学习到的权重参与排序
+// context.geo: 客户端地区 { country, colo }，用于地区路由
+export async function smartFindAvailableBackend(db, requestId, env, request = null, context = {}) {
+  const configuredBackends = await getBackends(env, requestId);
   
-  if (backends.length === 0) {
+  if (configuredBackends.length === 0) {
     return { backend: null, selectionTime: 0, algorithm: 'none' };
   }
   
   const selectionStartTime = Date.now();
+  const controls = new BackendControlManager(env, db);
+  const { backends: routableBackends, skipped: controlSkipped } = await controls.filterBackends(
+    configuredBackends, requestId
+  );
+  // 先排除适配器无法处理该请求的后端，再按探测到的能力过滤
+  const { backends: adaptedBackends, excluded: adapterExcluded, unsupported } = filterBackendsByAdapter(
+    env, routableBackends, request, requestId
+  );
+  if (unsupported) {
+    return {
+      backend: null,
+      selectionTime: Date.now() - selectionStartTime,
+      algorithm: 'none',
+      unsupported: true,
+      capabilityExcluded: adapterExcluded,
+      controlSkipped
+    };
+  }
+  const { backends: capableBackends, excluded: probeExcluded } = await filterBackendsByCapability(
+    db, adaptedBackends, request, env, requestId
+  );
+  const capabilityExcluded = [...adapterExcluded, ...probeExcluded];
+  const breaker = new CircuitBreakerManager(env, db);
+  const { backends, skipped: circuitSkipped } = await breaker.filterBackends(capableBackends, requestId);
   const loadBalancer = new SmartWeightedLoadBalancer(env);
   
-  // 1. 首先尝试从数据库中获取最高权重的健康后端（权重相同按响应时间排序）
-  let highestWeightBackend = null;
+  // 地区路由加成只影响排序，粘性路由不受影响
+  const geoRouter = new GeoRouter(env, db);
+  await geoRouter.loadBonuses(backends, context.geo, requestId);
+  
+  // 0. 粘性路由（有手动固定的后端时不使用）
+  const routingMode = getConfig(env, 'ROUTING_MODE', DEFAULT_ROUTING_MODE);
+  const hasPinned = backends.some(url => controls.isPinned(url));
+  const stickyKey = routingMode === 'sticky' && db && !hasPinned ? getStickyKey(request) : null;
+  if (stickyKey) {
+    const stickySelection = await selectStickyBackend(
+      db, backends, stickyKey, requestId, env, loadBalancer, selectionStartTime, controls
+    );
+    if (stickySelection) {
+      return { ...stickySelection, capabilityExcluded, circuitSkipped, controlSkipped };
+    }
+    console.log(`[${requestId}] 哈希环上没有可用后端，回退到常规选择`);
+  }
+  
+  // 1. 首先按负载均衡算法从数据库中的健康后端选择（只考虑能力过滤后的后端，权重叠加地区加成）
+  let cachedBackend = null;
+  let cachedSelection = null;
   if (db) {
     try {
       const { results } = await db.db
@@ -169,59 +361,88 @@ export async function smartFindAvailableBackend(db, requestId, env, request = nu
           SELECT * FROM backend_status 
           WHERE healthy = 1 
           ORDER BY weight DESC, response_time ASC
-          LIMIT 1
         `)
         .all();
       
-      highestWeightBackend = results[0] || null;
+      const cachedBackends = results.filter(b => backends.includes(b.backend_url));
+      // 缓存的选择可能因快速检查失败而放弃，轮询计数在采用时才推进，避免一次请求推进两次
+      const ranking = previewRankBackends(
+        cachedBackends.map(b => ({
+          url: b.backend_url,
+          weight: geoRouter.effectiveWeight(b.backend_url, controls.effectiveWeight(b.backend_url, b.weight)),
+          responseTime: b.response_time
+        })),
+        env,
+        requestId
+      );
+      const order = controls.pinFirst(ranking.order);
+      cachedSelection = {
+        algorithm: controls.isPinned(order[0]) ? 'pinned' : ranking.algorithm,
+        order,
+        commit: ranking.commit
+      };
+      cachedBackend = cachedBackends.find(b => b.backend_url === cachedSelection.order[0]) || null;
     } catch (error) {
-      console.log(`[${requestId}] 获取最高权重后端失败: ${error.message}, 开始完整健康检查`);
+      console.log(`[${requestId}] 获取缓存的健康后端失败: ${error.message}, 开始完整健康检查`);
     }
   }
   
-  if (highestWeightBackend) {
+  if (cachedBackend) {
     try {
       const priorityChecker = new PriorityHealthCheck(env);
       const fastCheck = await priorityChecker.priorityCheck(
-        highestWeightBackend.backend_url, 
-        `${requestId}-highweight-check`
+        cachedBackend.backend_url, 
+        `${requestId}-cached-check`
       );
       
       if (fastCheck.healthy) {
+        cachedSelection.commit();
         const selectionTime = Date.now() - selectionStartTime;
-        console.log(`[${requestId}] 使用最高权重后端: ${highestWeightBackend.backend_url}, 权重: ${highestWeightBackend.weight}, 响应时间: ${fastCheck.responseTime}ms`);
+        console.log(`[${requestId}] 使用${cachedSelection.algorithm}选择的后端: ${cachedBackend.backend_url}, 权重: ${cachedBackend.weight}, 地区加成: ${geoRouter.getBonus(cachedBackend.backend_url)}, 响应时间: ${fastCheck.responseTime}ms`);
         
         // 更新该后端状态
         const targetWeight = await loadBalancer.calculateBackendWeight(
-          highestWeightBackend.backend_url, 
+          cachedBackend.backend_url, 
           fastCheck, 
           db, 
           requestId
         );
-        await db.updateBackendStatusWithWeight(
-          highestWeightBackend.backend_url, 
+        await updateBackendStatusAndCircuit(
+          db,
+          cachedBackend.backend_url, 
           fastCheck, 
           targetWeight, 
-          requestId
+          requestId,
+          env,
+          'probe'
+        );
+        
+        const rankedBackends = await buildRankedBackends(
+          db, backends, cachedSelection.order, requestId, controls, geoRouter
         );
         
         return { 
-          backend: highestWeightBackend.backend_url, 
+          backend: cachedBackend.backend_url, 
           selectionTime,
-          algorithm: 'highest_weight_cached',
+          algorithm: `${cachedSelection.algorithm}_cached`,
+          rankedBackends,
+          capabilityExcluded,
+          circuitSkipped,
+          controlSkipped,
           weight: targetWeight,
+          geoBonus: geoRouter.getBonus(cachedBackend.backend_url),
           backendInfo: {
-            weight: highestWeightBackend.weight,
-            avg_response_time: highestWeightBackend.avg_response_time,
-            current_response_time: fastCheck.responseTime || highestWeightBackend.response_time,
-            last_checked: highestWeightBackend.last_checked_beijing
+            weight: cachedBackend.weight,
+            avg_response_time: cachedBackend.avg_response_time,
+            current_response_time: fastCheck.responseTime || cachedBackend.response_time,
+            last_checked: cachedBackend.last_checked_beijing
           }
         };
       } else {
-        console.log(`[${requestId}] 最高权重后端检查失败: ${highestWeightBackend.backend_url}, 开始完整健康检查`);
+        console.log(`[${requestId}] 缓存选择的后端检查失败: ${cachedBackend.backend_url}, 开始完整健康检查`);
       }
     } catch (error) {
-      console.log(`[${requestId}] 最高权重后端检查异常: ${error.message}, 开始完整健康检查`);
+      console.log(`[${requestId}] 缓存选择的后端检查异常: ${error.message}, 开始完整健康检查`);
     }
   }
   
@@ -237,11 +458,12 @@ export async function smartFindAvailableBackend(db, requestId, env, request = nu
   );
   
   let selectedBackend = null;
-  let algorithm = 'weighted_round_robin';
+  let algorithm = 'none';
   let backendInfo = null;
+  let preferredOrder = [];
   
   if (healthyBackends.size > 0) {
-    // 选择权重最高的健康后端（权重相同则选响应时间最快的）
+    // 按负载均衡算法在健康后端中选择
     const weightedBackends = [];
     
     for (const [url, health] of healthyBackends.entries()) {
@@ -254,23 +476,34 @@ export async function smartFindAvailableBackend(db, requestId, env, request = nu
       });
     }
     
-    // 按权重降序排序，权重相同按响应时间升序排序
-    weightedBackends.sort((a, b) => {
-      if (b.weight !== a.weight) {
-        return b.weight - a.weight;
-      }
-      return (a.responseTime || Infinity) - (b.responseTime || Infinity);
-    });
+    // 权重（有固定权重时使用固定权重）叠加地区加成后交给负载均衡算法排序，固定的后端排在最前
+    const ranking = rankBackends(
+      weightedBackends.map(b => ({
+        url: b.url,
+        weight: geoRouter.effectiveWeight(b.url, controls.effectiveWeight(b.url, b.weight)),
+        responseTime: b.responseTime
+      })),
+      env,
+      requestId
+    );
+    const order = controls.pinFirst(ranking.order);
+    const selection = {
+      algorithm: controls.isPinned(order[0]) ? 'pinned' : ranking.algorithm,
+      order
+    };
+    const selected = weightedBackends.find(b => b.url === selection.order[0]);
     
-    selectedBackend = weightedBackends[0].url;
-    algorithm = 'highest_weight_with_fallback';
+    selectedBackend = selected.url;
+    preferredOrder = selection.order;
+    algorithm = selection.algorithm;
     backendInfo = {
-      weight: weightedBackends[0].weight,
-      responseTime: weightedBackends[0].responseTime,
-      selectionMethod: 'highest_weight'
+      weight: selected.weight,
+      geoBonus: geoRouter.getBonus(selectedBackend),
+      responseTime: selected.responseTime,
+      selectionMethod: selection.algorithm
     };
     
-    console.log(`[${requestId}] 选择权重最高的健康后端: ${selectedBackend}, 权重: ${weightedBackends[0].weight}, 响应时间: ${weightedBackends[0].responseTime}ms`);
+    console.log(`[${requestId}] ${selection.algorithm} 选择健康后端: ${selectedBackend}, 权重: ${selected.weight}, 地区加成: ${backendInfo.geoBonus}, 响应时间: ${selected.responseTime}ms`);
   } else {
     console.log(`[${requestId}] 无健康后端，尝试降级策略`);
     
@@ -280,6 +513,7 @@ export async function smartFindAvailableBackend(db, requestId, env, request = nu
     if (backendsWithResponse.length > 0) {
       backendsWithResponse.sort((a, b) => a[1].responseTime - b[1].responseTime);
       selectedBackend = backendsWithResponse[0][0];
+      preferredOrder = backendsWithResponse.map(([url]) => url);
       algorithm = 'degraded_fastest';
     }
   }
@@ -298,7 +532,7 @@ export async function smartFindAvailableBackend(db, requestId, env, request = nu
     
     for (const [url, health] of checkResults.entries()) {
       const targetWeight = await loadBalancer.calculateBackendWeight(url, health, db, requestId);
-      const updatePromise = db.updateBackendStatusWithWeight(url, health, targetWeight, requestId)
+      const updatePromise = updateBackendStatusAndCircuit(db, url, health, targetWeight, requestId, env, 'probe')
         .catch(error => {
           console.error(`[${requestId}] 更新后端状态失败 ${url}: ${error.message}`);
         });
@@ -311,10 +545,17 @@ export async function smartFindAvailableBackend(db, requestId, env, request = nu
     console.log(`[${requestId}] 所有后端状态更新完成，共更新 ${updatePromises.length} 个后端`);
   }
   
+  const rankedBackends = selectedBackend ? 
+    await buildRankedBackends(db, backends, preferredOrder, requestId, controls, geoRouter) : [];
+  
   return { 
     backend: selectedBackend, 
     selectionTime,
     algorithm,
+    rankedBackends,
+    capabilityExcluded,
+    circuitSkipped,
+    controlSkipped,
     backendInfo,
     healthyCount: healthyBackends.size,
     totalChecked: checkResults.size,
@@ -322,115 +563,465 @@ export async function smartFindAvailableBackend(db, requestId, env, request = nu
   };
 }
 
+// 获取后端当前权重（数据库不可用时返回基准权重）
+export async function getBackendWeight(db, backendUrl, requestId, env) {
+  const BASE_WEIGHT = getConfig(env, 'BASE_WEIGHT', 50);
+  
+  try {
+    if (db) {
+      const backendStatus = await db.getBackendStatus(backendUrl);
+      return backendStatus?.weight || BASE_WEIGHT;
+    }
+  } catch (error) {
+    console.warn(`[${requestId}] 获取后端权重失败: ${error.message}`);
+  }
+  
+  return BASE_WEIGHT;
+}
+
+// 判断后端响应状态码是否允许故障转移
+export function isRetryableStatus(status, env) {
+  const retryStatusCodes = getConfig(env, 'FAILOVER_RETRY_STATUS_CODES', DEFAULT_FAILOVER_RETRY_STATUS_CODES);
+  return Array.isArray(retryStatusCodes) && retryStatusCodes.includes(status);
+}
+
+// 判断请求异常是否允许故障转移（按错误类名匹配）
+export function isRetryableError(error, env) {
+  const retryErrors = getConfig(env, 'FAILOVER_RETRY_ERRORS', DEFAULT_FAILOVER_RETRY_ERRORS);
+  if (!Array.isArray(retryErrors)) return false;
+  return retryErrors.includes('*') || retryErrors.includes(error?.name);
+}
+
+// 构建转发到后端的请求，URL由后端适配器转换
+function buildBackendRequest(request, backendUrl, requestId, env, signal = null) {
+  const backendFullUrl = getBackendAdapter(env, backendUrl).translateUrl(request.url, backendUrl);
+  
+  const backendRequest = new Request(backendFullUrl, {
+    method: request.method,
+    headers: request.headers,
+    body: request.body,
+    redirect: 'follow',
+    signal: signal,
+    cf: {
+      cacheEverything: false,
+      cacheTtl: 0,
+      polish: 'off',
+      scrapeShield: false
+    }
+  });
+  
+  backendRequest.headers.delete('host');
+  backendRequest.headers.set('host', new URL(backendUrl).host);
+  
+  backendRequest.headers.set('X-Request-ID', requestId);
+  backendRequest.headers.set('X-Forwarded-By', 'subconverter-failover-worker');
+  
+  return backendRequest;
+}
+
+// 向后端发出请求；启用对冲且存在对冲候选后端时，首选后端响应过慢会同时请求对冲后端
+// options.signal: 超时中止信号，同时作用于对冲请求
+// 返回 { response, backendUrl, hedged, winner }
+async function fetchFromBackend(request, backendUrl, requestId, env, options) {
+  const { hedgeBackend = null, triedBackends = null, signal = null } = options;
+  
+  if (!hedgeBackend || !isHedgingEnabled(env, request)) {
+    const response = await fetch(buildBackendRequest(request, backendUrl, requestId, env, signal));
+    return { response, backendUrl, hedged: false, winner: 'primary' };
+  }
+  
+  const db = env.DB ? new SafeD1Database(env.DB, env) : null;
+  const delay = await getHedgeDelay(db, backendUrl, env, requestId);
+  
+  return hedgedFetch(
+    (url, hedgeSignal) => buildBackendRequest(
+      request, url, requestId, env, signal ? AbortSignal.any([signal, hedgeSignal]) : hedgeSignal
+    ),
+    backendUrl,
+    hedgeBackend,
+    delay,
+    requestId,
+    (url) => triedBackends?.add(url)
+  );
+}
+
+// 记录后端响应结果：写入request_results、更新权重并发送通知
+// meta: { attempt, hedged, hedgeWinner, validationError, tokenLabel, geo, adapter }
+async function recordBackendResponse(request, backendUrl, response, timing, requestId, env, ctx, backendWeight, meta = {}) {
+  // 成功请求的响应时间用于按延迟选择的负载均衡算法
+  if (response.ok && !meta.validationError) {
+    observeLatency(env, backendUrl, timing.responseTime);
+  }
+  
+  if (!env.DB) return backendWeight;
+  
+  const db = new SafeD1Database(env.DB, env);
+  const clientIp = getClientIp(request);
+  // 状态码正常但响应内容无效时同样视为失败
+  const success = response.ok && !meta.validationError;
+  const failureReason = meta.validationError
+    ? `invalid_body: ${meta.validationError}`
+    : (response.ok ? null : `HTTP ${response.status}`);
+  
+  const requestData = {
+    backend_url: backendUrl,
+    backend_selection_time: timing.backendSelectionTime,
+    response_time: timing.responseTime,
+    status_code: response.status,
+    success: success,
+    client_ip: clientIp,
+    total_time: timing.totalTime,
+    backend_weight: backendWeight,
+    attempt: meta.attempt,
+    hedged: meta.hedged,
+    hedge_winner: meta.hedgeWinner,
+    failure_reason: failureReason,
+    token_label: meta.tokenLabel,
+    client_country: meta.geo?.country,
+    client_colo: meta.geo?.colo
+  };
+  
+  ctx.waitUntil(db.saveRequestResult(requestData, requestId));
+  
+  // 更新后端状态（每次请求后更新）
+  const healthResult = {
+    healthy: success && response.status >= 200 && response.status < 300,
+    responseTime: timing.responseTime,
+    responseTimeScore: 0,
+    status: response.status,
+    version: 'subconverter'
+  };
+  
+  const loadBalancer = new SmartWeightedLoadBalancer(env);
+  const newWeight = await loadBalancer.calculateBackendWeight(backendUrl, healthResult, db, requestId);
+  ctx.waitUntil(updateBackendStatusAndCircuit(db, backendUrl, healthResult, newWeight, requestId, env, 'request', failureReason));
+  
+  if (getConfig(env, 'NOTIFY_ON_REQUEST', true)) {
+    const notifier = new ResilientTelegramNotifier(env);
+    const notificationData = {
+      type: 'request',
+      request_id: requestId,
+      client_ip: clientIp,
+      backend_url: backendUrl,
+      backend_selection_time: timing.backendSelectionTime,
+      response_time: timing.responseTime,
+      status_code: response.status,
+      success: success,
+      total_time: timing.totalTime,
+      backend_weight: newWeight,
+      error: success ? '' : failureReason,
+      env: env
+    };
+    
+    ctx.waitUntil(notifier.sendNotification(notificationData, requestId, ctx));
+  }
+  
+  return newWeight;
+}
+
+// 记录后端请求异常：写入失败记录、降低权重并发送错误通知
+async function recordBackendFailure(request, backendUrl, error, backendSelectionTime, requestId, env, ctx, backendWeight, attempt, tokenLabel = null, geo = null) {
+  if (!env.DB) return;
+  
+  try {
+    const db = new SafeD1Database(env.DB, env);
+    const clientIp = getClientIp(request);
+    
+    const requestData = {
+      backend_url: backendUrl,
+      backend_selection_time: backendSelectionTime,
+      response_time: 0,
+      status_code: 0,
+      success: false,
+      client_ip: clientIp,
+      error: error.message,
+      backend_weight: backendWeight,
+      attempt: attempt,
+      failure_reason: `${error.name}: ${error.message}`,
+      timeout_type: error.timeoutPhase || null,
+      token_label: tokenLabel,
+      client_country: geo?.country,
+      client_colo: geo?.colo
+    };
+    
+    ctx.waitUntil(db.saveRequestResult(requestData, `${requestId}-failed`));
+    
+    // 更新后端状态为失败
+    const healthResult = {
+      healthy: false,
+      responseTime: 0,
+      responseTimeScore: 0,
+      status: 0,
+      version: 'subconverter',
+      error: error.name,
+      timeout: !!error.timeoutPhase
+    };
+    
+    const loadBalancer = new SmartWeightedLoadBalancer(env);
+    const newWeight = await loadBalancer.calculateBackendWeight(backendUrl, healthResult, db, requestId);
+    ctx.waitUntil(updateBackendStatusAndCircuit(db, backendUrl, healthResult, newWeight, requestId, env, 'request', requestData.failure_reason));
+    
+    if (getConfig(env, 'NOTIFY_ON_ERROR', true)) {
+      const notifier = new ResilientTelegramNotifier(env);
+      const errorData = {
+        type: 'error',
+        request_id: requestId,
+        error_type: 'request_failed',
+        error_message: error.message,
+        backend_url: backendUrl,
+        client_ip: clientIp,
+        backend_weight: newWeight,
+        env: env
+      };
+      
+      ctx.waitUntil(notifier.sendNotification(errorData, requestId, ctx));
+    }
+  } catch (dbError) {
+    // 忽略D1写入错误
+  }
+}
+
+// 响应体传输统计写入 request_results
+async function recordTransferStats(backendUrl, transfer, requestId, env) {
+  if (!env.DB) return;
+  
+  const db = new SafeD1Database(env.DB, env);
+  await db.updateRequestTransfer(requestId, backendUrl, transfer);
+}
+
+// 响应体传输失败（超时、截断或后端中断）：响应头已按成功记录，改为失败并降低权重
+// transfer: { bytes, ttfb, transferTime, expectedBytes }，没有统计时为 null
+async function recordStreamFailure(backendUrl, error, requestId, env, ctx, transfer = null) {
+  console.warn(`[${requestId}] 后端响应体传输失败: ${backendUrl}, ${redactText(error.message, env)}`);
+  if (!env.DB) return;
+  
+  try {
+    const db = new SafeD1Database(env.DB, env);
+    const failureReason = `${error.name}: ${error.message}`;
+    ctx.waitUntil(db.updateRequestTransfer(requestId, backendUrl, {
+      ...(transfer || {}),
+      failed: true,
+      truncated: error.name === 'TruncatedResponseError',
+      failureReason,
+      timeoutType: error.timeoutPhase || null
+    }));
+    
+    const healthResult = {
+      healthy: false,
+      responseTime: 0,
+      responseTimeScore: 0,
+      status: 0,
+      version: 'subconverter',
+      error: error.name,
+      timeout: !!error.timeoutPhase
+    };
+    
+    const loadBalancer = new SmartWeightedLoadBalancer(env);
+    const newWeight = await loadBalancer.calculateBackendWeight(backendUrl, healthResult, db, requestId);
+    ctx.waitUntil(updateBackendStatusAndCircuit(db, backendUrl, healthResult, newWeight, requestId, env, 'request', failureReason));
+  } catch (dbError) {
+    // 忽略D1写入错误
+  }
+}
+
+// 构建返回给客户端的响应头
+function buildProxyResponseHeaders(response, backendUrl, timing, requestId, backendWeight, meta = {}) {
+  const responseHeaders = new Headers();
+  
+  for (const [key, value] of response.headers.entries()) {
+    if (!key.startsWith('cf-') && key !== 'server') {
+      responseHeaders.set(key, value);
+    }
+  }
+  
+  responseHeaders.set('X-Backend-Server', backendUrl);
+  responseHeaders.set('X-Response-Time', `${timing.responseTime}ms`);
+  responseHeaders.set('X-Backend-Selection-Time', `${timing.backendSelectionTime}ms`);
+  responseHeaders.set('X-Total-Time', `${timing.totalTime}ms`);
+  responseHeaders.set('X-Request-ID', requestId);
+  responseHeaders.set('X-Backend-Weight', `${backendWeight}`);
+  responseHeaders.set('X-Failover-Attempts', `${meta.attempt || 1}`);
+  
+  if (meta.adapter) {
+    responseHeaders.set('X-Backend-Adapter', meta.adapter);
+  }
+  
+  if (meta.hedged) {
+    responseHeaders.set('X-Hedged', 'true');
+    responseHeaders.set('X-Hedge-Winner', meta.hedgeWinner);
+  }
+  
+  if (meta.validationError) {
+    responseHeaders.set('X-Response-Validation', 'invalid');
+    responseHeaders.set('X-Validation-Error', meta.validationError);
+  }
+  
+  if (!responseHeaders.has('Cache-Control')) {
+    responseHeaders.set('Cache-Control', 'no-store, max-age=0');
+  }
+  
+  return responseHeaders;
+}
+
+// 响应体比 Content-Length 短（后端提前结束连接）
+function createTruncatedStreamError(transfer) {
+  const error = new Error(`响应体被截断: 收到 ${transfer.bytes} 字节，Content-Length 为 ${transfer.expectedBytes}`);
+  error.name = 'TruncatedResponseError';
+  return error;
+}
+
+// 创建可故障转移的错误（后端返回可重试状态码时使用）
+function createRetryableStatusError(backendUrl, status) {
+  const error = new Error(`后端 ${backendUrl} 返回可重试状态码 HTTP ${status}`);
+  error.name = 'RetryableStatusError';
+  error.status = status;
+  error.retryable = true;
+  // 该次尝试已记录到request_results，外层无需重复记录
+  error.recorded = true;
+  return error;
+}
+
+// 创建可故障转移的错误（后端返回200但内容无效时使用）
+function createInvalidResponseError(backendUrl, reason) {
+  const error = new Error(`后端 ${backendUrl} 返回无效内容: ${reason}`);
+  error.name = 'InvalidResponseError';
+  error.reason = reason;
+  error.retryable = true;
+  error.recorded = true;
+  return error;
+}
+
 // 流式代理请求
-export async function streamProxyRequest(request, backendUrl, backendSelectionTime, requestId, env, ctx, backendWeight) {
-  const url = new URL(request.url);
-  const backendPath = url.pathname + url.search;
-  const backendFullUrl = `${backendUrl}${backendPath}`;
+// options.attempt: 当前尝试序号（从1开始）；options.canRetry(): 失败时调用方是否一定会切换到下一个后端
+// （返回 false 时可重试状态码和无效内容的响应照常返回给客户端）
+// options.hedgeBackend: 对冲候选后端；options.triedBackends: 已尝试后端集合（对冲请求发出时写入）
+// options.tokenLabel: 访问令牌标签；options.geo: 客户端地区 { country, colo }；均记录到request_results
+export async function streamProxyRequest(request, backendUrl, backendSelectionTime, requestId, env, ctx, backendWeight, options = {}) {
+  const { attempt = 1, canRetry = () => false, tokenLabel = null, geo = null } = options;
+  const backendFullUrl = getBackendAdapter(env, backendUrl).translateUrl(request.url, backendUrl);
   
-  console.log(`[${requestId}] 流式转发请求到后端: ${backendFullUrl}, 权重: ${backendWeight}`);
+  console.log(`[${requestId}] 流式转发请求到后端: ${redactText(backendFullUrl, env)}, 权重: ${backendWeight}, 第 ${attempt} 次尝试`);
+  
+  // 响应头超时和总超时，超时后中止后端请求
+  const deadline = new ProxyDeadline(getProxyTimeouts(env, request));
   
   try {
     const requestStartTime = Date.now();
     
-    const backendRequest = new Request(backendFullUrl, {
-      method: request.method,
-      headers: request.headers,
-      body: request.body,
-      redirect: 'follow',
-      cf: {
-        cacheEverything: false,
-        cacheTtl: 0,
-        polish: 'off',
-        scrapeShield: false
-      }
-    });
+    const fetchResult = await fetchFromBackend(request, backendUrl, requestId, env, { ...options, signal: deadline.signal });
+    deadline.headersReceived();
+    let response = fetchResult.response;
+    const responseTime = Date.now() - requestStartTime;
+    const meta = { attempt, hedged: fetchResult.hedged, hedgeWinner: fetchResult.winner, validationError: null, tokenLabel, geo };
+    
+    // 对冲后端胜出时，后续记录和响应头都以胜出后端为准
+    if (fetchResult.backendUrl !== backendUrl) {
+      backendUrl = fetchResult.backendUrl;
+      backendWeight = await getBackendWeight(
+        env.DB ? new SafeD1Database(env.DB, env) : null, backendUrl, requestId, env
+      );
+    }
     
-    backendRequest.headers.delete('host');
-    backendRequest.headers.set('host', new URL(backendUrl).host);
+    const adapter = getBackendAdapter(env, backendUrl);
+    meta.adapter = adapter.name;
     
-    backendRequest.headers.set('X-Request-ID', requestId);
-    backendRequest.headers.set('X-Forwarded-By', 'subconverter-failover-worker');
+    // 校验响应体开头，已读取的内容会在返回的响应中回放
+    if (isResponseValidationEnabled(env, request)) {
+      const validation = await validateBackendResponse(request, response, env, requestId, adapter.validateOutput);
+      response = validation.response;
+      meta.validationError = validation.error;
+    }
     
-    const response = await fetch(backendRequest);
-    const responseTime = Date.now() - requestStartTime;
-    const success = response.ok;
+    const success = response.ok && !meta.validationError;
     const totalTime = responseTime + backendSelectionTime;
+    const timing = { backendSelectionTime, responseTime, totalTime };
     
     console.log(`[${requestId}] 后端响应时间: ${responseTime}ms, 状态码: ${response.status}, 成功: ${success}`);
     
-    if (env.DB) {
-      const db = new SafeD1Database(env.DB, env);
-      const clientIp = request.headers.get('cf-connecting-ip') || 
-                       request.headers.get('x-forwarded-for') || 
-                       'unknown';
-      
-      const requestData = {
-        backend_url: backendUrl,
-        backend_selection_time: backendSelectionTime,
-        response_time: responseTime,
-        status_code: response.status,
-        success: success,
-        client_ip: clientIp,
-        total_time: totalTime,
-        backend_weight: backendWeight
-      };
-      
-      ctx.waitUntil(db.saveRequestResult(requestData, requestId));
+    await recordBackendResponse(request, backendUrl, response, timing, requestId, env, ctx, backendWeight, meta);
+    
+    const retry = (meta.validationError || isRetryableStatus(response.status, env)) && canRetry();
+    if (retry && meta.validationError) {
+      ctx.waitUntil(response.body ? response.body.cancel().catch(() => {}) : Promise.resolve());
+      throw createInvalidResponseError(backendUrl, meta.validationError);
+    }
+    
+    if (retry && isRetryableStatus(response.status, env)) {
+      // 丢弃失败响应的响应体，交由调用方尝试下一个后端
+      ctx.waitUntil(response.body ? response.body.cancel().catch(() => {}) : Promise.resolve());
+      throw createRetryableStatusError(backendUrl, response.status);
+    }
+    
+    // 响应体超时由下方的传输循环统一记录
+    const recordedBackendUrl = backendUrl;
+    response = withBodyDeadline(response, deadline, () => {});
+    
+    // HEAD、204、304 等没有响应体：直接返回，传输按完成记录
+    // Content-Length 描述的是对应 GET 请求的响应体，不能用来判断截断
+    if (!response.body) {
+      ctx.waitUntil(recordTransferStats(recordedBackendUrl, {
+        bytes: 0,
+        ttfb: null,
+        transferTime: 0,
+        expectedBytes: null
+      }, requestId, env));
       
-      // 更新后端状态（每次请求后更新）
-      const healthResult = {
-        healthy: success && response.status >= 200 && response.status < 300,
-        responseTime: responseTime,
-        responseTimeScore: 0,
+      return new Response(null, {
         status: response.status,
-        version: 'subconverter'
-      };
-      
-      const loadBalancer = new SmartWeightedLoadBalancer(env);
-      const newWeight = await loadBalancer.calculateBackendWeight(backendUrl, healthResult, db, requestId);
-      ctx.waitUntil(db.updateBackendStatusWithWeight(backendUrl, healthResult, newWeight, requestId));
-      
-      if (getConfig(env, 'NOTIFY_ON_REQUEST', true)) {
-        const notifier = new ResilientTelegramNotifier(env);
-        const notificationData = {
-          type: 'request',
-          request_id: requestId,
-          client_ip: clientIp,
-          backend_url: backendUrl,
-          backend_selection_time: backendSelectionTime,
-          response_time: responseTime,
-          status_code: response.status,
-          success: success,
-          total_time: totalTime,
-          backend_weight: newWeight,
-          error: success ? '' : `HTTP ${response.status}`,
-          env: env
-        };
-        
-        ctx.waitUntil(notifier.sendNotification(notificationData, requestId, ctx));
-      }
+        statusText: response.statusText,
+        headers: buildProxyResponseHeaders(response, backendUrl, timing, requestId, backendWeight, meta)
+      });
     }
     
+    // 压缩的响应会被自动解压，读取的字节数与 Content-Length 不一致，只比较未压缩的响应
+    const contentLength = parseInt(response.headers.get('Content-Length') || '', 10);
+    const contentEncoding = response.headers.get('Content-Encoding');
+    const transfer = {
+      bytes: 0,
+      ttfb: null,
+      transferTime: 0,
+      expectedBytes: (!contentEncoding || contentEncoding === 'identity') && !isNaN(contentLength) ? contentLength : null
+    };
+    const transferStartTime = Date.now();
+    
     const { readable, writable } = new TransformStream();
     const writer = writable.getWriter();
     
     (async () => {
+      const reader = response.body.getReader();
+      
       try {
-        const reader = response.body.getReader();
-        
-        const chunkSize = getConfig(env, 'STREAMING_CHUNK_SIZE', 8192);
-        
         while (true) {
           const { done, value } = await reader.read();
           if (done) break;
           
-          await writer.write(value);
+          if (transfer.ttfb === null) {
+            transfer.ttfb = Date.now() - requestStartTime;
+          }
+          transfer.bytes += value.byteLength;
+          
+          try {
+            await writer.write(value);
+          } catch (writeError) {
+            // 客户端断开连接，不是后端的问题
+            console.log(`[${requestId}] 客户端已断开，停止传输，已传输 ${transfer.bytes} 字节`);
+            await reader.cancel().catch(() => {});
+            return;
+          }
+        }
+        
+        transfer.transferTime = Date.now() - transferStartTime;
+        
+        if (transfer.expectedBytes !== null && transfer.bytes < transfer.expectedBytes) {
+          throw createTruncatedStreamError(transfer);
         }
         
         await writer.close();
+        ctx.waitUntil(recordTransferStats(recordedBackendUrl, transfer, requestId, env));
       } catch (error) {
+        transfer.transferTime = Date.now() - transferStartTime;
         console.error(`[${requestId}] 流式传输错误:`, error);
+        ctx.waitUntil(recordStreamFailure(recordedBackendUrl, error, requestId, env, ctx, transfer));
         try {
           await writer.abort(error);
         } catch (e) {
@@ -439,264 +1030,204 @@ export async function streamProxyRequest(request, backendUrl, backendSelectionTi
       }
     })();
     
-    const responseHeaders = new Headers();
-    
-    for (const [key, value] of response.headers.entries()) {
-      if (!key.startsWith('cf-') && key !== 'server') {
-        responseHeaders.set(key, value);
-      }
-    }
-    
-    responseHeaders.set('X-Backend-Server', backendUrl);
-    responseHeaders.set('X-Response-Time', `${responseTime}ms`);
-    responseHeaders.set('X-Backend-Selection-Time', `${backendSelectionTime}ms`);
-    responseHeaders.set('X-Total-Time', `${totalTime}ms`);
-    responseHeaders.set('X-Request-ID', requestId);
+    const responseHeaders = buildProxyResponseHeaders(response, backendUrl, timing, requestId, backendWeight, meta);
     responseHeaders.set('X-Streaming-Proxy', 'true');
-    responseHeaders.set('X-Backend-Weight', `${backendWeight}`);
-    
-    if (!responseHeaders.has('Cache-Control')) {
-      responseHeaders.set('Cache-Control', 'no-store, max-age=0');
-    }
     
     return new Response(readable, {
       status: response.status,
       statusText: response.statusText,
       headers: responseHeaders
     });
-  } catch (error) {
+  } catch (caughtError) {
+    deadline.done();
+    // 超时中止时 fetch 抛出的是 AbortError，统一为超时错误
+    const error = deadline.error && !caughtError.recorded ? deadline.error : caughtError;
+    if (error.recorded) {
+      throw error;
+    }
+    
     logError('流式转发请求失败', error, requestId);
     
-    if (env.DB) {
-      try {
-        const db = new SafeD1Database(env.DB, env);
-        const clientIp = request.headers.get('cf-connecting-ip') || 
-                         request.headers.get('x-forwarded-for') || 
-                         'unknown';
-        
-        const requestData = {
-          backend_url: backendUrl,
-          backend_selection_time: backendSelectionTime,
-          response_time: 0,
-          status_code: 0,
-          success: false,
-          client_ip: clientIp,
-          error: error.message,
-          backend_weight: backendWeight
-        };
-        
-        ctx.waitUntil(db.saveRequestResult(requestData, `${requestId}-failed`));
-        
-        // 更新后端状态为失败
-        const healthResult = {
-          healthy: false,
-          responseTime: 0,
-          responseTimeScore: 0,
-          status: 0,
-          version: 'subconverter',
-          error: error.name
-        };
-        
-        const loadBalancer = new SmartWeightedLoadBalancer(env);
-        const newWeight = await loadBalancer.calculateBackendWeight(backendUrl, healthResult, db, requestId);
-        ctx.waitUntil(db.updateBackendStatusWithWeight(backendUrl, healthResult, newWeight, requestId));
-        
-        if (getConfig(env, 'NOTIFY_ON_ERROR', true)) {
-          const notifier = new ResilientTelegramNotifier(env);
-          const errorData = {
-            type: 'error',
-            request_id: requestId,
-            error_type: 'request_failed',
-            error_message: error.message,
-            backend_url: backendUrl,
-            client_ip: clientIp,
-            backend_weight: newWeight,
-            env: env
-          };
-          
-          ctx.waitUntil(notifier.sendNotification(errorData, requestId, ctx));
-        }
-      } catch (dbError) {
-        // 忽略D1写入错误
-      }
-    }
+    await recordBackendFailure(request, backendUrl, error, backendSelectionTime, requestId, env, ctx, backendWeight, attempt, tokenLabel, geo);
     
+    error.retryable = isRetryableError(error, env);
     throw error;
   }
 }
 
 // 传统请求处理
-export async function handleSubconverterRequest(request, backendUrl, backendSelectionTime, requestId, env, ctx, backendWeight) {
-  const url = new URL(request.url);
-  const backendPath = url.pathname + url.search;
+// options 与 streamProxyRequest 相同
+export async function handleSubconverterRequest(request, backendUrl, backendSelectionTime, requestId, env, ctx, backendWeight, options = {}) {
+  const { attempt = 1, canRetry = () => false, tokenLabel = null, geo = null } = options;
+  const backendFullUrl = getBackendAdapter(env, backendUrl).translateUrl(request.url, backendUrl);
   
-  console.log(`[${requestId}] 传统方式转发请求到后端: ${backendUrl}${backendPath}, 权重: ${backendWeight}`);
+  console.log(`[${requestId}] 传统方式转发请求到后端: ${redactText(backendFullUrl, env)}, 权重: ${backendWeight}, 第 ${attempt} 次尝试`);
+  
+  // 响应头超时和总超时，超时后中止后端请求
+  const deadline = new ProxyDeadline(getProxyTimeouts(env, request));
   
   try {
     const requestStartTime = Date.now();
     
-    const backendRequest = new Request(`${backendUrl}${backendPath}`, {
-      method: request.method,
-      headers: request.headers,
-      body: request.body,
-      redirect: 'follow',
-      cf: {
-        cacheEverything: false,
-        cacheTtl: 0,
-        polish: 'off',
-        scrapeShield: false
-      }
-    });
+    const fetchResult = await fetchFromBackend(request, backendUrl, requestId, env, { ...options, signal: deadline.signal });
+    deadline.headersReceived();
+    let response = fetchResult.response;
+    const responseTime = Date.now() - requestStartTime;
+    const meta = { attempt, hedged: fetchResult.hedged, hedgeWinner: fetchResult.winner, validationError: null, tokenLabel, geo };
     
-    backendRequest.headers.delete('host');
-    backendRequest.headers.set('host', new URL(backendUrl).host);
+    // 对冲后端胜出时，后续记录和响应头都以胜出后端为准
+    if (fetchResult.backendUrl !== backendUrl) {
+      backendUrl = fetchResult.backendUrl;
+      backendWeight = await getBackendWeight(
+        env.DB ? new SafeD1Database(env.DB, env) : null, backendUrl, requestId, env
+      );
+    }
     
-    backendRequest.headers.set('X-Request-ID', requestId);
-    backendRequest.headers.set('X-Forwarded-By', 'subconverter-failover-worker');
+    const adapter = getBackendAdapter(env, backendUrl);
+    meta.adapter = adapter.name;
     
-    const response = await fetch(backendRequest);
-    const responseTime = Date.now() - requestStartTime;
-    const success = response.ok;
+    // 校验响应体开头，已读取的内容会在返回的响应中回放
+    if (isResponseValidationEnabled(env, request)) {
+      const validation = await validateBackendResponse(request, response, env, requestId, adapter.validateOutput);
+      response = validation.response;
+      meta.validationError = validation.error;
+    }
+    
+    const success = response.ok && !meta.validationError;
     const totalTime = responseTime + backendSelectionTime;
+    const timing = { backendSelectionTime, responseTime, totalTime };
     
     console.log(`[${requestId}] 后端响应时间: ${responseTime}ms, 状态码: ${response.status}, 成功: ${success}`);
     
-    if (env.DB) {
-      const db = new SafeD1Database(env.DB, env);
-      const clientIp = request.headers.get('cf-connecting-ip') || 
-                       request.headers.get('x-forwarded-for') || 
-                       'unknown';
-      
-      const requestData = {
-        backend_url: backendUrl,
-        backend_selection_time: backendSelectionTime,
-        response_time: responseTime,
-        status_code: response.status,
-        success: success,
-        client_ip: clientIp,
-        total_time: totalTime,
-        backend_weight: backendWeight
-      };
-      
-      ctx.waitUntil(db.saveRequestResult(requestData, requestId));
-      
-      // 更新后端状态（每次请求后更新）
-      const healthResult = {
-        healthy: success && response.status >= 200 && response.status < 300,
-        responseTime: responseTime,
-        responseTimeScore: 0,
-        status: response.status,
-        version: 'subconverter'
-      };
-      
-      const loadBalancer = new SmartWeightedLoadBalancer(env);
-      const newWeight = await loadBalancer.calculateBackendWeight(backendUrl, healthResult, db, requestId);
-      ctx.waitUntil(db.updateBackendStatusWithWeight(backendUrl, healthResult, newWeight, requestId));
-      
-      if (getConfig(env, 'NOTIFY_ON_REQUEST', true)) {
-        const notifier = new ResilientTelegramNotifier(env);
-        const notificationData = {
-          type: 'request',
-          request_id: requestId,
-          client_ip: clientIp,
-          backend_url: backendUrl,
-          backend_selection_time: backendSelectionTime,
-          response_time: responseTime,
-          status_code: response.status,
-          success: success,
-          total_time: totalTime,
-          backend_weight: newWeight,
-          error: success ? '' : `HTTP ${response.status}`,
-          env: env
-        };
-        
-        ctx.waitUntil(notifier.sendNotification(notificationData, requestId, ctx));
-      }
-    }
+    await recordBackendResponse(request, backendUrl, response, timing, requestId, env, ctx, backendWeight, meta);
     
-    const responseHeaders = new Headers();
+    const retry = (meta.validationError || isRetryableStatus(response.status, env)) && canRetry();
+    if (retry && meta.validationError) {
+      ctx.waitUntil(response.body ? response.body.cancel().catch(() => {}) : Promise.resolve());
+      throw createInvalidResponseError(backendUrl, meta.validationError);
+    }
     
-    for (const [key, value] of response.headers.entries()) {
-      if (!key.startsWith('cf-') && key !== 'server') {
-        responseHeaders.set(key, value);
-      }
+    if (retry && isRetryableStatus(response.status, env)) {
+      ctx.waitUntil(response.body ? response.body.cancel().catch(() => {}) : Promise.resolve());
+      throw createRetryableStatusError(backendUrl, response.status);
     }
     
-    responseHeaders.set('X-Backend-Server', backendUrl);
-    responseHeaders.set('X-Response-Time', `${responseTime}ms`);
-    responseHeaders.set('X-Backend-Selection-Time', `${backendSelectionTime}ms`);
-    responseHeaders.set('X-Total-Time', `${totalTime}ms`);
-    responseHeaders.set('X-Request-ID', requestId);
-    responseHeaders.set('X-Backend-Weight', `${backendWeight}`);
+    const recordedBackendUrl = backendUrl;
+    response = withBodyDeadline(response, deadline, error => {
+      ctx.waitUntil(recordStreamFailure(recordedBackendUrl, error, requestId, env, ctx));
+    });
     
-    if (!responseHeaders.has('Cache-Control')) {
-      responseHeaders.set('Cache-Control', 'no-store, max-age=0');
-    }
+    const responseHeaders = buildProxyResponseHeaders(response, backendUrl, timing, requestId, backendWeight, meta);
     
     return new Response(response.body, {
       status: response.status,
       statusText: response.statusText,
       headers: responseHeaders
     });
-  } catch (error) {
+  } catch (caughtError) {
+    deadline.done();
+    // 超时中止时 fetch 抛出的是 AbortError，统一为超时错误
+    const error = deadline.error && !caughtError.recorded ? deadline.error : caughtError;
+    if (error.recorded) {
+      throw error;
+    }
+    
     logError('转发请求失败', error, requestId);
     
-    if (env.DB) {
-      try {
-        const db = new SafeD1Database(env.DB, env);
-        const clientIp = request.headers.get('cf-connecting-ip') || 
-                         request.headers.get('x-forwarded-for') || 
-                         'unknown';
-        
-        const requestData = {
-          backend_url: backendUrl,
-          backend_selection_time: backendSelectionTime,
-          response_time: 0,
-          status_code: 0,
-          success: false,
-          client_ip: clientIp,
-          error: error.message,
-          backend_weight: backendWeight
-        };
-        
-        ctx.waitUntil(db.saveRequestResult(requestData, `${requestId}-failed`));
-        
-        // 更新后端状态为失败
-        const healthResult = {
-          healthy: false,
-          responseTime: 0,
-          responseTimeScore: 0,
-          status: 0,
-          version: 'subconverter',
-          error: error.name
-        };
-        
-        const loadBalancer = new SmartWeightedLoadBalancer(env);
-        const newWeight = await loadBalancer.calculateBackendWeight(backendUrl, healthResult, db, requestId);
-        ctx.waitUntil(db.updateBackendStatusWithWeight(backendUrl, healthResult, newWeight, requestId));
-        
-        if (getConfig(env, 'NOTIFY_ON_ERROR', true)) {
-          const notifier = new ResilientTelegramNotifier(env);
-          const errorData = {
-            type: 'error',
-            request_id: requestId,
-            error_type: 'request_failed',
-            error_message: error.message,
-            backend_url: backendUrl,
-            client_ip: clientIp,
-            backend_weight: newWeight,
-            env: env
-          };
-          
-          ctx.waitUntil(notifier.sendNotification(errorData, requestId, ctx));
+    await recordBackendFailure(request, backendUrl, error, backendSelectionTime, requestId, env, ctx, backendWeight, attempt, tokenLabel, geo);
+    
+    error.retryable = isRetryableError(error, env);
+    throw error;
+  }
+}
+
+// 带故障转移的代理请求：所选后端出错或返回可重试状态码时，
+// 按 smartFindAvailableBackend 给出的排名依次尝试下一个后端（受 FAILOVER_MAX_ATTEMPTS 限制）
+// context: { tokenLabel, geo }
+export async function proxyWithFailover(request, selection, requestId, env, ctx, enableStreaming = true, context = {}) {
+  const maxAttempts = Math.max(1, Math.floor(getConfig(env, 'FAILOVER_MAX_ATTEMPTS', DEFAULT_FAILOVER_MAX_ATTEMPTS)));
+  const proxyFn = enableStreaming ? streamProxyRequest : handleSubconverterRequest;
+  const db = env.DB ? new SafeD1Database(env.DB, env) : null;
+  const hedging = isHedgingEnabled(env, request);
+  const breaker = new CircuitBreakerManager(env, db);
+  
+  const candidates = [
+    selection.backend,
+    ...(selection.rankedBackends || []).filter(url => url !== selection.backend)
+  ].slice(0, maxAttempts);
+  
+  // 带请求体的请求需要缓存请求体，以便在后续尝试中重放
+  const hasBody = request.body && request.method !== 'GET' && request.method !== 'HEAD';
+  const bodyBuffer = hasBody && candidates.length > 1 ? await request.arrayBuffer() : null;
+  
+  // 已尝试的后端（包括对冲请求使用的后端）
+  const triedBackends = new Set();
+  // 只有确定还会有下一次尝试时才放弃当前响应：剩余候选中有熔断器闭合的后端（allowRequest 一定放行）
+  const hasNextAttempt = () => candidates.some(url => !triedBackends.has(url) && breaker.isClosed(url));
+  let attempt = 0;
+  let lastError = null;
+  
+  for (const backendUrl of candidates) {
+    if (triedBackends.has(backendUrl)) {
+      continue;
+    }
+    
+    // 熔断中或半开试探名额已被其他请求领取的后端直接跳过
+    if (!await breaker.allowRequest(backendUrl, requestId)) {
+      console.log(`[${requestId}] 熔断器拒绝请求，跳过后端: ${backendUrl}`);
+      triedBackends.add(backendUrl);
+      continue;
+    }
+    
+    attempt++;
+    triedBackends.add(backendUrl);
+    
+    const remaining = candidates.filter(url => !triedBackends.has(url));
+    // 对冲请求只发往熔断器闭合的后端，不占用半开试探名额
+    // 主请求占用半开试探名额时不对冲：对冲请求胜出会中止主请求，试探结果无法记录，名额也不会释放
+    const hedgeBackend = hedging && breaker.isClosed(backendUrl)
+      ? remaining.find(url => breaker.isClosed(url)) || null
+      : null;
+    const attemptRequest = bodyBuffer ? new Request(request, { body: bodyBuffer }) : request;
+    const backendWeight = await getBackendWeight(db, backendUrl, requestId, env);
+    
+    try {
+      return await proxyFn(
+        attemptRequest, backendUrl, selection.selectionTime, requestId, env, ctx, backendWeight,
+        {
+          attempt,
+          canRetry: hasNextAttempt,
+          hedgeBackend,
+          triedBackends,
+          tokenLabel: context.tokenLabel || null,
+          geo: context.geo || null
         }
-      } catch (dbError) {
-        // 忽略D1写入错误
+      );
+    } catch (error) {
+      lastError = error;
+      
+      const nextBackend = candidates.find(url => !triedBackends.has(url));
+      if (!error.retryable || !nextBackend) {
+        throw error;
       }
+      
+      console.log(`[${requestId}] 第 ${attempt} 次尝试失败 (${backendUrl}): ${redactText(error.message, env)}，切换到下一个后端: ${nextBackend}`);
     }
-    
-    throw error;
   }
+  
+  if (attempt === 0) {
+    console.log(`[${requestId}] 所有候选后端均处于熔断状态，返回503`);
+    return new Response('所有候选后端均处于熔断状态，请稍后重试', {
+      status: 503,
+      headers: {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'X-Request-ID': requestId,
+        'Retry-After': `${breaker.getSettings().open_duration_seconds}`
+      }
+    });
+  }
+  
+  throw lastError;
 }
 
 // 【修改】执行完整健康检查（定时任务：检查所有后端并更新backend_status）
@@ -713,10 +1244,15 @@ export async function performFullHealthCheck(db, requestId, env, ctx = null) {
     };
   }
   
-  console.log(`[${requestId}] 定时任务：开始检查所有 ${backends.length} 个后端地址`);
+  // 清理到期的手动控制，已禁用的后端不再探测（排空的后端照常探测）
+  const controls = new BackendControlManager(env, db);
+  await controls.expireControls(requestId);
+  const { backends: probeBackends } = await controls.filterProbeTargets(backends, requestId);
+  
+  console.log(`[${requestId}] 定时任务：开始检查 ${probeBackends.length}/${backends.length} 个后端地址`);
   
   // 修复：定时任务不跳过普通优先级检查，所以要传入 false
-  const results = await batchHealthChecks(backends, requestId, env, false);
+  const results = await batchHealthChecks(probeBackends, requestId, env, false);
   
   let healthyBackends = 0;
   let loadBalancer = new SmartWeightedLoadBalancer(env);
@@ -744,7 +1280,7 @@ export async function performFullHealthCheck(db, requestId, env, ctx = null) {
         success: health.healthy
       });
       
-      const updatePromise = db.updateBackendStatusWithWeight(url, health, targetWeight, requestId)
+      const updatePromise = updateBackendStatusAndCircuit(db, url, health, targetWeight, requestId, env, 'probe')
         .then(() => {
           console.log(`[${requestId}] 后端状态更新成功: ${url}, 权重: ${targetWeight}, 健康: ${health.healthy}, 响应时间: ${health.responseTime || 0}ms`);
         })
@@ -766,6 +1302,9 @@ export async function performFullHealthCheck(db, requestId, env, ctx = null) {
       
       console.log(`[${requestId}] 定时任务：后端状态更新完成，成功: ${successfulUpdates}, 失败: ${failedUpdates}, 总计: ${updatePromises.length} 个后端`);
     }
+    
+    // 定时任务结束前写入本次积累的负载均衡状态
+    await loadBalancer.flushState(db, requestId);
   } catch (error) {
     console.error(`[${requestId}] 定时任务：后端状态更新失败:`, error);
   }
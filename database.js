@@ -5,6 +5,8 @@ import {
   getConfig
 } from './utils.js';
 import { healthCheckController } from './concurrency.js';
+import { redactText, redactClientIp } from './redaction.js';
+import { applyBackendControls } from './backend-controls.js';
 
 export class SafeD1Database {
   constructor(db, env) {
@@ -27,6 +29,7 @@ export class SafeD1Database {
   }
 
   // 【新增】获取最高权重的可用后端（权重相同则选响应时间最快的）
+  // 按手动控制排除禁用和排空的后端，固定的后端优先，有固定权重时使用固定权重
   async getHighestWeightAvailableBackend() {
     try {
       const { results } = await this.db
@@ -34,12 +37,19 @@ export class SafeD1Database {
           SELECT * FROM backend_status 
           WHERE healthy = 1 
           ORDER BY weight DESC, response_time ASC
-          LIMIT 1
         `)
         .all();
       
-      if (results.length > 0) {
-        return results[0];
+      let controls = [];
+      try {
+        controls = await this.getBackendControls();
+      } catch (error) {
+        console.warn('获取后端手动控制失败:', error.message);
+      }
+      
+      const available = applyBackendControls(results || [], controls);
+      if (available.length > 0) {
+        return available[0];
       }
       
       return null;
@@ -115,13 +125,13 @@ export class SafeD1Database {
     try {
       const stmt = this.db.prepare(`
         INSERT INTO request_results 
-        (request_id, client_ip, backend_url, backend_selection_time, response_time, status_code, success, timestamp, beijing_time, backend_weight)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        (request_id, client_ip, backend_url, backend_selection_time, response_time, status_code, success, timestamp, beijing_time, backend_weight, attempt, hedged, hedge_winner, failure_reason, timeout_type, token_label, client_country, client_colo)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       
       const result = await stmt.bind(
         data.request_id || requestId,
-        data.client_ip || 'unknown',
+        redactClientIp(data.client_ip, this.env) || 'unknown',
         data.backend_url || '',
         data.backend_selection_time || 0,
         data.response_time || 0,
@@ -129,7 +139,15 @@ export class SafeD1Database {
         data.success ? 1 : 0,
         data.timestamp || new Date().toISOString(),
         getBeijingTimeString(),
-        data.backend_weight || 0
+        data.backend_weight || 0,
+        data.attempt || 1,
+        data.hedged ? 1 : 0,
+        data.hedged ? (data.hedge_winner || 'primary') : null,
+        redactText(data.failure_reason, this.env) || null,
+        data.timeout_type || null,
+        data.token_label || null,
+        data.client_country || null,
+        data.client_colo || null
       ).run();
       
       return result;
@@ -139,6 +157,138 @@ export class SafeD1Database {
     }
   }
 
+  // 响应体传输结束后补充传输统计；传输失败（超时、截断、后端中断）时同时把该请求改为失败
+  // data: { bytes, ttfb, transferTime, expectedBytes, failed, truncated, failureReason, timeoutType }
+  async updateRequestTransfer(requestId, backendUrl, data) {
+    try {
+      await this.db
+        .prepare(`
+          UPDATE request_results 
+          SET bytes_transferred = COALESCE(?, bytes_transferred),
+              ttfb = COALESCE(?, ttfb),
+              transfer_time = COALESCE(?, transfer_time),
+              expected_bytes = COALESCE(?, expected_bytes),
+              truncated = ?,
+              success = CASE WHEN ? = 1 THEN 0 ELSE success END,
+              failure_reason = COALESCE(?, failure_reason),
+              timeout_type = COALESCE(?, timeout_type)
+          WHERE id = (SELECT MAX(id) FROM request_results WHERE request_id = ? AND backend_url = ?)
+        `)
+        .bind(
+          data.bytes ?? null,
+          data.ttfb ?? null,
+          data.transferTime ?? null,
+          data.expectedBytes ?? null,
+          data.truncated ? 1 : 0,
+          data.failed ? 1 : 0,
+          redactText(data.failureReason, this.env) || null,
+          data.timeoutType || null,
+          requestId,
+          backendUrl
+        )
+        .run();
+    } catch (error) {
+      console.warn(`[${requestId}] 记录响应体传输统计失败: ${error.message}`);
+    }
+  }
+
+  // 按后端统计最近请求的响应大小、首字节时间、传输时间和截断次数
+  async getTransferStats(limit = 500) {
+    try {
+      const { results } = await this.db
+        .prepare(`
+          SELECT 
+            backend_url,
+            COUNT(bytes_transferred) as samples,
+            AVG(bytes_transferred) as avg_bytes,
+            MAX(bytes_transferred) as max_bytes,
+            AVG(ttfb) as avg_ttfb,
+            AVG(transfer_time) as avg_transfer_time,
+            SUM(CASE WHEN truncated = 1 THEN 1 ELSE 0 END) as truncated_count,
+            SUM(CASE WHEN timeout_type IS NOT NULL THEN 1 ELSE 0 END) as timeout_count
+          FROM (
+            SELECT backend_url, bytes_transferred, ttfb, transfer_time, truncated, timeout_type 
+            FROM request_results ORDER BY id DESC LIMIT ?
+          )
+          GROUP BY backend_url
+        `)
+        .bind(limit)
+        .all();
+      
+      return (results || []).map(row => ({
+        backend_url: row.backend_url,
+        samples: row.samples || 0,
+        avg_bytes: Math.round(row.avg_bytes || 0),
+        max_bytes: row.max_bytes || 0,
+        avg_ttfb: Math.round(row.avg_ttfb || 0),
+        avg_transfer_time: Math.round(row.avg_transfer_time || 0),
+        truncated_count: row.truncated_count || 0,
+        timeout_count: row.timeout_count || 0
+      }));
+    } catch (error) {
+      console.error('获取传输统计失败:', error);
+      return [];
+    }
+  }
+
+  // 某个国家/地区的客户端在时间窗口内各后端的成功率和平均响应时间（只统计成功请求的响应时间）
+  async getRegionalBackendStats(country, since) {
+    const { results } = await this.db
+      .prepare(`
+        SELECT 
+          backend_url,
+          COUNT(*) as samples,
+          AVG(success) as success_rate,
+          AVG(CASE WHEN success = 1 THEN response_time END) as avg_response_time
+        FROM request_results 
+        WHERE client_country = ? AND timestamp >= ?
+        GROUP BY backend_url
+      `)
+      .bind(country, since)
+      .all();
+    
+    return (results || []).map(row => ({
+      backend_url: row.backend_url,
+      samples: row.samples || 0,
+      success_rate: row.success_rate || 0,
+      avg_response_time: row.avg_response_time ? Math.round(row.avg_response_time) : null
+    }));
+  }
+
+  // 按国家/地区和后端汇总请求结果（地区路由统计页面使用）
+  async getGeoStats(since) {
+    try {
+      const { results } = await this.db
+        .prepare(`
+          SELECT 
+            client_country,
+            backend_url,
+            COUNT(*) as samples,
+            AVG(success) as success_rate,
+            AVG(CASE WHEN success = 1 THEN response_time END) as avg_response_time,
+            COUNT(DISTINCT client_colo) as colos
+          FROM request_results 
+          WHERE client_country IS NOT NULL AND timestamp >= ?
+          GROUP BY client_country, backend_url
+          ORDER BY client_country, samples DESC
+        `)
+        .bind(since)
+        .all();
+      
+      return (results || []).map(row => ({
+        country: row.client_country,
+        backend_url: row.backend_url,
+        samples: row.samples || 0,
+        success_rate: row.success_rate || 0,
+        avg_response_time: row.avg_response_time ? Math.round(row.avg_response_time) : null,
+        colos: row.colos || 0
+      }));
+    } catch (error) {
+      console.error('获取地区统计失败:', error);
+      return [];
+    }
+  }
+
   // 保存Telegram通知记录到D1
   async saveTelegramNotification(data, requestId) {
     try {
@@ -151,12 +301,12 @@ export class SafeD1Database {
       const result = await stmt.bind(
         data.notification_type || 'unknown',
         data.request_id || requestId,
-        data.client_ip || 'unknown',
+        redactClientIp(data.client_ip, this.env) || 'unknown',
         data.backend_url || '',
         data.status_code || 0,
         data.response_time || 0,
         data.success ? 1 : 0,
-        data.message || '',
+        redactText(data.message, this.env) || '',
         data.sent_time || new Date().toISOString(),
         getBeijingTimeString()
       ).run();
@@ -322,6 +472,64 @@ export class SafeD1Database {
     }
   }
 
+  // 获取后端最近成功请求的响应时间（用于计算对冲延迟）
+  async getRecentResponseTimes(backendUrl, limit = 50) {
+    try {
+      const { results } = await this.db
+        .prepare(`
+          SELECT response_time FROM request_results 
+          WHERE backend_url = ? AND success = 1 AND response_time > 0
+          ORDER BY id DESC 
+          LIMIT ?
+        `)
+        .bind(backendUrl, limit)
+        .all();
+      return (results || []).map(row => row.response_time);
+    } catch (error) {
+      console.error('获取最近响应时间失败:', error);
+      return [];
+    }
+  }
+
+  // 获取请求对冲统计（最近N条请求）
+  async getHedgingStats(limit = 500) {
+    try {
+      const stats = await this.db
+        .prepare(`
+          SELECT 
+            COUNT(*) as total_requests,
+            SUM(CASE WHEN hedged = 1 THEN 1 ELSE 0 END) as hedged_requests,
+            SUM(CASE WHEN hedged = 1 AND hedge_winner = 'hedge' THEN 1 ELSE 0 END) as hedge_wins
+          FROM (SELECT hedged, hedge_winner FROM request_results ORDER BY id DESC LIMIT ?)
+        `)
+        .bind(limit)
+        .first();
+      
+      const totalRequests = stats?.total_requests || 0;
+      const hedgedRequests = stats?.hedged_requests || 0;
+      const hedgeWins = stats?.hedge_wins || 0;
+      
+      return {
+        total_requests: totalRequests,
+        hedged_requests: hedgedRequests,
+        hedge_wins: hedgeWins,
+        primary_wins: hedgedRequests - hedgeWins,
+        hedge_rate: totalRequests > 0 ? hedgedRequests / totalRequests : 0,
+        hedge_win_rate: hedgedRequests > 0 ? hedgeWins / hedgedRequests : 0
+      };
+    } catch (error) {
+      console.error('获取对冲统计失败:', error);
+      return {
+        total_requests: 0,
+        hedged_requests: 0,
+        hedge_wins: 0,
+        primary_wins: 0,
+        hedge_rate: 0,
+        hedge_win_rate: 0
+      };
+    }
+  }
+
   // 获取最近Telegram通知记录
   async getRecentTelegramNotifications(limit = 20) {
     try {
@@ -656,6 +864,56 @@ export class SafeD1Database {
       // 获取Telegram通知
       const telegramNotifications = await this.getRecentTelegramNotifications(10);
       
+      // 获取请求对冲统计
+      const hedgingStats = await this.getHedgingStats();
+      
+      // 获取最近被限流的客户端
+      const rateLimitOffenders = await this.getRateLimitOffenders(5);
+      
+      // 获取后端能力记录
+      let backendCapabilities = [];
+      try {
+        backendCapabilities = await this.getBackendCapabilities();
+      } catch (error) {
+        console.log('获取后端能力失败:', error.message);
+      }
+      
+      // 获取请求合并统计
+      const coalescingStats = await this.getCoalescingStats();
+      
+      // 获取各后端的传输统计
+      const transferStats = await this.getTransferStats();
+      
+      // 获取熔断器状态
+      let circuitBreakers = [];
+      try {
+        circuitBreakers = await this.getCircuitBreakers();
+      } catch (error) {
+        console.log('获取熔断器状态失败:', error.message);
+      }
+      
+      // 获取后端手动控制和最近的操作记录
+      let backendControls = [];
+      let backendControlAudit = [];
+      try {
+        backendControls = await this.getBackendControls();
+        backendControlAudit = await this.getBackendControlAudit(10);
+      } catch (error) {
+        console.log('获取后端手动控制失败:', error.message);
+      }
+      
+      // 获取最近一次权重计算的解释
+      const weightBreakdowns = {};
+      try {
+        for (const row of await this.getLoadBalancerState()) {
+          if (row.weight_breakdown) {
+            weightBreakdowns[row.backend_url] = JSON.parse(row.weight_breakdown);
+          }
+        }
+      } catch (error) {
+        console.log('获取权重解释失败:', error.message);
+      }
+      
       // 获取Telegram通知总数
       let totalTelegramSent = 0;
       try {
@@ -726,6 +984,15 @@ export class SafeD1Database {
           avgWeight: Math.round(avgWeight)
         },
         concurrentStats: concurrentStats,
+        hedgingStats: hedgingStats,
+        rateLimitOffenders: rateLimitOffenders,
+        backendCapabilities: backendCapabilities,
+        circuitBreakers: circuitBreakers,
+        weightBreakdowns: weightBreakdowns,
+        backendControls: backendControls,
+        backendControlAudit: backendControlAudit,
+        coalescingStats: coalescingStats,
+        transferStats: transferStats,
         // 【修改】使用最高权重的健康后端作为可用后端
         availableBackend: currentAvailableBackend,
         // 【新增】返回最高权重后端信息用于显示，包括当前响应时间
@@ -799,12 +1066,32 @@ export class SafeD1Database {
         .bind(cutoffStr)
         .run();
       
-      console.log(`数据清理完成: 删除了 ${healthCheckResult.changes} 条健康检查记录, ${requestResult.changes} 条请求记录, ${telegramNotificationResult.changes} 条Telegram通知记录`);
+      const rateLimitResult = await this.db
+        .prepare('DELETE FROM rate_limits WHERE updated_at < ?')
+        .bind(cutoffDate.getTime())
+        .run();
+      
+      // 长时间没有更新的负载均衡状态（通常是已移除的后端）
+      const lbStateResult = await this.db
+        .prepare('DELETE FROM lb_state WHERE last_update < ?')
+        .bind(cutoffDate.getTime())
+        .run();
+      
+      // 过期的短链接保留一段时间，期间访问返回410而不是404
+      const shortLinkResult = await this.db
+        .prepare('DELETE FROM short_links WHERE expires_at IS NOT NULL AND expires_at < ?')
+        .bind(cutoffStr)
+        .run();
+      
+      console.log(`数据清理完成: 删除了 ${healthCheckResult.changes} 条健康检查记录, ${requestResult.changes} 条请求记录, ${telegramNotificationResult.changes} 条Telegram通知记录, ${rateLimitResult.changes} 条限流记录, ${lbStateResult.changes} 条负载均衡状态, ${shortLinkResult.changes} 条过期短链接`);
       
       return {
         health_checks_deleted: healthCheckResult.changes,
         requests_deleted: requestResult.changes,
-        telegram_notifications_deleted: telegramNotificationResult.changes
+        telegram_notifications_deleted: telegramNotificationResult.changes,
+        rate_limits_deleted: rateLimitResult.changes,
+        lb_state_deleted: lbStateResult.changes,
+        short_links_deleted: shortLinkResult.changes
       };
     } catch (error) {
       console.error('清理旧数据失败:', error);
@@ -812,6 +1099,731 @@ export class SafeD1Database {
     }
   }
 
+  // 保存或更新最后可用快照
+  async saveLastKnownGood(data, requestId) {
+    try {
+      const result = await this.db
+        .prepare(`
+          INSERT INTO last_known_good 
+          (snapshot_key, target, backend_url, body, headers, size, encrypted, content_hash, hit_count, created_at, beijing_time)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?)
+          ON CONFLICT(snapshot_key) DO UPDATE SET
+            target = excluded.target,
+            backend_url = excluded.backend_url,
+            body = excluded.body,
+            headers = excluded.headers,
+            size = excluded.size,
+            encrypted = excluded.encrypted,
+            content_hash = excluded.content_hash,
+            created_at = excluded.created_at,
+            beijing_time = excluded.beijing_time
+        `)
+        .bind(
+          data.snapshot_key,
+          data.target || '',
+          data.backend_url || '',
+          data.body,
+          data.headers || '{}',
+          data.size || 0,
+          data.encrypted ? 1 : 0,
+          data.content_hash || null,
+          new Date().toISOString(),
+          getBeijingTimeString()
+        )
+        .run();
+      
+      return result;
+    } catch (error) {
+      console.error(`[${requestId}] 保存最后可用快照失败:`, error);
+      throw error;
+    }
+  }
+
+  // 快照的保存时间和内容哈希（不读取内容），用于限制快照写入频率
+  async getLastKnownGoodMeta(snapshotKey) {
+    return await this.db
+      .prepare('SELECT created_at, content_hash FROM last_known_good WHERE snapshot_key = ?')
+      .bind(snapshotKey)
+      .first();
+  }
+
+  // 内容未变化时只刷新快照的保存时间
+  async touchLastKnownGood(snapshotKey, backendUrl) {
+    await this.db
+      .prepare('UPDATE last_known_good SET backend_url = ?, created_at = ?, beijing_time = ? WHERE snapshot_key = ?')
+      .bind(backendUrl || '', new Date().toISOString(), getBeijingTimeString(), snapshotKey)
+      .run();
+  }
+
+  // 获取最后可用快照
+  async getLastKnownGood(snapshotKey) {
+    try {
+      const result = await this.db
+        .prepare('SELECT * FROM last_known_good WHERE snapshot_key = ?')
+        .bind(snapshotKey)
+        .first();
+      return result || null;
+    } catch (error) {
+      console.error(`获取最后可用快照失败: ${snapshotKey}`, error);
+      return null;
+    }
+  }
+
+  // 记录快照被使用
+  async markLastKnownGoodServed(snapshotKey) {
+    try {
+      await this.db
+        .prepare(`
+          UPDATE last_known_good 
+          SET hit_count = hit_count + 1, last_served_beijing = ?
+          WHERE snapshot_key = ?
+        `)
+        .bind(getBeijingTimeString(), snapshotKey)
+        .run();
+    } catch (error) {
+      console.warn(`更新快照使用次数失败: ${error.message}`);
+    }
+  }
+
+  // 列出最后可用快照（不含内容）
+  async listLastKnownGood(limit = 100) {
+    try {
+      const { results } = await this.db
+        .prepare(`
+          SELECT snapshot_key, target, backend_url, size, encrypted, hit_count, 
+                 created_at, beijing_time, last_served_beijing
+          FROM last_known_good 
+          ORDER BY created_at DESC 
+          LIMIT ?
+        `)
+        .bind(limit)
+        .all();
+      return results || [];
+    } catch (error) {
+      console.error('获取最后可用快照列表失败:', error);
+      return [];
+    }
+  }
+
+  // 清除最后可用快照，未指定键时清除全部
+  async purgeLastKnownGood(snapshotKey = null) {
+    try {
+      const result = snapshotKey
+        ? await this.db
+          .prepare('DELETE FROM last_known_good WHERE snapshot_key = ?')
+          .bind(snapshotKey)
+          .run()
+        : await this.db
+          .prepare('DELETE FROM last_known_good')
+          .run();
+      
+      return result.meta?.changes ?? result.changes ?? 0;
+    } catch (error) {
+      console.error('清除最后可用快照失败:', error);
+      throw error;
+    }
+  }
+
+  // 获取限流令牌桶状态
+  async getRateLimitBucket(bucketKey) {
+    const result = await this.db
+      .prepare('SELECT tokens, updated_at FROM rate_limits WHERE bucket_key = ?')
+      .bind(bucketKey)
+      .first();
+    return result || null;
+  }
+
+  // 保存限流令牌桶状态（requests/rejected 为本次同步新增的计数）
+  async saveRateLimitBucket(data) {
+    return this.db
+      .prepare(`
+        INSERT INTO rate_limits 
+        (bucket_key, tokens, updated_at, total_requests, rejected_requests, last_rejected_at, last_seen_beijing)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(bucket_key) DO UPDATE SET
+          tokens = excluded.tokens,
+          updated_at = excluded.updated_at,
+          total_requests = total_requests + excluded.total_requests,
+          rejected_requests = rejected_requests + excluded.rejected_requests,
+          last_rejected_at = COALESCE(excluded.last_rejected_at, last_rejected_at),
+          last_seen_beijing = excluded.last_seen_beijing
+      `)
+      .bind(
+        data.bucket_key,
+        data.tokens,
+        data.updated_at,
+        data.requests || 0,
+        data.rejected || 0,
+        data.last_rejected_at || null,
+        data.beijing_time || getBeijingTimeString()
+      )
+      .run();
+  }
+
+  // 获取被限流最多的客户端
+  async getRateLimitOffenders(limit = 20) {
+    try {
+      const { results } = await this.db
+        .prepare(`
+          SELECT bucket_key, tokens, total_requests, rejected_requests, last_rejected_at, last_seen_beijing
+          FROM rate_limits 
+          WHERE rejected_requests > 0
+          ORDER BY last_rejected_at DESC, rejected_requests DESC 
+          LIMIT ?
+        `)
+        .bind(limit)
+        .all();
+      
+      return (results || []).map(row => ({
+        ...row,
+        last_rejected_beijing: row.last_rejected_at ? getBeijingTimeString(new Date(row.last_rejected_at)) : null
+      }));
+    } catch (error) {
+      console.error('获取限流客户端失败:', error);
+      return [];
+    }
+  }
+
+  // 创建访问令牌
+  async createAccessToken(data) {
+    const result = await this.db
+      .prepare(`
+        INSERT INTO access_tokens 
+        (label, token_hash, token_prefix, expires_at, daily_quota, total_quota, created_at, created_at_beijing)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+      .bind(
+        data.label,
+        data.token_hash,
+        data.token_prefix,
+        data.expires_at || null,
+        data.daily_quota || null,
+        data.total_quota || null,
+        new Date().toISOString(),
+        getBeijingTimeString()
+      )
+      .run();
+    
+    return this.getAccessTokenById(result.meta?.last_row_id);
+  }
+
+  // 按令牌哈希获取访问令牌
+  async getAccessTokenByHash(tokenHash) {
+    try {
+      const result = await this.db
+        .prepare('SELECT * FROM access_tokens WHERE token_hash = ?')
+        .bind(tokenHash)
+        .first();
+      return result || null;
+    } catch (error) {
+      console.error('获取访问令牌失败:', error);
+      return null;
+    }
+  }
+
+  // 按ID获取访问令牌（不含令牌哈希）
+  async getAccessTokenById(id) {
+    const result = await this.db
+      .prepare(`
+        SELECT id, label, token_prefix, expires_at, daily_quota, total_quota, total_requests, 
+               daily_requests, usage_date, last_used_beijing, revoked, revoked_at_beijing, 
+               created_at, created_at_beijing
+        FROM access_tokens WHERE id = ?
+      `)
+      .bind(id)
+      .first();
+    return result || null;
+  }
+
+  // 列出访问令牌（不含令牌哈希）
+  async listAccessTokens() {
+    const { results } = await this.db
+      .prepare(`
+        SELECT id, label, token_prefix, expires_at, daily_quota, total_quota, total_requests, 
+               daily_requests, usage_date, last_used_beijing, revoked, revoked_at_beijing, 
+               created_at, created_at_beijing
+        FROM access_tokens 
+        ORDER BY created_at DESC
+      `)
+      .all();
+    return results || [];
+  }
+
+  // 吊销访问令牌
+  async revokeAccessToken(id) {
+    const result = await this.db
+      .prepare('UPDATE access_tokens SET revoked = 1, revoked_at_beijing = ? WHERE id = ? AND revoked = 0')
+      .bind(getBeijingTimeString(), id)
+      .run();
+    return (result.meta?.changes ?? result.changes ?? 0) > 0;
+  }
+
+  // 轮换访问令牌：替换令牌哈希，保留标签、配额和用量
+  async rotateAccessToken(id, tokenHash, tokenPrefix) {
+    const result = await this.db
+      .prepare('UPDATE access_tokens SET token_hash = ?, token_prefix = ? WHERE id = ? AND revoked = 0')
+      .bind(tokenHash, tokenPrefix, id)
+      .run();
+    return (result.meta?.changes ?? result.changes ?? 0) > 0;
+  }
+
+  // 记录访问令牌用量（按北京时间日期重置每日计数）
+  async recordAccessTokenUsage(id) {
+    try {
+      const today = getBeijingDateString();
+      await this.db
+        .prepare(`
+          UPDATE access_tokens 
+          SET total_requests = total_requests + 1,
+              daily_requests = CASE WHEN usage_date = ? THEN daily_requests + 1 ELSE 1 END,
+              usage_date = ?,
+              last_used_beijing = ?
+          WHERE id = ?
+        `)
+        .bind(today, today, getBeijingTimeString(), id)
+        .run();
+    } catch (error) {
+      console.warn(`记录访问令牌用量失败: ${error.message}`);
+    }
+  }
+
+  // 获取全部后端能力记录（探测结果和手动设置）
+  async getBackendCapabilities() {
+    const { results } = await this.db
+      .prepare('SELECT * FROM backend_capabilities ORDER BY backend_url, capability, source')
+      .all();
+    return results || [];
+  }
+
+  // 保存能力探测结果
+  async saveCapabilityProbe(data) {
+    try {
+      await this.db
+        .prepare(`
+          INSERT INTO backend_capabilities 
+          (backend_url, capability, supported, source, detail, checked_at, checked_at_beijing)
+          VALUES (?, ?, ?, 'probe', ?, ?, ?)
+          ON CONFLICT(backend_url, capability, source) DO UPDATE SET
+            supported = excluded.supported,
+            detail = excluded.detail,
+            checked_at = excluded.checked_at,
+            checked_at_beijing = excluded.checked_at_beijing
+        `)
+        .bind(
+          data.backend_url,
+          data.capability,
+          data.supported ? 1 : 0,
+          data.detail || null,
+          new Date().toISOString(),
+          data.beijing_time || getBeijingTimeString()
+        )
+        .run();
+    } catch (error) {
+      console.warn(`保存能力探测结果失败: ${error.message}`);
+    }
+  }
+
+  // 手动设置后端能力（优先于探测结果）
+  async setCapabilityOverride(backendUrl, capability, supported, note = null) {
+    await this.db
+      .prepare(`
+        INSERT INTO backend_capabilities 
+        (backend_url, capability, supported, source, detail, checked_at, checked_at_beijing)
+        VALUES (?, ?, ?, 'override', ?, ?, ?)
+        ON CONFLICT(backend_url, capability, source) DO UPDATE SET
+          supported = excluded.supported,
+          detail = excluded.detail,
+          checked_at = excluded.checked_at,
+          checked_at_beijing = excluded.checked_at_beijing
+      `)
+      .bind(backendUrl, capability, supported ? 1 : 0, note, new Date().toISOString(), getBeijingTimeString())
+      .run();
+  }
+
+  // 删除手动设置，恢复使用探测结果
+  async deleteCapabilityOverride(backendUrl, capability) {
+    const result = await this.db
+      .prepare("DELETE FROM backend_capabilities WHERE backend_url = ? AND capability = ? AND source = 'override'")
+      .bind(backendUrl, capability)
+      .run();
+    return (result.meta?.changes ?? result.changes ?? 0) > 0;
+  }
+
+  // 获取全部熔断器状态
+  async getCircuitBreakers() {
+    const { results } = await this.db
+      .prepare('SELECT * FROM circuit_breakers ORDER BY backend_url')
+      .all();
+    return results || [];
+  }
+
+  // 原子记录一次结果：更新连续失败次数、滑动窗口和半开试探成功次数，返回更新后的记录
+  // 计数在SQL中累加，多个isolate同时记录时不会互相覆盖；状态转换由 transitionCircuitState 完成
+  async recordCircuitOutcome(backendUrl, { success, reason, countTrial, now, windowStart, maxOutcomes }) {
+    return await this.db
+      .prepare(`
+        INSERT INTO circuit_breakers 
+        (backend_url, state, consecutive_failures, outcomes, half_open_trials, half_open_successes,
+         last_failure_reason, updated_at, updated_at_beijing)
+        VALUES (?1, 'closed', 1 - ?2, json_array(json_array(?3, ?2)), 0, 0, CASE WHEN ?2 THEN NULL ELSE ?4 END, ?7, ?8)
+        ON CONFLICT(backend_url) DO UPDATE SET
+          consecutive_failures = CASE WHEN ?2 THEN 0 ELSE consecutive_failures + 1 END,
+          outcomes = (
+            SELECT json_group_array(json(value)) FROM (
+              SELECT key, value FROM (
+                SELECT key, value FROM json_each(circuit_breakers.outcomes)
+                WHERE json_extract(value, '$[0]') > ?5
+                UNION ALL
+                SELECT 2147483647, json_array(?3, ?2)
+                ORDER BY key DESC
+                LIMIT ?6
+              )
+              ORDER BY key
+            )
+          ),
+          half_open_successes = CASE
+            WHEN state = 'half_open' AND ?2 AND ?9 THEN half_open_successes + 1
+            ELSE half_open_successes
+          END,
+          last_failure_reason = CASE WHEN ?2 THEN last_failure_reason ELSE ?4 END,
+          updated_at = ?7,
+          updated_at_beijing = ?8
+        RETURNING *
+      `)
+      .bind(
+        backendUrl,
+        success ? 1 : 0,
+        now,
+        reason || null,
+        windowStart,
+        maxOutcomes,
+        new Date(now).toISOString(),
+        getBeijingTimeString(new Date(now)),
+        countTrial ? 1 : 0
+      )
+      .first();
+  }
+
+  // 熔断器状态转换（条件更新，多个isolate同时转换时只生效一次）
+  // 转为 open 时记录熔断时间；转为 closed 时清空连续失败次数和滑动窗口
+  async transitionCircuitState(backendUrl, fromState, toState, now = Date.now()) {
+    const result = await this.db
+      .prepare(`
+        UPDATE circuit_breakers 
+        SET state = ?1,
+            opened_at = CASE WHEN ?1 = 'open' THEN ?3 ELSE opened_at END,
+            consecutive_failures = CASE WHEN ?1 = 'closed' THEN 0 ELSE consecutive_failures END,
+            outcomes = CASE WHEN ?1 = 'closed' THEN '[]' ELSE outcomes END,
+            half_open_trials = 0, half_open_successes = 0,
+            state_changed_beijing = ?4, updated_at = ?5, updated_at_beijing = ?4
+        WHERE backend_url = ?6 AND state = ?2
+      `)
+      .bind(toState, fromState, now, getBeijingTimeString(new Date(now)), new Date(now).toISOString(), backendUrl)
+      .run();
+    return (result.meta?.changes ?? result.changes ?? 0) > 0;
+  }
+
+  // 熔断到期后转为半开（条件更新，多个isolate同时转换时只生效一次）
+  async transitionCircuitToHalfOpen(backendUrl, openedBefore) {
+    const result = await this.db
+      .prepare(`
+        UPDATE circuit_breakers 
+        SET state = 'half_open', half_open_trials = 0, half_open_successes = 0,
+            state_changed_beijing = ?, updated_at = ?, updated_at_beijing = ?
+        WHERE backend_url = ? AND state = 'open' AND opened_at <= ?
+      `)
+      .bind(getBeijingTimeString(), new Date().toISOString(), getBeijingTimeString(), backendUrl, openedBefore)
+      .run();
+    return (result.meta?.changes ?? result.changes ?? 0) > 0;
+  }
+
+  // 领取一个半开试探名额，名额已用完时返回 false
+  // 最近一次领取早于 staleBefore 时，未返回结果的名额视为丢失，只保留已成功的试探重新计数
+  async acquireHalfOpenTrial(backendUrl, maxTrials, staleBefore) {
+    const now = Date.now();
+    const result = await this.db
+      .prepare(`
+        UPDATE circuit_breakers 
+        SET half_open_trials = CASE
+              WHEN COALESCE(half_open_trial_at, 0) < ?1 THEN half_open_successes + 1
+              ELSE half_open_trials + 1
+            END,
+            half_open_trial_at = ?2, updated_at = ?3, updated_at_beijing = ?4
+        WHERE backend_url = ?5 AND state = 'half_open'
+          AND (half_open_trials < ?6 OR COALESCE(half_open_trial_at, 0) < ?1)
+      `)
+      .bind(staleBefore, now, new Date(now).toISOString(), getBeijingTimeString(new Date(now)), backendUrl, maxTrials)
+      .run();
+    return (result.meta?.changes ?? result.changes ?? 0) > 0;
+  }
+
+  // 手动重置熔断器（删除记录即恢复为闭合状态）
+  async resetCircuitBreaker(backendUrl) {
+    const result = await this.db
+      .prepare('DELETE FROM circuit_breakers WHERE backend_url = ?')
+      .bind(backendUrl)
+      .run();
+    return (result.meta?.changes ?? result.changes ?? 0) > 0;
+  }
+
+  // 获取所有后端的负载均衡状态
+  async getLoadBalancerState() {
+    const { results } = await this.db
+      .prepare('SELECT backend_url, weight, last_update, response_times, weight_breakdown FROM lb_state')
+      .all();
+    return results || [];
+  }
+
+  // 批量保存负载均衡状态，只有更新时间不早于已保存状态时才覆盖
+  async saveLoadBalancerState(rows) {
+    const statements = rows.map(row => this.db
+      .prepare(`
+        INSERT INTO lb_state (backend_url, weight, last_update, response_times, weight_breakdown, updated_at_beijing)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(backend_url) DO UPDATE SET
+          weight = excluded.weight,
+          last_update = excluded.last_update,
+          response_times = excluded.response_times,
+          weight_breakdown = excluded.weight_breakdown,
+          updated_at_beijing = excluded.updated_at_beijing
+        WHERE excluded.last_update >= lb_state.last_update
+      `)
+      .bind(row.backend_url, row.weight, row.last_update, row.response_times, row.weight_breakdown ?? null, row.beijing_time || getBeijingTimeString())
+    );
+    
+    if (statements.length > 0) {
+      await this.db.batch(statements);
+    }
+  }
+
+  // 获取全部后端手动控制（包括已到期但尚未清理的）
+  async getBackendControls() {
+    const { results } = await this.db
+      .prepare('SELECT * FROM backend_controls ORDER BY updated_at DESC')
+      .all();
+    return results || [];
+  }
+
+  async getBackendControl(backendUrl) {
+    return await this.db
+      .prepare('SELECT * FROM backend_controls WHERE backend_url = ?')
+      .bind(backendUrl)
+      .first();
+  }
+
+  // 审计记录插入语句；onlyIfChanged 时只有同一批次中上一条语句修改了数据才插入
+  prepareBackendControlAudit(audit, onlyIfChanged = false) {
+    return this.db
+      .prepare(`
+        INSERT INTO backend_control_audit
+        (backend_url, action, previous_state, new_state, operator, client_ip, note, request_id, timestamp, beijing_time)
+        SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+        WHERE ? = 0 OR changes() > 0
+      `)
+      .bind(
+        audit.backend_url,
+        audit.action,
+        audit.previous_state ? JSON.stringify(audit.previous_state) : null,
+        audit.new_state ? JSON.stringify(audit.new_state) : null,
+        audit.operator || null,
+        redactClientIp(audit.client_ip, this.env) || null,
+        audit.note || null,
+        audit.request_id || null,
+        audit.timestamp,
+        getBeijingTimeString(new Date(audit.timestamp)),
+        onlyIfChanged ? 1 : 0
+      );
+  }
+
+  // 保存后端手动控制，同一批次写入审计记录
+  async saveBackendControl(row, audit) {
+    await this.db.batch([
+      this.db
+        .prepare(`
+          INSERT INTO backend_controls
+          (backend_url, mode, weight_override, expires_at, note, updated_by, updated_at, updated_at_beijing, expires_at_beijing)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(backend_url) DO UPDATE SET
+            mode = excluded.mode,
+            weight_override = excluded.weight_override,
+            expires_at = excluded.expires_at,
+            note = excluded.note,
+            updated_by = excluded.updated_by,
+            updated_at = excluded.updated_at,
+            updated_at_beijing = excluded.updated_at_beijing,
+            expires_at_beijing = excluded.expires_at_beijing
+        `)
+        .bind(
+          row.backend_url,
+          row.mode,
+          row.weight_override,
+          row.expires_at,
+          row.note,
+          row.updated_by,
+          row.updated_at,
+          row.updated_at_beijing,
+          row.expires_at_beijing
+        ),
+      this.prepareBackendControlAudit(audit)
+    ]);
+  }
+
+  // 删除后端手动控制，确实删除时才写入审计记录
+  // expiredBefore: 只删除在该时间前到期的控制（避免删除刚被重新设置的控制）
+  async deleteBackendControl(backendUrl, audit, expiredBefore = null) {
+    const remove = expiredBefore === null
+      ? this.db.prepare('DELETE FROM backend_controls WHERE backend_url = ?').bind(backendUrl)
+      : this.db
+        .prepare('DELETE FROM backend_controls WHERE backend_url = ? AND expires_at IS NOT NULL AND expires_at <= ?')
+        .bind(backendUrl, expiredBefore);
+    
+    await this.db.batch([remove, this.prepareBackendControlAudit(audit, true)]);
+  }
+
+  // 获取后端手动控制审计记录（最新在前）
+  async getBackendControlAudit(limit = 50, backendUrl = null) {
+    const statement = backendUrl
+      ? this.db
+        .prepare('SELECT * FROM backend_control_audit WHERE backend_url = ? ORDER BY timestamp DESC, id DESC LIMIT ?')
+        .bind(backendUrl, limit)
+      : this.db
+        .prepare('SELECT * FROM backend_control_audit ORDER BY timestamp DESC, id DESC LIMIT ?')
+        .bind(limit);
+    
+    const { results } = await statement.all();
+    return (results || []).map(row => ({
+      ...row,
+      previous_state: row.previous_state ? JSON.parse(row.previous_state) : null,
+      new_state: row.new_state ? JSON.parse(row.new_state) : null
+    }));
+  }
+
+  // 记录一次合并：shared_fetches 加1，coalesced_requests 加上共享响应的请求数（按北京时间日期汇总）
+  async recordCoalescedRequests(count) {
+    try {
+      await this.db
+        .prepare(`
+          INSERT INTO coalescing_stats (date, shared_fetches, coalesced_requests, max_waiters, updated_at_beijing)
+          VALUES (?, 1, ?, ?, ?)
+          ON CONFLICT(date) DO UPDATE SET
+            shared_fetches = shared_fetches + 1,
+            coalesced_requests = coalesced_requests + excluded.coalesced_requests,
+            max_waiters = MAX(max_waiters, excluded.max_waiters),
+            updated_at_beijing = excluded.updated_at_beijing
+        `)
+        .bind(getBeijingDateString(), count, count, getBeijingTimeString())
+        .run();
+    } catch (error) {
+      console.warn(`记录请求合并统计失败: ${error.message}`);
+    }
+  }
+
+  // 获取最近几天的请求合并统计
+  async getCoalescingStats(days = 7) {
+    try {
+      const { results } = await this.db
+        .prepare('SELECT * FROM coalescing_stats ORDER BY date DESC LIMIT ?')
+        .bind(days)
+        .all();
+      
+      const rows = results || [];
+      const today = getBeijingDateString();
+      
+      return {
+        today: rows.find(row => row.date === today) || { date: today, shared_fetches: 0, coalesced_requests: 0, max_waiters: 0 },
+        total_shared_fetches: rows.reduce((sum, row) => sum + (row.shared_fetches || 0), 0),
+        total_coalesced_requests: rows.reduce((sum, row) => sum + (row.coalesced_requests || 0), 0),
+        days: rows
+      };
+    } catch (error) {
+      console.error('获取请求合并统计失败:', error);
+      return {
+        today: { shared_fetches: 0, coalesced_requests: 0, max_waiters: 0 },
+        total_shared_fetches: 0,
+        total_coalesced_requests: 0,
+        days: []
+      };
+    }
+  }
+
+  // 创建短链接（代码冲突时抛出UNIQUE错误，由调用方重新生成代码）
+  async createShortLink(data) {
+    await this.db
+      .prepare(`
+        INSERT INTO short_links 
+        (code, path, query, label, owner_token_id, created_by_admin, expires_at, hits, created_at, created_at_beijing)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?)
+      `)
+      .bind(
+        data.code,
+        data.path,
+        data.query,
+        data.label || null,
+        data.owner_token_id || null,
+        data.created_by_admin ? 1 : 0,
+        data.expires_at || null,
+        new Date().toISOString(),
+        getBeijingTimeString()
+      )
+      .run();
+    
+    return this.getShortLink(data.code);
+  }
+
+  // 获取短链接
+  async getShortLink(code) {
+    try {
+      const result = await this.db
+        .prepare('SELECT * FROM short_links WHERE code = ?')
+        .bind(code)
+        .first();
+      return result || null;
+    } catch (error) {
+      console.error('获取短链接失败:', error);
+      return null;
+    }
+  }
+
+  // 列出短链接，指定令牌ID时只返回该令牌创建的短链接
+  async listShortLinks(ownerTokenId = null, limit = 100) {
+    const statement = ownerTokenId
+      ? this.db
+        .prepare('SELECT * FROM short_links WHERE owner_token_id = ? ORDER BY created_at DESC LIMIT ?')
+        .bind(ownerTokenId, limit)
+      : this.db
+        .prepare('SELECT * FROM short_links ORDER BY created_at DESC LIMIT ?')
+        .bind(limit);
+    
+    const { results } = await statement.all();
+    return results || [];
+  }
+
+  // 删除短链接，指定令牌ID时只能删除该令牌创建的短链接
+  async deleteShortLink(code, ownerTokenId = null) {
+    const result = ownerTokenId
+      ? await this.db
+        .prepare('DELETE FROM short_links WHERE code = ? AND owner_token_id = ?')
+        .bind(code, ownerTokenId)
+        .run()
+      : await this.db
+        .prepare('DELETE FROM short_links WHERE code = ?')
+        .bind(code)
+        .run();
+    return (result.meta?.changes ?? result.changes ?? 0) > 0;
+  }
+
+  // 记录短链接访问次数
+  async recordShortLinkHit(code) {
+    try {
+      await this.db
+        .prepare('UPDATE short_links SET hits = hits + 1, last_hit_beijing = ? WHERE code = ?')
+        .bind(getBeijingTimeString(), code)
+        .run();
+    } catch (error) {
+      console.warn(`记录短链接访问失败: ${error.message}`);
+    }
+  }
+
   // 保存错误日志
   async saveErrorLog(errorData, requestId) {
     try {
@@ -824,8 +1836,8 @@ export class SafeD1Database {
       const result = await stmt.bind(
         errorData.request_id || requestId,
         errorData.context || 'unknown',
-        errorData.error_message || 'Unknown error',
-        errorData.stack_trace || '',
+        redactText(errorData.error_message, this.env) || 'Unknown error',
+        redactText(errorData.stack_trace, this.env) || '',
         errorData.timestamp || new Date().toISOString(),
         getBeijingTimeString()
       ).run();
@@ -0,0 +1,155 @@
+// 边缘缓存：基于Workers Cache API缓存转换结果，过期后在后台重新验证并返回旧内容
+import {
+  getConfig,
+  DEFAULT_ENABLE_EDGE_CACHE,
+  DEFAULT_EDGE_CACHE_TTL,
+  DEFAULT_EDGE_CACHE_STALE_TTL
+} from './utils.js';
+
+const CACHEABLE_PATHS = ['/sub']; // 只缓存订阅转换结果
+const CACHE_KEY_PREFIX = '/__edge_cache';
+const STORED_AT_HEADER = 'X-Edge-Cache-Stored-At';
+
+// 正在后台重新验证的缓存键（同一isolate内避免重复回源）
+const revalidatingKeys = new Set();
+
+// 是否对该请求启用边缘缓存（只缓存订阅转换的GET请求）
+export function isEdgeCacheEnabled(env, request) {
+  if (!getConfig(env, 'ENABLE_EDGE_CACHE', DEFAULT_ENABLE_EDGE_CACHE)) {
+    return false;
+  }
+  
+  const url = new URL(request.url);
+  return request.method === 'GET' && CACHEABLE_PATHS.includes(url.pathname) && typeof caches !== 'undefined';
+}
+
+// 规范化查询字符串：去掉空值参数，按参数名和值排序
+export function normalizeQueryString(url) {
+  const params = Array.from(url.searchParams.entries())
+    .filter(([key, value]) => key && value !== '')
+    .sort((a, b) => {
+      if (a[0] !== b[0]) return a[0] < b[0] ? -1 : 1;
+      return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+    });
+  
+  return new URLSearchParams(params).toString();
+}
+
+// 构建缓存键（同一转换请求无论参数顺序如何都命中同一缓存）
+export function buildCacheKey(request) {
+  const url = new URL(request.url);
+  const normalizedQuery = normalizeQueryString(url);
+  return new Request(`${url.origin}${CACHE_KEY_PREFIX}${url.pathname}?${normalizedQuery}`, { method: 'GET' });
+}
+
+// 查找缓存
+// 返回 { response, status: 'HIT' | 'STALE', age } 或 null（未命中或已超过可用期限）
+export async function matchEdgeCache(request, env, requestId) {
+  const ttl = getConfig(env, 'EDGE_CACHE_TTL', DEFAULT_EDGE_CACHE_TTL);
+  const staleTtl = getConfig(env, 'EDGE_CACHE_STALE_TTL', DEFAULT_EDGE_CACHE_STALE_TTL);
+  
+  try {
+    const cached = await caches.default.match(buildCacheKey(request));
+    if (!cached) {
+      return null;
+    }
+    
+    const storedAt = parseInt(cached.headers.get(STORED_AT_HEADER) || '0', 10);
+    const age = Math.max(0, Math.floor((Date.now() - storedAt) / 1000));
+    
+    if (age <= ttl) {
+      return { response: cached, status: 'HIT', age };
+    }
+    
+    if (age <= ttl + staleTtl) {
+      return { response: cached, status: 'STALE', age };
+    }
+    
+    cached.body?.cancel().catch(() => {});
+    return null;
+  } catch (error) {
+    console.warn(`[${requestId}] 读取边缘缓存失败: ${error.message}`);
+    return null;
+  }
+}
+
+// 写入缓存（只缓存后端返回且通过校验的200响应，快照和内置转换器的结果不缓存），返回给客户端的响应体通过tee保留
+// 返回应继续发给客户端的响应
+export function storeEdgeCache(request, response, env, ctx, requestId) {
+  if (response.status !== 200 || !response.body || response.headers.has('X-Served-From') ||
+      response.headers.has('X-Served-By') || response.headers.get('X-Response-Validation') === 'invalid') {
+    return response;
+  }
+  
+  const ttl = getConfig(env, 'EDGE_CACHE_TTL', DEFAULT_EDGE_CACHE_TTL);
+  const staleTtl = getConfig(env, 'EDGE_CACHE_STALE_TTL', DEFAULT_EDGE_CACHE_STALE_TTL);
+  const [clientBody, cacheBody] = response.body.tee();
+  
+  const cacheHeaders = new Headers(response.headers);
+  cacheHeaders.delete('Set-Cookie');
+  cacheHeaders.set('Cache-Control', `public, max-age=${ttl + staleTtl}`);
+  cacheHeaders.set(STORED_AT_HEADER, `${Date.now()}`);
+  
+  const cacheResponse = new Response(cacheBody, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: cacheHeaders
+  });
+  
+  ctx.waitUntil(
+    caches.default.put(buildCacheKey(request), cacheResponse)
+      .then(() => console.log(`[${requestId}] 转换结果已写入边缘缓存，TTL: ${ttl}s，过期可用: ${staleTtl}s`))
+      .catch(error => console.warn(`[${requestId}] 写入边缘缓存失败: ${error.message}`))
+  );
+  
+  return new Response(clientBody, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+// 为响应添加缓存状态头
+export function withCacheHeaders(response, cacheStatus, requestId, age = 0) {
+  const headers = new Headers(response.headers);
+  headers.delete(STORED_AT_HEADER);
+  headers.set('X-Cache', cacheStatus);
+  headers.set('X-Request-ID', requestId);
+  
+  if (cacheStatus !== 'MISS') {
+    headers.set('Age', `${age}`);
+    headers.set('Cache-Control', 'no-store, max-age=0');
+  }
+  
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+// 在后台重新验证过期缓存；fetchFresh() 返回新的后端响应
+export function revalidateEdgeCache(request, env, ctx, requestId, fetchFresh) {
+  const cacheKey = buildCacheKey(request).url;
+  
+  if (revalidatingKeys.has(cacheKey)) {
+    console.log(`[${requestId}] 缓存已在后台重新验证中，跳过`);
+    return;
+  }
+  
+  revalidatingKeys.add(cacheKey);
+  
+  ctx.waitUntil((async () => {
+    try {
+      const freshResponse = await fetchFresh();
+      const storedResponse = storeEdgeCache(request, freshResponse, env, ctx, requestId);
+      // 读完响应体，确保缓存副本完整写入
+      await storedResponse.arrayBuffer();
+      console.log(`[${requestId}] 后台重新验证完成，状态码: ${freshResponse.status}`);
+    } catch (error) {
+      console.warn(`[${requestId}] 后台重新验证失败: ${error.message}`);
+    } finally {
+      revalidatingKeys.delete(cacheKey);
+    }
+  })());
+}
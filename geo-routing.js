@@ -0,0 +1,139 @@
+// 地区路由：中国大陆和海外用户的最佳后端不同，按 request.cf 的国家/地区和机房优先选择合适的后端
+// 选择时在后端权重上叠加两部分加成：
+// 1. 手工标注：BACKEND_REGIONS 中后端的偏好国家/机房与客户端匹配
+// 2. 自动学习：request_results 中该国家/地区客户端访问各后端的成功率和响应时间
+import {
+  getConfig,
+  DEFAULT_ENABLE_GEO_ROUTING,
+  DEFAULT_BACKEND_REGIONS,
+  DEFAULT_GEO_TAG_BOOST,
+  DEFAULT_GEO_LEARNED_BOOST,
+  DEFAULT_GEO_MIN_SAMPLES,
+  DEFAULT_GEO_STATS_WINDOW_HOURS
+} from './utils.js';
+
+const STATS_CACHE_TTL = 60000; // 地区统计在isolate内缓存1分钟，避免每个请求都查询 request_results
+const UNKNOWN_COUNTRIES = ['XX', 'T1']; // 未知地区和Tor出口
+
+// 国家/地区 -> { expiresAt, rows }
+const statsCache = new Map();
+
+// 客户端地区: { country, colo }，本地开发等没有 cf 信息时为 null
+export function getClientGeo(request) {
+  const country = (request.cf?.country || request.headers.get('cf-ipcountry') || '').toUpperCase();
+  const colo = (request.cf?.colo || '').toUpperCase();
+  
+  return {
+    country: country && !UNKNOWN_COUNTRIES.includes(country) ? country : null,
+    colo: colo || null
+  };
+}
+
+export class GeoRouter {
+  constructor(env, db = null) {
+    this.env = env;
+    this.db = db;
+    this.tagBoost = getConfig(env, 'GEO_TAG_BOOST', DEFAULT_GEO_TAG_BOOST);
+    this.learnedBoost = getConfig(env, 'GEO_LEARNED_BOOST', DEFAULT_GEO_LEARNED_BOOST);
+    this.minSamples = getConfig(env, 'GEO_MIN_SAMPLES', DEFAULT_GEO_MIN_SAMPLES);
+    this.windowHours = getConfig(env, 'GEO_STATS_WINDOW_HOURS', DEFAULT_GEO_STATS_WINDOW_HOURS);
+    this.bonuses = new Map();
+  }
+
+  isEnabled() {
+    return getConfig(this.env, 'ENABLE_GEO_ROUTING', DEFAULT_ENABLE_GEO_ROUTING);
+  }
+
+  // 后端偏好地区配置，国家和机房代码统一为大写
+  getBackendRegions() {
+    const regions = getConfig(this.env, 'BACKEND_REGIONS', DEFAULT_BACKEND_REGIONS) || {};
+    const normalized = {};
+    for (const [url, tags] of Object.entries(regions)) {
+      normalized[url] = {
+        countries: (tags?.countries || []).map(code => `${code}`.toUpperCase()),
+        colos: (tags?.colos || []).map(code => `${code}`.toUpperCase())
+      };
+    }
+    return normalized;
+  }
+
+  // 读取该地区的历史统计（带缓存），失败时返回空列表
+  async loadRegionalStats(country, requestId) {
+    const cached = statsCache.get(country);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.rows;
+    }
+    
+    let rows = [];
+    try {
+      const since = new Date(Date.now() - this.windowHours * 3600 * 1000).toISOString();
+      rows = await this.db.getRegionalBackendStats(country, since);
+    } catch (error) {
+      console.warn(`[${requestId}] 读取地区统计失败: ${error.message}`);
+    }
+    
+    statsCache.set(country, { expiresAt: Date.now() + STATS_CACHE_TTL, rows });
+    return rows;
+  }
+
+  // 计算每个后端的地区加成: Map<backendUrl, { bonus, tagMatch, learned }>
+  // 样本足够的后端按 成功率 × (最快平均响应时间 / 该后端平均响应时间) 得到 0-1 的学习得分
+  async loadBonuses(backends, geo, requestId) {
+    this.bonuses = new Map();
+    if (!this.isEnabled() || !geo?.country) {
+      return this.bonuses;
+    }
+    
+    const regions = this.getBackendRegions();
+    const rows = this.db && this.learnedBoost > 0 ? await this.loadRegionalStats(geo.country, requestId) : [];
+    const qualified = rows.filter(row => backends.includes(row.backend_url) && row.samples >= this.minSamples);
+    const fastest = Math.min(...qualified.filter(row => row.avg_response_time).map(row => row.avg_response_time));
+    
+    for (const url of backends) {
+      const tags = regions[url];
+      const tagMatch = !!tags && (tags.countries.includes(geo.country) || (!!geo.colo && tags.colos.includes(geo.colo)));
+      const learned = qualified.find(row => row.backend_url === url) || null;
+      
+      let score = 0;
+      if (learned) {
+        const speed = learned.avg_response_time && Number.isFinite(fastest) ? fastest / learned.avg_response_time : 0;
+        score = learned.success_rate * speed;
+      }
+      
+      const bonus = (tagMatch ? this.tagBoost : 0) + Math.round(this.learnedBoost * score * 10) / 10;
+      if (bonus > 0 || learned) {
+        this.bonuses.set(url, { bonus, tagMatch, learned });
+      }
+    }
+    
+    if (this.bonuses.size > 0) {
+      const summary = Array.from(this.bonuses.entries())
+        .filter(([, item]) => item.bonus > 0)
+        .map(([url, item]) => `${url}(+${item.bonus}${item.tagMatch ? ', 标注' : ''})`)
+        .join(', ');
+      console.log(`[${requestId}] 地区路由 ${geo.country}${geo.colo ? `/${geo.colo}` : ''}: ${summary || '无加成'}`);
+    }
+    
+    return this.bonuses;
+  }
+
+  getBonus(backendUrl) {
+    return this.bonuses.get(backendUrl)?.bonus || 0;
+  }
+
+  // 叠加地区加成后的选择权重（只用于排序，不写回后端权重）
+  effectiveWeight(backendUrl, weight) {
+    return (weight || 0) + this.getBonus(backendUrl);
+  }
+
+  getSettings() {
+    return {
+      enabled: this.isEnabled(),
+      backend_regions: this.getBackendRegions(),
+      tag_boost: this.tagBoost,
+      learned_boost: this.learnedBoost,
+      min_samples: this.minSamples,
+      window_hours: this.windowHours
+    };
+  }
+}
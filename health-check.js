@@ -1,5 +1,6 @@
 import { healthCheckController } from './concurrency.js';
 import { calculateResponseTimeScore, getConfig } from './utils.js';
+import { getBackendAdapter } from './backend-adapters.js';
 
 export class PriorityHealthCheck {
   constructor(env) {
@@ -9,80 +10,16 @@ export class PriorityHealthCheck {
     this.fastTimeout = getConfig(env, 'FAST_CHECK_TIMEOUT', 800);
   }
 
-  // 提取版本信息
-  extractVersionFromText(text) {
-    if (!text || typeof text !== 'string') return 'subconverter';
-    
-    // 清理文本
-    text = text.trim();
-    
-    // 尝试匹配各种版本格式
-    const versionPatterns = [
-      // 完整版本格式: subconverter v0.9.9-7544246 backend
-      /(subconverter\s+v[\d]+\.[\d]+\.[\d]+-[\w]+(?:\s+backend)?)/i,
-      
-      // 标准版本格式: v0.9.9-7544246
-      /(v[\d]+\.[\d]+\.[\d]+-[\w]+)/i,
-      
-      // 简略版本格式: subconverter v0.9.9
-      /(subconverter\s+v[\d]+\.[\d]+\.[\d]+)/i,
-      
-      // 纯版本号: 0.9.9-7544246
-      /([\d]+\.[\d]+\.[\d]+-[\w]+)/,
-      
-      // 基础版本号: 0.9.9
-      /([\d]+\.[\d]+\.[\d]+)/,
-      
-      // 如果只是 subconverter 关键字
-      /(subconverter)/i
-    ];
-    
-    for (const pattern of versionPatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        // 返回匹配的第一个完整字符串
-        const version = match[1].trim();
-        
-        // 确保格式统一
-        if (version.toLowerCase().includes('subconverter')) {
-          return version;
-        } else if (version.startsWith('v')) {
-          return `subconverter ${version}`;
-        } else if (/^\d/.test(version)) {
-          return `subconverter v${version}`;
-        } else {
-          return version;
-        }
-      }
-    }
-    
-    // 如果没有匹配到任何模式，返回原始文本的前50个字符
-    if (text.length <= 50) {
-      return text || 'subconverter';
-    }
-    
-    // 尝试从文本中提取任何看起来像版本的信息
-    const words = text.split(/\s+/);
-    for (const word of words) {
-      if (word.includes('v') || /[\d]+\.[\d]+/.test(word)) {
-        if (word.length <= 30) {
-          return `subconverter ${word}`;
-        }
-      }
-    }
-    
-    return 'subconverter';
-  }
-
   // 优先级健康检查（快速路径）
   async priorityCheck(url, requestId) {
+    const adapter = getBackendAdapter(this.env, url);
     const checkFn = async () => {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), this.fastTimeout);
       
       try {
         const startTime = Date.now();
-        const response = await fetch(`${url}/version`, {
+        const response = await fetch(`${url}${adapter.healthPath}`, {
           signal: controller.signal,
           headers: { 
             'User-Agent': 'subconverter-failover-worker/1.0',
@@ -97,11 +34,11 @@ export class PriorityHealthCheck {
         if (response.status === 200) {
           try {
             const text = await response.text();
-            const version = this.extractVersionFromText(text);
+            const version = adapter.parseVersion(text);
             const responseTimeScore = calculateResponseTimeScore(responseTime, this.env);
             
             return {
-              healthy: true,
+              healthy: adapter.isHealthy(response, text),
               responseTime,
               responseTimeScore,
               status: response.status,
@@ -115,7 +52,7 @@ export class PriorityHealthCheck {
               responseTime,
               responseTimeScore: calculateResponseTimeScore(responseTime, this.env),
               status: response.status,
-              version: 'subconverter',
+              version: adapter.name,
               priority: 'high',
               timestamp: new Date().toISOString()
             };
@@ -151,13 +88,14 @@ export class PriorityHealthCheck {
 
   // 完整健康检查
   async fullCheck(url, requestId) {
+    const adapter = getBackendAdapter(this.env, url);
     const checkFn = async () => {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), this.timeout);
       
       try {
         const startTime = Date.now();
-        const response = await fetch(`${url}/version`, {
+        const response = await fetch(`${url}${adapter.healthPath}`, {
           signal: controller.signal,
           headers: { 
             'User-Agent': 'subconverter-failover-worker/1.0',
@@ -171,8 +109,8 @@ export class PriorityHealthCheck {
         if (response.status === 200) {
           try {
             const text = await response.text();
-            const version = this.extractVersionFromText(text);
-            const healthy = text.toLowerCase().includes('subconverter') || response.status === 200;
+            const version = adapter.parseVersion(text);
+            const healthy = adapter.isHealthy(response, text);
             const responseTimeScore = calculateResponseTimeScore(responseTime, this.env);
             
             return {
@@ -0,0 +1,167 @@
+// 请求对冲：首选后端在指定延迟内未返回响应头时，向下一个后端发出相同请求，采用先返回的结果
+import {
+  getConfig,
+  DEFAULT_ENABLE_HEDGING,
+  DEFAULT_HEDGE_DELAY,
+  DEFAULT_HEDGE_MIN_DELAY,
+  DEFAULT_HEDGE_DELAY_MODE
+} from './utils.js';
+
+const HEDGE_DELAY_CACHE_TTL = 60 * 1000; // 每个后端的对冲延迟缓存1分钟
+const HEDGE_SAMPLE_SIZE = 50; // 计算p95使用的最近成功请求数
+const HEDGE_MIN_SAMPLES = 10; // 样本不足时使用固定延迟
+
+// 对冲延迟缓存（按后端）
+const hedgeDelayCache = new Map();
+
+// 是否对该请求启用对冲（只对无请求体的请求对冲，避免重复提交）
+export function isHedgingEnabled(env, request) {
+  if (!getConfig(env, 'ENABLE_HEDGING', DEFAULT_ENABLE_HEDGING)) {
+    return false;
+  }
+  return request.method === 'GET' || request.method === 'HEAD';
+}
+
+// 计算百分位数
+export function calculatePercentile(values, percentile) {
+  if (!values || values.length === 0) return null;
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil(percentile * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+// 获取后端的对冲延迟：fixed 模式使用 HEDGE_DELAY；p95 模式使用最近成功请求响应时间的p95
+export async function getHedgeDelay(db, backendUrl, env, requestId) {
+  const fixedDelay = getConfig(env, 'HEDGE_DELAY', DEFAULT_HEDGE_DELAY);
+  const minDelay = getConfig(env, 'HEDGE_MIN_DELAY', DEFAULT_HEDGE_MIN_DELAY);
+  const mode = getConfig(env, 'HEDGE_DELAY_MODE', DEFAULT_HEDGE_DELAY_MODE);
+  
+  if (mode !== 'p95' || !db) {
+    return fixedDelay;
+  }
+  
+  const cached = hedgeDelayCache.get(backendUrl);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.delay;
+  }
+  
+  let delay = fixedDelay;
+  try {
+    const samples = await db.getRecentResponseTimes(backendUrl, HEDGE_SAMPLE_SIZE);
+    if (samples.length >= HEDGE_MIN_SAMPLES) {
+      delay = Math.max(minDelay, Math.round(calculatePercentile(samples, 0.95)));
+    }
+  } catch (error) {
+    console.warn(`[${requestId}] 计算对冲延迟失败，使用固定延迟: ${error.message}`);
+  }
+  
+  hedgeDelayCache.set(backendUrl, { delay, expiresAt: Date.now() + HEDGE_DELAY_CACHE_TTL });
+  return delay;
+}
+
+// 取消响应体，忽略错误
+function discardResponse(response) {
+  if (response && response.body) {
+    response.body.cancel().catch(() => {});
+  }
+}
+
+// 对冲请求
+// buildRequest(backendUrl, signal) 返回发往指定后端的 Request
+// onHedge(hedgeUrl) 在对冲请求发出时调用
+// 返回 { response, backendUrl, hedged, winner }，winner 为 'primary' 或 'hedge'
+export function hedgedFetch(buildRequest, primaryUrl, hedgeUrl, delay, requestId, onHedge = null) {
+  return new Promise((resolve, reject) => {
+    const attempts = [];
+    let settled = false;
+    let timer = null;
+    let fallback = null; // 非2xx响应，等待另一路结果时暂存
+    
+    const conclude = (winner) => {
+      settled = true;
+      clearTimeout(timer);
+      
+      // 取消落败的请求
+      for (const attempt of attempts) {
+        if (attempt !== winner) {
+          attempt.controller.abort();
+          discardResponse(attempt.response);
+        }
+      }
+      
+      if (attempts.length > 1) {
+        console.log(`[${requestId}] 对冲请求结束，胜出: ${winner.role} (${winner.backendUrl})`);
+      }
+      
+      resolve({
+        response: winner.response,
+        backendUrl: winner.backendUrl,
+        hedged: attempts.length > 1,
+        winner: winner.role
+      });
+    };
+    
+    // 所有已发出的请求都结束且不会再发起对冲时，返回暂存响应或抛出首选后端的错误
+    const checkAllSettled = () => {
+      if (settled || attempts.some(attempt => attempt.state === 'pending')) {
+        return;
+      }
+      
+      if (fallback) {
+        conclude(fallback);
+        return;
+      }
+      
+      settled = true;
+      clearTimeout(timer);
+      const error = attempts[0].error;
+      error.hedged = attempts.length > 1;
+      reject(error);
+    };
+    
+    const start = (backendUrl, role) => {
+      const controller = new AbortController();
+      const attempt = { backendUrl, role, controller, state: 'pending', response: null, error: null };
+      attempts.push(attempt);
+      
+      fetch(buildRequest(backendUrl, controller.signal)).then(response => {
+        attempt.state = 'done';
+        attempt.response = response;
+        
+        if (settled) {
+          discardResponse(response);
+          return;
+        }
+        
+        if (response.ok) {
+          conclude(attempt);
+          return;
+        }
+        
+        if (!fallback) {
+          fallback = attempt;
+        } else {
+          discardResponse(response);
+        }
+        checkAllSettled();
+      }, error => {
+        attempt.state = 'failed';
+        attempt.error = error;
+        checkAllSettled();
+      });
+    };
+    
+    start(primaryUrl, 'primary');
+    
+    timer = setTimeout(() => {
+      if (settled || attempts[0].state !== 'pending') {
+        return;
+      }
+      
+      console.log(`[${requestId}] 首选后端 ${primaryUrl} 超过 ${delay}ms 未响应，发起对冲请求: ${hedgeUrl}`);
+      if (onHedge) onHedge(hedgeUrl);
+      start(hedgeUrl, 'hedge');
+    }, delay);
+  });
+}
@@ -1,9 +1,11 @@
 import { 
   generateRequestId, 
   validateConfig, 
-  logError 
+  logError,
+  getClientIp
 } from './utils.js';
 import { ResilientTelegramNotifier } from './notifier.js';
+import { validateLbAlgorithmConfig } from './lb-algorithms.js';
 
 // 全局错误处理
 function handleGlobalError(error, requestId, env, ctx) {
@@ -31,9 +33,94 @@ function handleGlobalError(error, requestId, env, ctx) {
 
 // 主请求处理逻辑
 async function handleSubconverterRequestMain(request, env, ctx, requestId) {
-  const url = new URL(request.url);
+  let url = new URL(request.url);
+  const { checkProxyRequest, createRejectionResponse } = await import('./request-policy.js');
+  
+  // 客户端地区在改写请求之前读取（用于地区路由和统计）
+  const { getClientGeo } = await import('./geo-routing.js');
+  const geo = getClientGeo(request);
+  
+  // 创建数据库实例（如果可用）
+  let safeDB = null;
+  if (env.DB) {
+    const { SafeD1Database } = await import('./database.js');
+    safeDB = new SafeD1Database(env.DB, env);
+  }
+  
+  // 短链接：还原为完整的转换请求，之后与普通请求走相同的流程
+  const shortLinks = await import('./short-links.js');
+  const shortCode = shortLinks.isShortLinkEnabled(env) ? shortLinks.parseShortLinkCode(url.pathname) : null;
+  let shortLink = null;
+  const originalRequest = request;
+  if (shortCode !== null) {
+    const linkResult = await shortLinks.resolveShortLink(safeDB, shortCode);
+    if (!linkResult.allowed) {
+      console.warn(`[${requestId}] 短链接不可用: ${shortCode}, 原因: ${linkResult.error}`);
+      return createRejectionResponse(linkResult, requestId);
+    }
+    
+    shortLink = linkResult.link;
+    request = shortLinks.expandShortLinkRequest(request, shortLink);
+    url = new URL(request.url);
+    ctx.waitUntil(safeDB.recordShortLinkHit(shortCode));
+    console.log(`[${requestId}] 短链接 ${shortCode} 还原为: ${url.pathname}`);
+  }
+  
+  // 白名单检查在选择后端之前完成，不转发未知接口
+  // 被拒绝的请求只输出日志，不写入D1（扫描流量会产生大量写入）
+  const policyResult = checkProxyRequest(request, env);
+  if (!policyResult.allowed) {
+    console.warn(`[${requestId}] 拒绝请求: ${request.method} ${url.pathname}, 原因: ${policyResult.error}, 客户端: ${getClientIp(request)}`);
+    return createRejectionResponse(policyResult, requestId);
+  }
+  
   const backends = JSON.parse(env.BACKEND_URLS || '[]');
   
+  // 访问令牌校验
+  // 短链接使用创建者的令牌；管理员创建的短链接直接放行
+  // 未启用令牌时匿名创建的短链接没有创建者，启用令牌后与普通请求一样需要携带访问令牌
+  const accessTokens = await import('./access-tokens.js');
+  let tokenRecord = null;
+  if (accessTokens.isAccessTokenRequired(env) && !(shortLink && shortLink.created_by_admin)) {
+    const tokenResult = shortLink?.owner_token_id
+      ? await accessTokens.verifyAccessTokenById(safeDB, shortLink.owner_token_id)
+      : await accessTokens.verifyAccessToken(safeDB, accessTokens.extractAccessToken(shortLink ? originalRequest : request, env));
+    if (!tokenResult.allowed) {
+      console.warn(`[${requestId}] 访问令牌校验失败: ${tokenResult.error}, 客户端: ${getClientIp(request)}`);
+      return createRejectionResponse(tokenResult, requestId);
+    }
+    tokenRecord = tokenResult.record;
+  }
+  
+  // 按客户端限流
+  const { TokenBucketRateLimiter, createRateLimitResponse } = await import('./rate-limiter.js');
+  const rateLimiter = new TokenBucketRateLimiter(env, safeDB);
+  if (rateLimiter.isEnabled()) {
+    const rateLimitResult = await rateLimiter.consume(request, requestId, ctx);
+    if (!rateLimitResult.allowed) {
+      console.warn(`[${requestId}] 触发限流: ${rateLimitResult.key}, ${rateLimitResult.retryAfter}s 后重试`);
+      return createRateLimitResponse(rateLimitResult, requestId);
+    }
+  }
+  
+  // 记录令牌用量，并在转发前移除令牌
+  const context = { tokenLabel: tokenRecord?.label || null, geo };
+  if (tokenRecord) {
+    ctx.waitUntil(safeDB.recordAccessTokenUsage(tokenRecord.id));
+    request = accessTokens.stripAccessToken(request, env);
+  }
+  
+  // 参数策略：在缓存和转发之前改写查询参数，缓存键与后端看到的参数一致
+  const { applyParamPolicy, withParamPolicyHeaders } = await import('./param-policy.js');
+  const paramPolicy = applyParamPolicy(request, env, context, requestId);
+  if (paramPolicy) {
+    request = paramPolicy.request;
+  }
+  
+  // 令牌绑定的后处理配置写入查询参数，缓存键随之区分
+  const { applyTokenPostProcessing } = await import('./post-processing.js');
+  request = applyTokenPostProcessing(request, env, context);
+  
   if (backends.length === 0) {
     return new Response('未配置后端服务器，请在Cloudflare Dashboard中配置BACKEND_URLS', {
       status: 503,
@@ -44,25 +131,129 @@ async function handleSubconverterRequestMain(request, env, ctx, requestId) {
     });
   }
   
-  // 创建数据库实例（如果可用）
-  let safeDB = null;
-  if (env.DB) {
-    const { SafeD1Database } = await import('./database.js');
-    safeDB = new SafeD1Database(env.DB, env);
+  const edgeCache = await import('./edge-cache.js');
+  
+  // 请求合并：相同的进行中转换请求共享一次后端请求（可选通过 Durable Object 跨isolate合并）
+  const coalescing = await import('./coalescing.js');
+  const coalesce = coalescing.isCoalescingEnabled(env, request);
+  const fetchFromBackends = () => coalesce && coalescing.isCrossIsolateCoalescingEnabled(env)
+    ? forwardViaCoalescer(request, env, ctx, requestId, safeDB, context)
+    : forwardToBackends(request, env, ctx, requestId, safeDB, context);
+  
+  if (!edgeCache.isEdgeCacheEnabled(env, request)) {
+    const response = coalesce
+      ? await coalescing.coalesceRequest(request, env, ctx, requestId, safeDB, fetchFromBackends)
+      : await fetchFromBackends();
+    return withParamPolicyHeaders(response, paramPolicy, env);
   }
   
+  // 边缘缓存：新鲜期内直接返回，过期但仍在可用期内时返回旧内容并在后台刷新
+  const cached = await edgeCache.matchEdgeCache(request, env, requestId);
+  if (cached) {
+    console.log(`[${requestId}] 边缘缓存${cached.status === 'HIT' ? '命中' : '已过期，返回旧内容'}，缓存时长: ${cached.age}s`);
+    
+    if (cached.status === 'STALE') {
+      edgeCache.revalidateEdgeCache(request, env, ctx, requestId, () =>
+        forwardToBackends(request, env, ctx, `${requestId}-revalidate`, safeDB, context)
+      );
+    }
+    
+    return withParamPolicyHeaders(
+      edgeCache.withCacheHeaders(cached.response, cached.status, requestId, cached.age),
+      paramPolicy,
+      env
+    );
+  }
+  
+  // 合并的请求只写入一次边缘缓存
+  const fetchAndStore = async () =>
+    edgeCache.storeEdgeCache(request, await fetchFromBackends(), env, ctx, requestId);
+  const response = coalesce
+    ? await coalescing.coalesceRequest(request, env, ctx, requestId, safeDB, fetchAndStore)
+    : await fetchAndStore();
+  return withParamPolicyHeaders(
+    edgeCache.withCacheHeaders(response, 'MISS', requestId),
+    paramPolicy,
+    env
+  );
+}
+
+// 通过 Durable Object 跨isolate合并，对象不可用时直接请求后端
+async function forwardViaCoalescer(request, env, ctx, requestId, safeDB, context) {
+  const { fetchViaCoalescer } = await import('./coalescing.js');
+  try {
+    return await fetchViaCoalescer(request, env, requestId, context);
+  } catch (error) {
+    console.warn(`[${requestId}] 跨isolate请求合并失败，直接请求后端: ${error.message}`);
+    return forwardToBackends(request, env, ctx, requestId, safeDB, context);
+  }
+}
+
+// 跨isolate请求合并的 Durable Object：同一合并键的请求总是路由到同一个实例，在实例内合并后请求后端
+// 白名单、访问令牌、限流和参数策略已在Worker中处理，这里只负责选择后端并转发
+export class RequestCoalescer {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+  
+  async fetch(request) {
+    const { parseCoalescerRequest, coalesceRequest } = await import('./coalescing.js');
+    const { request: proxyRequest, requestId, context } = parseCoalescerRequest(request);
+    const ctx = { waitUntil: promise => this.state.waitUntil(promise) };
+    
+    let safeDB = null;
+    if (this.env.DB) {
+      const { SafeD1Database } = await import('./database.js');
+      safeDB = new SafeD1Database(this.env.DB, this.env);
+    }
+    
+    try {
+      return await coalesceRequest(proxyRequest, this.env, ctx, requestId, safeDB, () =>
+        forwardToBackends(proxyRequest, this.env, ctx, requestId, safeDB, context)
+      );
+    } catch (error) {
+      return handleGlobalError(error, requestId, this.env, ctx);
+    }
+  }
+}
+
+// 选择后端并转发请求
+// context: { tokenLabel, geo }
+async function forwardToBackends(request, env, ctx, requestId, safeDB, context = {}) {
   // 导入核心函数
   const { 
     smartFindAvailableBackend,
-    streamProxyRequest,
-    handleSubconverterRequest
+    proxyWithFailover
   } = await import('./core.js');
+  const lastKnownGood = await import('./last-known-good.js');
+  const useSnapshot = safeDB && lastKnownGood.isLastKnownGoodEnabled(env, request);
   
+  // 后处理参数不转发给后端；快照按原始请求（含后处理参数）保存
+  const { resolvePostProcessing, applyPostProcessing } = await import('./post-processing.js');
+  const postProcessing = resolvePostProcessing(request, env, context);
+  const backendRequest = postProcessing ? postProcessing.request : request;
+  const postProcess = response => applyPostProcessing(response, postProcessing, env, requestId);
+  
+  const selection = await smartFindAvailableBackend(safeDB, requestId, env, backendRequest, context);
   const { 
     backend: backendUrl, 
     selectionTime: backendSelectionTime, 
     algorithm 
-  } = await smartFindAvailableBackend(safeDB, requestId, env, request);
+  } = selection;
+  
+  // 后端池中没有适配器能处理该请求，不转发也不使用兜底，直接返回400
+  if (selection.unsupported) {
+    console.log(`[${requestId}] 后端池不支持该请求，返回400`);
+    return new Response('后端池中没有后端支持该请求', {
+      status: 400,
+      headers: { 
+        'Content-Type': 'text/plain; charset=utf-8',
+        'X-Request-ID': requestId,
+        'X-Backend-Selection-Time': `${backendSelectionTime}ms`
+      }
+    });
+  }
   
   if (!backendUrl) {
     console.log(`[${requestId}] 无可用后端，返回503`);
@@ -80,6 +271,21 @@ async function handleSubconverterRequestMain(request, env, ctx, requestId) {
     
     ctx.waitUntil(notifier.sendNotification(errorData, requestId, ctx));
     
+    // 返回最后可用快照，避免客户端清空订阅
+    const snapshot = useSnapshot && await lastKnownGood.serveLastKnownGood(safeDB, request, env, requestId);
+    if (snapshot) {
+      return snapshot;
+    }
+    
+    // 没有快照时用内置简易转换器兜底
+    const builtin = await import('./builtin-converter.js');
+    if (builtin.isBuiltinConverterEnabled(env, backendRequest)) {
+      const converted = await builtin.convertWithBuiltin(backendRequest, env, requestId);
+      if (converted) {
+        return postProcess(converted);
+      }
+    }
+    
     return new Response('所有后端服务均不可用，请稍后重试', {
       status: 503,
       headers: { 
@@ -90,33 +296,38 @@ async function handleSubconverterRequestMain(request, env, ctx, requestId) {
     });
   }
   
-  console.log(`[${requestId}] 使用后端: ${backendUrl}, 选择算法: ${algorithm}`);
+  console.log(`[${requestId}] 使用后端: ${backendUrl}, 选择算法: ${algorithm}, 故障转移候选: ${selection.rankedBackends?.length || 1} 个`);
+  
+  const enableStreaming = env.ENABLE_STREAMING_PROXY === 'true' || true;
+  
+  if (!useSnapshot) {
+    // 所选后端失败时自动切换到下一个候选后端
+    return postProcess(await proxyWithFailover(backendRequest, selection, requestId, env, ctx, enableStreaming, context));
+  }
   
-  // 获取后端权重
-  let backendWeight = 0;
+  let response;
   try {
-    if (safeDB) {
-      const backendStatus = await safeDB.getBackendStatus(backendUrl);
-      backendWeight = backendStatus?.weight || 50;
-    } else {
-      backendWeight = 50;
-    }
+    response = await proxyWithFailover(backendRequest, selection, requestId, env, ctx, enableStreaming, context);
   } catch (error) {
-    console.warn(`[${requestId}] 获取后端权重失败: ${error.message}`);
-    backendWeight = 50;
+    // 所有候选后端都失败时返回最后可用快照
+    const snapshot = await lastKnownGood.serveLastKnownGood(safeDB, request, env, requestId);
+    if (snapshot) {
+      return snapshot;
+    }
+    throw error;
   }
   
-  const enableStreaming = env.ENABLE_STREAMING_PROXY === 'true' || true;
-  
-  if (enableStreaming) {
-    return await streamProxyRequest(
-      request, backendUrl, backendSelectionTime, requestId, env, ctx, backendWeight
-    );
-  } else {
-    return await handleSubconverterRequest(
-      request, backendUrl, backendSelectionTime, requestId, env, ctx, backendWeight
-    );
+  // 后端返回5xx或无效内容时优先返回最后可用快照
+  if (response.status >= 500 || response.headers.get('X-Response-Validation') === 'invalid') {
+    const snapshot = await lastKnownGood.serveLastKnownGood(safeDB, request, env, requestId);
+    if (snapshot) {
+      response.body?.cancel().catch(() => {});
+      return snapshot;
+    }
+    return response;
   }
+  
+  return lastKnownGood.saveLastKnownGood(safeDB, request, await postProcess(response), env, ctx, requestId);
 }
 
 // ==================== 主处理函数 ====================
@@ -129,6 +340,7 @@ export default {
     
     try {
       validateConfig(env, requestId);
+      validateLbAlgorithmConfig(env, requestId);
       
       // 首页和状态页面
       if (url.pathname === '/' || url.pathname === '/status') {
@@ -192,6 +404,16 @@ export default {
       
       console.log(`[${requestId}] Cron健康检查完成，检查了 ${checkResults.totalBackends} 个后端，${checkResults.healthyBackends} 个健康`);
       
+      // 按探测间隔探测后端支持的 target
+      const { isCapabilityRoutingEnabled, runCapabilityProbes } = await import('./capabilities.js');
+      if (safeDB && isCapabilityRoutingEnabled(env)) {
+        const { getBackends } = await import('./core.js');
+        ctx.waitUntil(
+          runCapabilityProbes(safeDB, await getBackends(env, requestId), env, requestId)
+            .catch(error => logError('后端能力探测失败', error, requestId))
+        );
+      }
+      
       // 周日执行D1数据清理
       const now = new Date();
       if (now.getUTCDay() === 0 && safeDB) {
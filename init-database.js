@@ -1,6 +1,27 @@
 // 数据库初始化脚本
 import { getBeijingTimeString, getBeijingDateString } from './utils.js';
 
+// 增量字段迁移：旧版本创建的表缺少这些列时自动补齐
+const COLUMN_MIGRATIONS = [
+  { table: 'request_results', column: 'attempt', definition: 'INTEGER DEFAULT 1' },
+  { table: 'request_results', column: 'hedged', definition: 'INTEGER DEFAULT 0' },
+  { table: 'request_results', column: 'hedge_winner', definition: 'TEXT' },
+  { table: 'request_results', column: 'failure_reason', definition: 'TEXT' },
+  { table: 'request_results', column: 'token_label', definition: 'TEXT' },
+  { table: 'request_results', column: 'timeout_type', definition: 'TEXT' },
+  { table: 'request_results', column: 'bytes_transferred', definition: 'INTEGER' },
+  { table: 'request_results', column: 'ttfb', definition: 'INTEGER' },
+  { table: 'request_results', column: 'transfer_time', definition: 'INTEGER' },
+  { table: 'request_results', column: 'expected_bytes', definition: 'INTEGER' },
+  { table: 'request_results', column: 'truncated', definition: 'INTEGER DEFAULT 0' },
+  { table: 'request_results', column: 'client_country', definition: 'TEXT' },
+  { table: 'request_results', column: 'client_colo', definition: 'TEXT' },
+  { table: 'short_links', column: 'created_by_admin', definition: 'INTEGER DEFAULT 0' },
+  { table: 'lb_state', column: 'weight_breakdown', definition: 'TEXT' },
+  { table: 'circuit_breakers', column: 'half_open_trial_at', definition: 'INTEGER' },
+  { table: 'last_known_good', column: 'content_hash', definition: 'TEXT' }
+];
+
 export async function initDatabase(db) {
   const startTime = Date.now();
   console.log(`开始初始化数据库...`);
@@ -12,7 +33,17 @@ export async function initDatabase(db) {
       'backend_status',
       'request_results',
       'telegram_notifications',
-      'error_logs'
+      'error_logs',
+      'last_known_good',
+      'rate_limits',
+      'access_tokens',
+      'short_links',
+      'backend_capabilities',
+      'circuit_breakers',
+      'coalescing_stats',
+      'lb_state',
+      'backend_controls',
+      'backend_control_audit'
     ];
     
     let createdTables = 0;
@@ -40,6 +71,9 @@ export async function initDatabase(db) {
       await createTablesDynamically(db);
     }
     
+    // 为已存在的表补齐新增字段
+    const addedColumns = await migrateColumns(db);
+    
     // 插入默认后端配置
     const defaultBackends = [
       'https://url.v1.mk',
@@ -83,12 +117,13 @@ export async function initDatabase(db) {
     }
     
     const duration = Date.now() - startTime;
-    console.log(`数据库初始化完成，用时 ${duration}ms，创建了 ${createdTables} 个表，插入了 ${insertedBackends} 个默认后端`);
+    console.log(`数据库初始化完成，用时 ${duration}ms，创建了 ${createdTables} 个表，补齐了 ${addedColumns} 个字段，插入了 ${insertedBackends} 个默认后端`);
     
     return {
       success: true,
       tables_checked: tables.length,
       tables_created: createdTables,
+      columns_added: addedColumns,
       default_backends_inserted: insertedBackends,
       duration_ms: duration,
       beijing_time: getBeijingTimeString()
@@ -105,6 +140,33 @@ export async function initDatabase(db) {
   }
 }
 
+// 补齐旧表缺少的字段
+async function migrateColumns(db) {
+  let addedColumns = 0;
+  
+  for (const migration of COLUMN_MIGRATIONS) {
+    try {
+      const { results } = await db
+        .prepare(`PRAGMA table_info(${migration.table})`)
+        .all();
+      
+      const columnExists = (results || []).some(column => column.name === migration.column);
+      
+      if (!columnExists) {
+        await db
+          .prepare(`ALTER TABLE ${migration.table} ADD COLUMN ${migration.column} ${migration.definition}`)
+          .run();
+        addedColumns++;
+        console.log(`表 ${migration.table} 新增字段: ${migration.column}`);
+      }
+    } catch (error) {
+      console.log(`补齐字段 ${migration.table}.${migration.column} 时出错:`, error.message);
+    }
+  }
+  
+  return addedColumns;
+}
+
 // 动态创建表（修复表结构，只保留北京时间字段）
 async function createTablesDynamically(db) {
   try {
@@ -156,7 +218,20 @@ async function createTablesDynamically(db) {
         success INTEGER DEFAULT 0,
         timestamp TEXT NOT NULL,
         beijing_time TEXT NOT NULL,
-        backend_weight INTEGER DEFAULT 50
+        backend_weight INTEGER DEFAULT 50,
+        attempt INTEGER DEFAULT 1,
+        hedged INTEGER DEFAULT 0,
+        hedge_winner TEXT,
+        failure_reason TEXT,
+        token_label TEXT,
+        timeout_type TEXT,
+        bytes_transferred INTEGER,
+        ttfb INTEGER,
+        transfer_time INTEGER,
+        expected_bytes INTEGER,
+        truncated INTEGER DEFAULT 0,
+        client_country TEXT,
+        client_colo TEXT
       )
     `).run();
     
@@ -190,6 +265,166 @@ async function createTablesDynamically(db) {
       )
     `).run();
     
+    // 创建最后可用快照表
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS last_known_good (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        snapshot_key TEXT NOT NULL UNIQUE,
+        target TEXT,
+        backend_url TEXT,
+        body TEXT NOT NULL,
+        headers TEXT,
+        size INTEGER DEFAULT 0,
+        encrypted INTEGER DEFAULT 0,
+        content_hash TEXT,
+        hit_count INTEGER DEFAULT 0,
+        created_at TEXT NOT NULL,
+        beijing_time TEXT NOT NULL,
+        last_served_beijing TEXT
+      )
+    `).run();
+    
+    // 创建限流状态表
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bucket_key TEXT NOT NULL UNIQUE,
+        tokens REAL NOT NULL,
+        updated_at INTEGER NOT NULL,
+        total_requests INTEGER DEFAULT 0,
+        rejected_requests INTEGER DEFAULT 0,
+        last_rejected_at INTEGER,
+        last_seen_beijing TEXT
+      )
+    `).run();
+    
+    // 创建访问令牌表（只保存令牌的SHA-256）
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS access_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        label TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        token_prefix TEXT,
+        expires_at TEXT,
+        daily_quota INTEGER,
+        total_quota INTEGER,
+        total_requests INTEGER DEFAULT 0,
+        daily_requests INTEGER DEFAULT 0,
+        usage_date TEXT,
+        last_used_beijing TEXT,
+        revoked INTEGER DEFAULT 0,
+        revoked_at_beijing TEXT,
+        created_at TEXT NOT NULL,
+        created_at_beijing TEXT NOT NULL
+      )
+    `).run();
+    
+    // 创建短链接表
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS short_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL UNIQUE,
+        path TEXT NOT NULL DEFAULT '/sub',
+        query TEXT NOT NULL,
+        label TEXT,
+        owner_token_id INTEGER,
+        created_by_admin INTEGER DEFAULT 0,
+        expires_at TEXT,
+        hits INTEGER DEFAULT 0,
+        last_hit_beijing TEXT,
+        created_at TEXT NOT NULL,
+        created_at_beijing TEXT NOT NULL
+      )
+    `).run();
+    
+    // 创建后端能力表（source: probe 探测结果 / override 手动设置）
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS backend_capabilities (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        backend_url TEXT NOT NULL,
+        capability TEXT NOT NULL,
+        supported INTEGER NOT NULL,
+        source TEXT NOT NULL DEFAULT 'probe',
+        detail TEXT,
+        checked_at TEXT NOT NULL,
+        checked_at_beijing TEXT NOT NULL,
+        UNIQUE(backend_url, capability, source)
+      )
+    `).run();
+    
+    // 创建熔断器状态表（outcomes: 滑动窗口内的结果 [[时间戳, 1成功/0失败], ...]）
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS circuit_breakers (
+        backend_url TEXT PRIMARY KEY,
+        state TEXT NOT NULL DEFAULT 'closed',
+        consecutive_failures INTEGER DEFAULT 0,
+        outcomes TEXT DEFAULT '[]',
+        opened_at INTEGER,
+        half_open_trials INTEGER DEFAULT 0,
+        half_open_successes INTEGER DEFAULT 0,
+        half_open_trial_at INTEGER,
+        last_failure_reason TEXT,
+        state_changed_beijing TEXT,
+        updated_at TEXT NOT NULL,
+        updated_at_beijing TEXT NOT NULL
+      )
+    `).run();
+    
+    // 创建请求合并统计表（按北京时间日期汇总）
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS coalescing_stats (
+        date TEXT PRIMARY KEY,
+        shared_fetches INTEGER DEFAULT 0,
+        coalesced_requests INTEGER DEFAULT 0,
+        max_waiters INTEGER DEFAULT 0,
+        updated_at_beijing TEXT
+      )
+    `).run();
+    
+    // 创建负载均衡状态表（权重、最后更新时间、响应时间历史和最近一次权重解释，所有isolate共享）
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS lb_state (
+        backend_url TEXT PRIMARY KEY,
+        weight REAL,
+        last_update INTEGER NOT NULL,
+        response_times TEXT,
+        weight_breakdown TEXT,
+        updated_at_beijing TEXT
+      )
+    `).run();
+    
+    // 创建后端手动控制表（mode: active/disabled/drain/pinned，weight_override 为固定权重，expires_at 为到期时间）
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS backend_controls (
+        backend_url TEXT PRIMARY KEY,
+        mode TEXT NOT NULL DEFAULT 'active',
+        weight_override REAL,
+        expires_at INTEGER,
+        note TEXT,
+        updated_by TEXT,
+        updated_at INTEGER NOT NULL,
+        updated_at_beijing TEXT,
+        expires_at_beijing TEXT
+      )
+    `).run();
+    
+    // 创建后端手动控制审计表（action: set/clear/expire，状态为JSON）
+    await db.prepare(`
+      CREATE TABLE IF NOT EXISTS backend_control_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        backend_url TEXT NOT NULL,
+        action TEXT NOT NULL,
+        previous_state TEXT,
+        new_state TEXT,
+        operator TEXT,
+        client_ip TEXT,
+        note TEXT,
+        request_id TEXT,
+        timestamp INTEGER NOT NULL,
+        beijing_time TEXT
+      )
+    `).run();
+    
     // 创建索引
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_health_check_timestamp ON health_check_results(timestamp)',
@@ -197,10 +432,16 @@ async function createTablesDynamically(db) {
       'CREATE INDEX IF NOT EXISTS idx_backend_status_healthy ON backend_status(healthy)',
       'CREATE INDEX IF NOT EXISTS idx_request_results_time ON request_results(timestamp)',
       'CREATE INDEX IF NOT EXISTS idx_request_results_backend ON request_results(backend_url)',
+      'CREATE INDEX IF NOT EXISTS idx_request_results_country ON request_results(client_country, timestamp)',
       'CREATE INDEX IF NOT EXISTS idx_telegram_notifications_time ON telegram_notifications(sent_time)',
       'CREATE INDEX IF NOT EXISTS idx_backend_status_beijing ON backend_status(updated_at_beijing)',
       'CREATE INDEX IF NOT EXISTS idx_beijing_time ON health_check_results(beijing_time)',
-      'CREATE INDEX IF NOT EXISTS idx_request_beijing_time ON request_results(beijing_time)'
+      'CREATE INDEX IF NOT EXISTS idx_request_beijing_time ON request_results(beijing_time)',
+      'CREATE INDEX IF NOT EXISTS idx_last_known_good_time ON last_known_good(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_rate_limits_rejected ON rate_limits(last_rejected_at)',
+      'CREATE INDEX IF NOT EXISTS idx_short_links_owner ON short_links(owner_token_id)',
+      'CREATE INDEX IF NOT EXISTS idx_backend_control_audit_time ON backend_control_audit(timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_backend_control_audit_backend ON backend_control_audit(backend_url, timestamp)'
     ];
     
     for (const indexSql of indexes) {
@@ -0,0 +1,230 @@
+// 最后可用快照：保存每个订阅转换请求最近一次成功的响应，所有后端不可用时返回该快照
+import {
+  getConfig,
+  DEFAULT_ENABLE_LAST_KNOWN_GOOD,
+  DEFAULT_LKG_MAX_SIZE,
+  DEFAULT_LKG_MAX_AGE,
+  DEFAULT_LKG_MIN_INTERVAL
+} from './utils.js';
+import { normalizeQueryString } from './edge-cache.js';
+
+const SNAPSHOT_PATHS = ['/sub']; // 只为订阅转换结果保存快照
+const SNAPSHOT_HEADERS = ['Content-Type', 'Content-Disposition', 'Subscription-Userinfo', 'Profile-Update-Interval', 'Profile-Web-Page-Url'];
+
+// 是否对该请求启用快照
+export function isLastKnownGoodEnabled(env, request) {
+  if (!getConfig(env, 'ENABLE_LAST_KNOWN_GOOD', DEFAULT_ENABLE_LAST_KNOWN_GOOD)) {
+    return false;
+  }
+  
+  const url = new URL(request.url);
+  return request.method === 'GET' && SNAPSHOT_PATHS.includes(url.pathname);
+}
+
+// 快照键：规范化请求的SHA-256，避免在键中保存原始订阅地址
+export async function buildSnapshotKey(request) {
+  const url = new URL(request.url);
+  const data = new TextEncoder().encode(`${url.pathname}?${normalizeQueryString(url)}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return bytesToHex(new Uint8Array(digest));
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// 由 LKG_ENCRYPTION_KEY 派生AES-GCM密钥
+async function getEncryptionKey(env) {
+  if (!env.LKG_ENCRYPTION_KEY) {
+    return null;
+  }
+  
+  const secret = new TextEncoder().encode(env.LKG_ENCRYPTION_KEY);
+  const keyData = await crypto.subtle.digest('SHA-256', secret);
+  return crypto.subtle.importKey('raw', keyData, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+// 加密后存储为 base64(iv + 密文)
+async function encryptBody(bytes, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+  const combined = new Uint8Array(iv.length + encrypted.length);
+  combined.set(iv);
+  combined.set(encrypted, iv.length);
+  return bytesToBase64(combined);
+}
+
+async function decryptBody(body, key) {
+  const combined = base64ToBytes(body);
+  const iv = combined.subarray(0, 12);
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, combined.subarray(12));
+}
+
+// 保存快照（只保存后端返回且通过校验的200响应），返回应继续发给客户端的响应
+export function saveLastKnownGood(db, request, response, env, ctx, requestId) {
+  if (!db || response.status !== 200 || !response.body || response.headers.has('X-Served-From') ||
+      response.headers.get('X-Response-Validation') === 'invalid') {
+    return response;
+  }
+  
+  const [clientBody, snapshotBody] = response.body.tee();
+  const backendUrl = response.headers.get('X-Backend-Server') || '';
+  const headers = {};
+  for (const name of SNAPSHOT_HEADERS) {
+    const value = response.headers.get(name);
+    if (value) headers[name] = value;
+  }
+  
+  ctx.waitUntil((async () => {
+    try {
+      const snapshotKey = await buildSnapshotKey(request);
+      const existing = await db.getLastKnownGoodMeta(snapshotKey);
+      const minInterval = getConfig(env, 'LKG_MIN_INTERVAL', DEFAULT_LKG_MIN_INTERVAL);
+      if (existing && Date.now() - new Date(existing.created_at).getTime() < minInterval * 1000) {
+        snapshotBody.cancel().catch(() => {});
+        return;
+      }
+      
+      const maxSize = getConfig(env, 'LKG_MAX_SIZE', DEFAULT_LKG_MAX_SIZE);
+      const bytes = await readSnapshotBody(snapshotBody, maxSize);
+      if (!bytes || bytes.length === 0) {
+        console.log(`[${requestId}] 响应大小不在快照范围内（上限 ${maxSize} 字节），跳过保存`);
+        return;
+      }
+      
+      // 内容哈希覆盖响应头，流量信息变化时也会更新快照
+      const headersJson = JSON.stringify(headers);
+      const headerBytes = new TextEncoder().encode(headersJson + '\n');
+      const hashInput = new Uint8Array(headerBytes.length + bytes.length);
+      hashInput.set(headerBytes);
+      hashInput.set(bytes, headerBytes.length);
+      const contentHash = bytesToHex(new Uint8Array(await crypto.subtle.digest('SHA-256', hashInput)));
+      if (existing && existing.content_hash === contentHash) {
+        await db.touchLastKnownGood(snapshotKey, backendUrl);
+        console.log(`[${requestId}] 快照内容未变化，仅刷新保存时间`);
+        return;
+      }
+      
+      const key = await getEncryptionKey(env);
+      const body = key ? await encryptBody(bytes, key) : new TextDecoder().decode(bytes);
+      
+      await db.saveLastKnownGood({
+        snapshot_key: snapshotKey,
+        target: new URL(request.url).searchParams.get('target') || '',
+        backend_url: backendUrl,
+        body,
+        headers: headersJson,
+        size: bytes.length,
+        encrypted: !!key,
+        content_hash: contentHash
+      }, requestId);
+      
+      console.log(`[${requestId}] 已更新最后可用快照，大小: ${bytes.length} 字节${key ? '（已加密）' : ''}`);
+    } catch (error) {
+      console.warn(`[${requestId}] 保存最后可用快照失败: ${error.message}`);
+      snapshotBody.cancel().catch(() => {});
+    }
+  })());
+  
+  return new Response(clientBody, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+// 逐块读取快照分支，超过上限立即取消，避免整段缓冲大响应；超限返回 null
+async function readSnapshotBody(stream, maxSize) {
+  const reader = stream.getReader();
+  const chunks = [];
+  let total = 0;
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxSize) {
+      // tee 分支的取消要等另一分支结束才完成，不等待
+      reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(value);
+  }
+  
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes;
+}
+
+// 读取快照并构建响应，无可用快照时返回 null
+export async function serveLastKnownGood(db, request, env, requestId) {
+  if (!db) {
+    return null;
+  }
+  
+  try {
+    const snapshotKey = await buildSnapshotKey(request);
+    const snapshot = await db.getLastKnownGood(snapshotKey);
+    if (!snapshot) {
+      console.log(`[${requestId}] 没有可用的最后可用快照`);
+      return null;
+    }
+    
+    const maxAge = getConfig(env, 'LKG_MAX_AGE', DEFAULT_LKG_MAX_AGE);
+    const age = Math.max(0, Math.floor((Date.now() - new Date(snapshot.created_at).getTime()) / 1000));
+    if (age > maxAge) {
+      console.log(`[${requestId}] 最后可用快照已超过 ${maxAge}s（${age}s），不再使用`);
+      return null;
+    }
+    
+    let body = snapshot.body;
+    if (snapshot.encrypted) {
+      const key = await getEncryptionKey(env);
+      if (!key) {
+        console.warn(`[${requestId}] 快照已加密但未配置 LKG_ENCRYPTION_KEY，无法使用`);
+        return null;
+      }
+      body = await decryptBody(snapshot.body, key);
+    }
+    
+    const headers = new Headers(JSON.parse(snapshot.headers || '{}'));
+    headers.set('X-Served-From', 'last-known-good');
+    headers.set('X-Snapshot-Age', `${age}`);
+    headers.set('X-Snapshot-Time', snapshot.beijing_time);
+    headers.set('Age', `${age}`);
+    headers.set('X-Request-ID', requestId);
+    headers.set('Cache-Control', 'no-store, max-age=0');
+    if (snapshot.backend_url) {
+      headers.set('X-Backend-Server', snapshot.backend_url);
+    }
+    
+    await db.markLastKnownGoodServed(snapshotKey);
+    console.log(`[${requestId}] 所有后端不可用，返回最后可用快照，快照时长: ${age}s`);
+    
+    return new Response(body, { status: 200, headers });
+  } catch (error) {
+    console.warn(`[${requestId}] 读取最后可用快照失败: ${error.message}`);
+    return null;
+  }
+}
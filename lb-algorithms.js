@@ -0,0 +1,254 @@
+// 负载均衡算法：由 LB_ALGORITHM 选择，smartFindAvailableBackend 和 SmartWeightedLoadBalancer.selectOptimalBackend 共用
+// 每个算法把候选后端排成优先顺序，第一个为本次选择的后端，其余作为故障转移顺序
+// 候选后端: { url, weight, responseTime }，weight 已叠加地区加成
+// 轮询计数和响应时间EWMA保存在isolate内存中
+import {
+  getConfig,
+  getBackendsFromEnv,
+  LB_ALGORITHMS,
+  DEFAULT_LB_ALGORITHM,
+  DEFAULT_LB_EWMA_ALPHA,
+  DEFAULT_LB_PRIORITY_ORDER
+} from './utils.js';
+
+// 平滑加权轮询的当前权重: backendUrl -> currentWeight
+const roundRobinState = new Map();
+
+// 响应时间EWMA: backendUrl -> { value, samples, updatedAt }
+const latencyState = new Map();
+
+// 参与计算的权重至少为1，避免权重为0的后端永远不被选中
+function positiveWeight(candidate) {
+  return Math.max(1, candidate.weight || 0);
+}
+
+// 候选后端的延迟：优先使用EWMA，没有样本时使用本次健康检查的响应时间
+function getLatency(candidate) {
+  return latencyState.get(candidate.url)?.value ?? candidate.responseTime ?? Infinity;
+}
+
+// 权重降序，权重相同按响应时间升序
+function byWeight(a, b) {
+  if (b.weight !== a.weight) {
+    return (b.weight || 0) - (a.weight || 0);
+  }
+  return (a.responseTime || Infinity) - (b.responseTime || Infinity);
+}
+
+// 延迟升序，延迟相同按权重降序
+function byLatency(a, b) {
+  const latencyA = getLatency(a);
+  const latencyB = getLatency(b);
+  if (latencyA !== latencyB) {
+    return latencyA - latencyB;
+  }
+  return (b.weight || 0) - (a.weight || 0);
+}
+
+// 选中的后端在前，其余按 compare 排序
+function orderAfter(selected, candidates, compare) {
+  return [selected.url, ...candidates.filter(c => c !== selected).sort(compare).map(c => c.url)];
+}
+
+function validateEwmaAlpha(env) {
+  const alpha = getConfig(env, 'LB_EWMA_ALPHA', DEFAULT_LB_EWMA_ALPHA);
+  if (!(alpha > 0 && alpha <= 1)) {
+    return [{ key: 'LB_EWMA_ALPHA', value: alpha, message: `值 ${alpha} 超出范围 (0-1]` }];
+  }
+  return [];
+}
+
+function getPriorityOrder(env) {
+  const order = getConfig(env, 'LB_PRIORITY_ORDER', DEFAULT_LB_PRIORITY_ORDER);
+  return Array.isArray(order) && order.length > 0 ? order : getBackendsFromEnv(env);
+}
+
+// rank(candidates, env, roundRobin): 返回后端URL的优先顺序；validate(env): 返回配置错误列表
+const ALGORITHMS = {
+  weighted_round_robin: {
+    label: '平滑加权轮询',
+    description: '按权重比例轮流选择（平滑加权轮询），高权重后端被选中更多但不会连续独占',
+    validate: () => [],
+    rank(candidates, env, roundRobin) {
+      const total = candidates.reduce((sum, c) => sum + positiveWeight(c), 0);
+      let selected = null;
+      let selectedWeight = -Infinity;
+      
+      for (const candidate of candidates) {
+        const current = (roundRobin.get(candidate.url) || 0) + positiveWeight(candidate);
+        roundRobin.set(candidate.url, current);
+        if (current > selectedWeight) {
+          selected = candidate;
+          selectedWeight = current;
+        }
+      }
+      
+      roundRobin.set(selected.url, selectedWeight - total);
+      return orderAfter(selected, candidates, byWeight);
+    }
+  },
+  
+  weighted_random: {
+    label: '加权随机',
+    description: '按权重比例随机选择',
+    validate: () => [],
+    rank(candidates) {
+      const total = candidates.reduce((sum, c) => sum + positiveWeight(c), 0);
+      let point = Math.random() * total;
+      let selected = candidates[candidates.length - 1];
+      
+      for (const candidate of candidates) {
+        point -= positiveWeight(candidate);
+        if (point < 0) {
+          selected = candidate;
+          break;
+        }
+      }
+      
+      return orderAfter(selected, candidates, byWeight);
+    }
+  },
+  
+  least_latency: {
+    label: '最低延迟',
+    description: '选择真实请求响应时间EWMA最低的后端（不考虑权重）',
+    validate: validateEwmaAlpha,
+    rank(candidates) {
+      return [...candidates].sort(byLatency).map(c => c.url);
+    }
+  },
+  
+  power_of_two_choices: {
+    label: '二选一',
+    description: '随机抽取两个后端，选择响应时间EWMA较低的一个',
+    validate: validateEwmaAlpha,
+    rank(candidates) {
+      if (candidates.length < 2) {
+        return candidates.map(c => c.url);
+      }
+      
+      const first = Math.floor(Math.random() * candidates.length);
+      const second = (first + 1 + Math.floor(Math.random() * (candidates.length - 1))) % candidates.length;
+      const pair = [candidates[first], candidates[second]].sort(byLatency);
+      
+      return orderAfter(pair[0], candidates, byLatency);
+    }
+  },
+  
+  priority: {
+    label: '优先级顺序',
+    description: '按 LB_PRIORITY_ORDER（未配置时为 BACKEND_URLS）的顺序选择第一个可用后端',
+    validate(env) {
+      const order = getConfig(env, 'LB_PRIORITY_ORDER', DEFAULT_LB_PRIORITY_ORDER);
+      if (!Array.isArray(order) || order.some(url => typeof url !== 'string')) {
+        return [{ key: 'LB_PRIORITY_ORDER', value: order, message: '必须是后端URL数组' }];
+      }
+      
+      const backends = getBackendsFromEnv(env);
+      return order
+        .filter(url => !backends.includes(url))
+        .map(url => ({ key: 'LB_PRIORITY_ORDER', value: url, message: `不在 BACKEND_URLS 中的后端: ${url}` }));
+    },
+    rank(candidates, env) {
+      const order = getPriorityOrder(env);
+      const position = (c) => (order.includes(c.url) ? order.indexOf(c.url) : Infinity);
+      
+      return [...candidates]
+        .sort((a, b) => (position(a) - position(b)) || byWeight(a, b))
+        .map(c => c.url);
+    }
+  },
+  
+  highest_weight: {
+    label: '最高权重',
+    description: '总是选择权重最高的后端，权重相同按响应时间',
+    validate: () => [],
+    rank(candidates) {
+      return [...candidates].sort(byWeight).map(c => c.url);
+    }
+  }
+};
+
+// 当前使用的算法名称（getConfig 已将未知值替换为默认算法）
+export function getLbAlgorithmName(env) {
+  const name = getConfig(env, 'LB_ALGORITHM', DEFAULT_LB_ALGORITHM);
+  return ALGORITHMS[name] ? name : DEFAULT_LB_ALGORITHM;
+}
+
+// 可用算法列表
+export function listLbAlgorithms() {
+  return LB_ALGORITHMS
+    .filter(name => ALGORITHMS[name])
+    .map(name => ({ name, label: ALGORITHMS[name].label, description: ALGORITHMS[name].description }));
+}
+
+// 校验当前算法的配置，返回错误列表
+export function validateLbAlgorithmConfig(env, requestId = null) {
+  const errors = ALGORITHMS[getLbAlgorithmName(env)].validate(env);
+  
+  if (errors.length > 0 && requestId) {
+    console.warn(`[${requestId}] 负载均衡算法配置警告:`, errors);
+  }
+  
+  return errors;
+}
+
+// 按当前算法排序候选后端，返回 { algorithm, order }
+// roundRobin: 平滑加权轮询的当前权重，默认使用isolate内共享的计数
+export function rankBackends(candidates, env, requestId, roundRobin = roundRobinState) {
+  const algorithm = getLbAlgorithmName(env);
+  
+  if (candidates.length === 0) {
+    return { algorithm, order: [] };
+  }
+  
+  const order = ALGORITHMS[algorithm].rank(candidates, env, roundRobin);
+  
+  if (getConfig(env, 'DEBUG_MODE', false)) {
+    console.log(`[${requestId}] 负载均衡(${algorithm})顺序: ${order.join(', ')}`);
+  }
+  
+  return { algorithm, order };
+}
+
+// 试排序：在轮询计数的副本上排序，返回 { algorithm, order, commit }
+// 只有采用该结果时才调用 commit() 把本次的计数变化累加到 roundRobin，未采用的排序不推进轮询
+export function previewRankBackends(candidates, env, requestId, roundRobin = roundRobinState) {
+  const draft = new Map(roundRobin);
+  const ranking = rankBackends(candidates, env, requestId, draft);
+  const deltas = candidates.map(c => [c.url, (draft.get(c.url) || 0) - (roundRobin.get(c.url) || 0)]);
+  
+  return {
+    ...ranking,
+    commit() {
+      for (const [url, delta] of deltas) {
+        if (delta !== 0) {
+          roundRobin.set(url, (roundRobin.get(url) || 0) + delta);
+        }
+      }
+    }
+  };
+}
+
+// 记录真实请求的响应时间，更新EWMA
+export function observeLatency(env, backendUrl, responseTime) {
+  if (!Number.isFinite(responseTime) || responseTime < 0) return;
+  
+  const alpha = getConfig(env, 'LB_EWMA_ALPHA', DEFAULT_LB_EWMA_ALPHA);
+  const previous = latencyState.get(backendUrl);
+  const value = previous ? alpha * responseTime + (1 - alpha) * previous.value : responseTime;
+  
+  latencyState.set(backendUrl, {
+    value: Math.round(value * 10) / 10,
+    samples: (previous?.samples || 0) + 1,
+    updatedAt: Date.now()
+  });
+}
+
+// 当前isolate内的算法状态（用于调试接口）
+export function getLbAlgorithmState() {
+  return {
+    round_robin: Object.fromEntries(roundRobinState),
+    latency_ewma: Object.fromEntries(latencyState)
+  };
+}
@@ -1,17 +1,126 @@
 import { 
   smoothWeightAdjustment, 
   calculateResponseTimeScore,
-  getConfig
+  getConfig,
+  getBeijingTimeString,
+  DEFAULT_LB_STATE_SYNC_INTERVAL
 } from './utils.js';
+import { rankBackends } from './lb-algorithms.js';
+
+const HISTORY_MAX_AGE = 5 * 60 * 1000; // 响应时间历史只保留最近5分钟
+
+function createState() {
+  return {
+    lastUpdateTime: new Map(),
+    weightCache: new Map(),
+    responseTimeHistory: new Map(),
+    breakdowns: new Map(), // 最近一次权重计算的解释
+    dirty: new Set(), // 有未写入D1的变更的后端
+    syncedAt: 0
+  };
+}
+
+// 负载均衡状态（同一isolate内的所有实例共享），按 LB_STATE_SYNC_INTERVAL 与D1的 lb_state 表同步
+const sharedState = createState();
+
+// 合并两份响应时间历史：按时间戳去重排序，只保留最近的记录
+function mergeHistory(local, stored, maxSize, now) {
+  const merged = new Map();
+  for (const item of [...stored, ...local]) {
+    if (item && item.timestamp > now - HISTORY_MAX_AGE) {
+      merged.set(`${item.timestamp}:${item.responseTime}`, item);
+    }
+  }
+  return Array.from(merged.values())
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-maxSize);
+}
 
 export class SmartWeightedLoadBalancer {
-  constructor(env) {
+  // options.isolated: 使用独立的空状态（算法测试接口使用），不影响共享状态和轮询计数，也不与D1同步
+  constructor(env, options = {}) {
     this.env = env;
+    this.isolated = !!options.isolated;
+    // 独立状态同时使用独立的轮询计数；共享状态不设置 roundRobin，使用 lb-algorithms 中的共享计数
+    this.state = this.isolated ? { ...createState(), roundRobin: new Map() } : sharedState;
     this.backendStats = new Map(); // 缓存后端统计信息
-    this.lastUpdateTime = new Map(); // 最后更新时间
-    this.weightCache = new Map(); // 权重缓存
-    this.responseTimeHistory = new Map(); // 响应时间历史记录
+    this.lastUpdateTime = this.state.lastUpdateTime; // 最后更新时间
+    this.weightCache = this.state.weightCache; // 权重缓存
+    this.responseTimeHistory = this.state.responseTimeHistory; // 响应时间历史记录
     this.maxHistorySize = getConfig(env, 'RESPONSE_TIME_WINDOW', 10);
+    this.syncInterval = getConfig(env, 'LB_STATE_SYNC_INTERVAL', DEFAULT_LB_STATE_SYNC_INTERVAL) * 1000;
+  }
+
+  // 与D1同步：先写入本地变更，再读取其它isolate写入的较新状态；force 为 true 时忽略同步间隔
+  async syncState(db, requestId, force = false) {
+    const now = Date.now();
+    if (!db || this.isolated || (!force && now - this.state.syncedAt < this.syncInterval)) {
+      return;
+    }
+    this.state.syncedAt = now;
+    
+    await this.flushState(db, requestId);
+    
+    try {
+      const rows = await db.getLoadBalancerState();
+      for (const row of rows) {
+        const url = row.backend_url;
+        const localUpdate = this.lastUpdateTime.get(url) || 0;
+        let storedHistory = [];
+        try {
+          storedHistory = JSON.parse(row.response_times || '[]');
+        } catch (error) {
+          // 忽略损坏的历史记录
+        }
+        
+        this.responseTimeHistory.set(
+          url,
+          mergeHistory(this.responseTimeHistory.get(url) || [], storedHistory, this.maxHistorySize, now)
+        );
+        
+        if (row.last_update > localUpdate) {
+          this.lastUpdateTime.set(url, row.last_update);
+          if (row.weight !== null && row.weight !== undefined) {
+            this.weightCache.set(url, row.weight);
+          }
+          try {
+            if (row.weight_breakdown) {
+              this.state.breakdowns.set(url, JSON.parse(row.weight_breakdown));
+            } else {
+              this.state.breakdowns.delete(url);
+            }
+          } catch (error) {
+            // 忽略损坏的权重解释
+          }
+        }
+      }
+    } catch (error) {
+      console.warn(`[${requestId}] 读取负载均衡状态失败，使用本地状态: ${error.message}`);
+    }
+  }
+
+  // 将有变更的后端状态写入D1，失败时保留变更标记等待下次同步
+  async flushState(db, requestId) {
+    if (!db || this.isolated || this.state.dirty.size === 0) {
+      return;
+    }
+    
+    const urls = Array.from(this.state.dirty);
+    this.state.dirty.clear();
+    
+    try {
+      await db.saveLoadBalancerState(urls.map(url => ({
+        backend_url: url,
+        weight: this.weightCache.get(url) ?? null,
+        last_update: this.lastUpdateTime.get(url) || Date.now(),
+        response_times: JSON.stringify(this.responseTimeHistory.get(url) || []),
+        weight_breakdown: this.state.breakdowns.has(url) ? JSON.stringify(this.state.breakdowns.get(url)) : null,
+        beijing_time: getBeijingTimeString()
+      })));
+    } catch (error) {
+      urls.forEach(url => this.state.dirty.add(url));
+      console.warn(`[${requestId}] 保存负载均衡状态失败: ${error.message}`);
+    }
   }
 
   // 添加响应时间到历史记录
@@ -33,9 +142,9 @@ export class SmartWeightedLoadBalancer {
     
     // 清理过时的记录（超过5分钟）
     const now = Date.now();
-    const fiveMinutesAgo = now - 5 * 60 * 1000;
-    const filtered = history.filter(item => item.timestamp > fiveMinutesAgo);
+    const filtered = history.filter(item => item.timestamp > now - HISTORY_MAX_AGE);
     this.responseTimeHistory.set(backendUrl, filtered);
+    this.state.dirty.add(backendUrl);
   }
 
   // 计算平均响应时间
@@ -73,6 +182,7 @@ export class SmartWeightedLoadBalancer {
   }
 
   // 智能计算后端权重
+  // 每次计算的各项因子记录为权重解释（getWeightBreakdown），随负载均衡状态同步到D1
   async calculateBackendWeight(backendUrl, healthResult, db, requestId) {
     const MAX_WEIGHT = getConfig(this.env, 'MAX_WEIGHT', 100);
     const MIN_WEIGHT = getConfig(this.env, 'MIN_WEIGHT', 10);
@@ -80,17 +190,23 @@ export class SmartWeightedLoadBalancer {
     const WEIGHT_ADJUSTMENT_FACTOR = getConfig(this.env, 'WEIGHT_ADJUSTMENT_FACTOR', 0.3);
     const SUCCESS_BOOST = getConfig(this.env, 'SUCCESS_BOOST', 8);
     const FAILURE_PENALTY = getConfig(this.env, 'FAILURE_PENALTY', 15);
+    const TIMEOUT_PENALTY = getConfig(this.env, 'TIMEOUT_PENALTY', 10);
     const HEALTH_THRESHOLD = getConfig(this.env, 'HEALTH_THRESHOLD', 0.7);
     const WEIGHT_RECOVERY_RATE = getConfig(this.env, 'WEIGHT_RECOVERY_RATE', 2);
     
+    // 同步其它isolate积累的响应时间历史和更新时间
+    await this.syncState(db, requestId);
+    
     // 获取当前权重（从缓存或数据库）
     let currentWeight = this.weightCache.get(backendUrl) || BASE_WEIGHT;
+    let weightSource = this.weightCache.has(backendUrl) ? 'cache' : 'base';
     
     try {
       if (db) {
         const backendStatus = await db.getBackendStatus(backendUrl);
         if (backendStatus && backendStatus.weight) {
           currentWeight = backendStatus.weight;
+          weightSource = 'backend_status';
           this.weightCache.set(backendUrl, currentWeight);
         }
       }
@@ -98,32 +214,49 @@ export class SmartWeightedLoadBalancer {
       console.warn(`[${requestId}] 获取后端权重失败: ${error.message}`);
     }
     
-    // 计算目标权重
+    // 计算目标权重，每项调整记录为一个因子: { factor, label, value, detail }
     let targetWeight = BASE_WEIGHT;
+    const factors = [];
+    const addFactor = (factor, label, value, detail = null) => {
+      targetWeight += value;
+      factors.push({ factor, label, value: Math.round(value * 100) / 100, detail });
+    };
     
     // 1. 健康状态权重调整
     if (healthResult.healthy) {
       // 健康状态奖励
-      targetWeight += SUCCESS_BOOST;
+      addFactor('success_boost', '健康奖励', SUCCESS_BOOST);
       
       // 响应时间得分权重调整（0-100分转换为0-30权重）
       if (healthResult.responseTimeScore) {
         const responseTimeBonus = (healthResult.responseTimeScore / 100) * 30;
-        targetWeight += responseTimeBonus;
+        addFactor('response_time', '响应时间得分', responseTimeBonus, {
+          response_time: healthResult.responseTime,
+          score: healthResult.responseTimeScore
+        });
       }
       
       // 响应时间历史稳定性奖励
       const stabilityScore = this.calculateResponseTimeStability(backendUrl);
       const stabilityBonus = (stabilityScore / 100) * 20;
-      targetWeight += stabilityBonus;
+      addFactor('stability', '响应时间稳定性', stabilityBonus, {
+        score: stabilityScore,
+        samples: (this.responseTimeHistory.get(backendUrl) || []).length
+      });
       
       // 添加响应时间到历史记录
       if (healthResult.responseTime) {
         this.addResponseTimeToHistory(backendUrl, healthResult.responseTime);
       }
     } else {
-      // 不健康状态惩罚
-      targetWeight -= FAILURE_PENALTY;
+      // 不健康状态惩罚，请求超时额外惩罚（挂起的后端比快速失败的后端更影响客户端）
+      addFactor('failure_penalty', '不健康惩罚', -FAILURE_PENALTY, {
+        status: healthResult.status ?? null,
+        error: healthResult.error || null
+      });
+      if (healthResult.timeout) {
+        addFactor('timeout_penalty', '超时惩罚', -TIMEOUT_PENALTY);
+      }
     }
     
     // 2. 从数据库获取历史成功率
@@ -134,17 +267,14 @@ export class SmartWeightedLoadBalancer {
           const successRate = stats.success_rate;
           
           // 成功率高于阈值奖励，低于阈值惩罚
-          if (successRate >= HEALTH_THRESHOLD) {
-            const successBonus = (successRate - HEALTH_THRESHOLD) * 50;
-            targetWeight += successBonus;
-          } else {
-            const successPenalty = (HEALTH_THRESHOLD - successRate) * 50;
-            targetWeight -= successPenalty;
-          }
+          addFactor('success_rate', '历史成功率', (successRate - HEALTH_THRESHOLD) * 50, {
+            success_rate: successRate,
+            threshold: HEALTH_THRESHOLD
+          });
           
           // 请求量奖励（处理更多请求的后端获得更高权重）
           const requestVolumeBonus = Math.min(20, Math.log10(stats.total_requests + 1) * 5);
-          targetWeight += requestVolumeBonus;
+          addFactor('request_volume', '请求量', requestVolumeBonus, { total_requests: stats.total_requests });
         }
       }
     } catch (error) {
@@ -156,17 +286,19 @@ export class SmartWeightedLoadBalancer {
     const lastUpdate = this.lastUpdateTime.get(backendUrl) || now;
     const timeSinceLastUpdate = now - lastUpdate;
     const minutesSinceLastUpdate = timeSinceLastUpdate / (60 * 1000);
+    const weightBeforeRecovery = currentWeight;
     
     // 每分钟恢复一定权重（向基准权重恢复）
+    // 恢复作用于上次计算的权重，本次的健康结果仍通过目标权重生效
     if (minutesSinceLastUpdate > 0) {
       const recoveryAmount = minutesSinceLastUpdate * WEIGHT_RECOVERY_RATE;
       
       if (currentWeight < BASE_WEIGHT) {
         // 低于基准权重，向上恢复
-        targetWeight = Math.min(BASE_WEIGHT, currentWeight + recoveryAmount);
+        currentWeight = Math.min(BASE_WEIGHT, currentWeight + recoveryAmount);
       } else if (currentWeight > BASE_WEIGHT) {
         // 高于基准权重，向下恢复（避免权重过高）
-        targetWeight = Math.max(BASE_WEIGHT, currentWeight - recoveryAmount * 0.5);
+        currentWeight = Math.max(BASE_WEIGHT, currentWeight - recoveryAmount * 0.5);
       }
     }
     
@@ -180,16 +312,50 @@ export class SmartWeightedLoadBalancer {
     // 5. 限制权重范围
     const finalWeight = Math.max(MIN_WEIGHT, Math.min(MAX_WEIGHT, Math.round(adjustedWeight)));
     
-    // 更新缓存
+    // 更新缓存，按同步间隔写入D1
     this.weightCache.set(backendUrl, finalWeight);
     this.lastUpdateTime.set(backendUrl, now);
+    this.state.breakdowns.set(backendUrl, {
+      backend_url: backendUrl,
+      request_id: requestId,
+      computed_at: new Date(now).toISOString(),
+      beijing_time: getBeijingTimeString(new Date(now)),
+      health: {
+        healthy: !!healthResult.healthy,
+        timeout: !!healthResult.timeout,
+        response_time: healthResult.responseTime ?? null,
+        status: healthResult.status ?? null
+      },
+      base_weight: BASE_WEIGHT,
+      factors,
+      target_weight: Math.round(targetWeight * 100) / 100,
+      previous_weight: weightBeforeRecovery,
+      previous_weight_source: weightSource,
+      recovery: {
+        minutes_since_last_update: Math.round(minutesSinceLastUpdate * 100) / 100,
+        rate_per_minute: WEIGHT_RECOVERY_RATE,
+        weight_after: Math.round(currentWeight * 100) / 100
+      },
+      smoothing: {
+        factor: WEIGHT_ADJUSTMENT_FACTOR,
+        result: Math.round(adjustedWeight * 100) / 100
+      },
+      clamp: { min: MIN_WEIGHT, max: MAX_WEIGHT },
+      final_weight: finalWeight
+    });
+    this.state.dirty.add(backendUrl);
     
-    console.log(`[${requestId}] 后端权重计算: ${backendUrl}, 当前: ${currentWeight}, 目标: ${targetWeight.toFixed(1)}, 调整后: ${finalWeight}`);
+    console.log(`[${requestId}] 后端权重计算: ${backendUrl}, 当前: ${currentWeight.toFixed(1)}, 目标: ${targetWeight.toFixed(1)}, 调整后: ${finalWeight}`);
     
     return finalWeight;
   }
 
-  // 【修改】选择最优后端（加权轮询，权重相同按响应时间排序）
+  // 最近一次权重计算的各项因子，没有记录时返回 null
+  getWeightBreakdown(backendUrl) {
+    return this.state.breakdowns.get(backendUrl) || null;
+  }
+
+  // 选择最优后端（按 LB_ALGORITHM 配置的负载均衡算法）
   async selectOptimalBackend(availableBackends, requestId, env, db) {
     const backends = Array.from(availableBackends.entries());
     
@@ -198,7 +364,6 @@ export class SmartWeightedLoadBalancer {
     }
     
     // 计算每个后端的权重
-    const weightedBackends = [];
     const backendWeights = [];
     
     for (const [url, health] of backends) {
@@ -216,15 +381,6 @@ export class SmartWeightedLoadBalancer {
       
       const finalWeight = Math.max(1, Math.round(weight * weightMultiplier));
       
-      // 【修改】根据权重创建加权列表，权重高的有更多机会被选中
-      for (let i = 0; i < finalWeight; i++) {
-        weightedBackends.push({
-          url,
-          weight: finalWeight,
-          responseTime: health.responseTime || 9999
-        });
-      }
-      
       backendWeights.push({
         url,
         weight: finalWeight,
@@ -234,26 +390,14 @@ export class SmartWeightedLoadBalancer {
       });
     }
     
-    if (weightedBackends.length === 0) {
-      return null;
-    }
-    
-    // 【修改】按权重降序、响应时间升序排序
-    weightedBackends.sort((a, b) => {
-      if (b.weight !== a.weight) {
-        return b.weight - a.weight;
-      }
-      return (a.responseTime || 9999) - (b.responseTime || 9999);
-    });
-    
-    // 选择权重最高且响应时间最短的后端
-    const selectedBackend = weightedBackends[0].url;
+    const { algorithm, order } = rankBackends(backendWeights, env, requestId, this.state.roundRobin);
+    const selectedBackend = order[0];
     
     // 记录选择统计
     const selectedWeightInfo = backendWeights.find(b => b.url === selectedBackend);
-    const totalWeight = weightedBackends.length;
+    const totalWeight = backendWeights.reduce((sum, b) => sum + b.weight, 0);
     
-    console.log(`[${requestId}] 加权轮询选择: ${selectedBackend}, 权重: ${selectedWeightInfo?.weight || 1}/${totalWeight}, 响应时间: ${selectedWeightInfo?.responseTime || 0}ms`);
+    console.log(`[${requestId}] 负载均衡(${algorithm})选择: ${selectedBackend}, 权重: ${selectedWeightInfo?.weight || 1}/${totalWeight}, 响应时间: ${selectedWeightInfo?.responseTime || 0}ms`);
     
     // 调试信息
     if (getConfig(env, 'DEBUG_MODE', false)) {
@@ -295,7 +439,9 @@ export class SmartWeightedLoadBalancer {
     const BASE_WEIGHT = getConfig(this.env, 'BASE_WEIGHT', 50);
     this.weightCache.set(backendUrl, BASE_WEIGHT);
     this.lastUpdateTime.set(backendUrl, Date.now());
-    this.responseTimeHistory.delete(backendUrl);
+    this.responseTimeHistory.set(backendUrl, []);
+    this.state.breakdowns.delete(backendUrl);
+    this.state.dirty.add(backendUrl);
   }
 
   // 重置所有后端权重
@@ -305,8 +451,30 @@ export class SmartWeightedLoadBalancer {
     for (const [url] of this.weightCache.entries()) {
       this.weightCache.set(url, BASE_WEIGHT);
       this.lastUpdateTime.set(url, Date.now());
+      this.responseTimeHistory.set(url, []);
+      this.state.breakdowns.delete(url);
+      this.state.dirty.add(url);
     }
-    
-    this.responseTimeHistory.clear();
   }
+}
+
+// 权重解释摘要：最终权重相对基准权重和上次权重的变化，以及拉低权重的因子（按影响从大到小）
+export function summarizeWeightBreakdown(breakdown) {
+  if (!breakdown) return null;
+  
+  const negative = breakdown.factors
+    .filter(item => item.value < 0)
+    .sort((a, b) => a.value - b.value);
+  const recovered = breakdown.recovery.weight_after !== breakdown.previous_weight;
+  
+  return {
+    final_weight: breakdown.final_weight,
+    change_from_base: breakdown.final_weight - breakdown.base_weight,
+    change_from_previous: Math.round((breakdown.final_weight - breakdown.previous_weight) * 100) / 100,
+    demoted: breakdown.final_weight < breakdown.previous_weight || breakdown.final_weight < breakdown.base_weight,
+    demotion_reasons: negative.map(item => `${item.label}: ${item.value}`),
+    // 平滑调整使权重只向目标移动一部分，连续多次失败才会明显降权
+    gap_to_target: Math.round((breakdown.target_weight - breakdown.final_weight) * 100) / 100,
+    recovery_applied: recovered
+  };
 }
\ No newline at end of file
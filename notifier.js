@@ -8,6 +8,7 @@ import {
   getBeijingTimeString
 } from './utils.js';
 import { SafeD1Database } from './database.js';
+import { redactNotificationData, redactText } from './redaction.js';
 
 export class ResilientTelegramNotifier {
   constructor(env) {
@@ -36,6 +37,9 @@ export class ResilientTelegramNotifier {
       return { success: false, reason: '通知类型已禁用' };
     }
     
+    // 发送和保存前统一脱敏，并移除env
+    notificationData = redactNotificationData(notificationData, this.env);
+    
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
         const message = formatTelegramMessage(notificationData);
@@ -79,7 +83,7 @@ export class ResilientTelegramNotifier {
           }
           
           // 保存失败的记录到数据库
-          await this.saveNotificationToDB(notificationData, requestId, `发送失败: ${error.message}`, false);
+          await this.saveNotificationToDB(notificationData, requestId, `发送失败: ${redactText(error.message, this.env)}`, false);
           
           return { 
             success: false, 
@@ -118,7 +122,7 @@ export class ResilientTelegramNotifier {
   async fallbackNotification(notificationData, requestId) {
     console.log(`[${requestId}] 使用备用通知方案`);
     
-    const message = `[备用通知] ${JSON.stringify(notificationData, null, 2)}`;
+    const message = `[备用通知] ${JSON.stringify(redactNotificationData(notificationData, this.env), null, 2)}`;
     console.log(`[${requestId}] 备用通知内容:`, message.substring(0, 200));
     
     return { success: true, fallback: true };
@@ -0,0 +1,149 @@
+// 参数策略：转发 /sub 请求前统一补充默认参数、强制参数、移除禁止参数并按正则改写参数值
+// 规则可按 target 和访问令牌标签细分，细分规则覆盖全局规则（全局 < target < 令牌）
+import {
+  getConfig,
+  DEFAULT_PARAM_POLICY,
+  DEFAULT_PARAM_POLICY_DEBUG_HEADER
+} from './utils.js';
+import { redactText } from './redaction.js';
+
+const POLICY_PATHS = ['/sub'];
+
+// 解析参数策略，未配置时返回 null
+export function getParamPolicy(env) {
+  const policy = getConfig(env, 'PARAM_POLICY', DEFAULT_PARAM_POLICY);
+  if (!policy || typeof policy !== 'object' || Object.keys(policy).length === 0) {
+    return null;
+  }
+  return policy;
+}
+
+// 合并规则：defaults/forced 按参数名覆盖，forbidden/rewrites 累加
+function mergeRules(base, override) {
+  if (!override) return base;
+  
+  return {
+    defaults: { ...base.defaults, ...(override.defaults || {}) },
+    forced: { ...base.forced, ...(override.forced || {}) },
+    forbidden: [...base.forbidden, ...(override.forbidden || [])],
+    rewrites: [...base.rewrites, ...(override.rewrites || [])]
+  };
+}
+
+// 按 target 和令牌标签得到生效的规则
+export function resolveParamRules(policy, target, tokenLabel) {
+  let rules = mergeRules({ defaults: {}, forced: {}, forbidden: [], rewrites: [] }, policy);
+  
+  if (target) {
+    rules = mergeRules(rules, policy.targets?.[target.toLowerCase()]);
+  }
+  if (tokenLabel) {
+    rules = mergeRules(rules, policy.tokens?.[tokenLabel]);
+  }
+  
+  return rules;
+}
+
+// 检查策略格式，返回错误信息列表（在 /api/config 中显示）
+export function validateParamPolicy(policy) {
+  const errors = [];
+  const scopes = [
+    ['全局', policy],
+    ...Object.entries(policy.targets || {}).map(([name, rules]) => [`target ${name}`, rules]),
+    ...Object.entries(policy.tokens || {}).map(([name, rules]) => [`令牌 ${name}`, rules])
+  ];
+  
+  for (const [scope, rules] of scopes) {
+    if (rules.forbidden && !Array.isArray(rules.forbidden)) {
+      errors.push(`${scope}: forbidden 必须是数组`);
+    }
+    for (const rewrite of rules.rewrites || []) {
+      try {
+        new RegExp(rewrite.pattern, rewrite.flags || '');
+      } catch (error) {
+        errors.push(`${scope}: 参数 ${rewrite.param} 的正则无效: ${error.message}`);
+      }
+    }
+  }
+  
+  return errors;
+}
+
+// 应用参数策略
+// 返回 { request, query, changes: { removed, rewritten, added, forced } }，不适用时返回 null
+export function applyParamPolicy(request, env, context = {}, requestId = '') {
+  const policy = getParamPolicy(env);
+  const url = new URL(request.url);
+  
+  if (!policy || !POLICY_PATHS.includes(url.pathname)) {
+    return null;
+  }
+  
+  const params = url.searchParams;
+  const rules = resolveParamRules(policy, params.get('target'), context.tokenLabel);
+  const changes = { removed: [], rewritten: [], added: [], forced: [] };
+  
+  for (const name of rules.forbidden) {
+    if (params.has(name)) {
+      params.delete(name);
+      changes.removed.push(name);
+    }
+  }
+  
+  for (const rewrite of rules.rewrites) {
+    const value = params.get(rewrite.param);
+    if (value === null) continue;
+    
+    try {
+      const rewritten = value.replace(new RegExp(rewrite.pattern, rewrite.flags || ''), rewrite.replacement ?? '');
+      if (rewritten !== value) {
+        params.set(rewrite.param, rewritten);
+        changes.rewritten.push(rewrite.param);
+      }
+    } catch (error) {
+      console.warn(`[${requestId}] 参数改写规则无效 (${rewrite.param}): ${error.message}`);
+    }
+  }
+  
+  for (const [name, value] of Object.entries(rules.defaults)) {
+    if (!params.has(name)) {
+      params.set(name, `${value}`);
+      changes.added.push(name);
+    }
+  }
+  
+  for (const [name, value] of Object.entries(rules.forced)) {
+    if (params.get(name) !== `${value}`) {
+      params.set(name, `${value}`);
+      changes.forced.push(name);
+    }
+  }
+  
+  return {
+    request: new Request(url.toString(), request),
+    query: url.search.slice(1),
+    changes
+  };
+}
+
+// 添加调试响应头：生效的查询参数（已脱敏）和策略改动
+export function withParamPolicyHeaders(response, result, env) {
+  if (!result || !getConfig(env, 'PARAM_POLICY_DEBUG_HEADER', DEFAULT_PARAM_POLICY_DEBUG_HEADER)) {
+    return response;
+  }
+  
+  const summary = Object.entries(result.changes)
+    .filter(([, names]) => names.length > 0)
+    .map(([type, names]) => `${type}=${names.join(',')}`)
+    .join('; ');
+  
+  const headers = new Headers(response.headers);
+  headers.set('X-Effective-Query', redactText(result.query, env));
+  headers.set('X-Param-Policy', summary || 'unchanged');
+  
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
@@ -0,0 +1,490 @@
+// 转换结果后处理：在Worker中统一处理各后端行为不一致的改动（节点改名、按正则删除节点、添加策略组、覆盖DNS设置）
+// 对已知 target 的后端响应解析 YAML/JSON，依次执行变换后重新序列化；解析失败时原样返回后端内容
+//
+// POST_PROCESSING 配置:
+// {
+//   "profiles": { "clean": [{ "type": "exclude", "pattern": "过期|剩余流量" }, { "type": "dns", "settings": { "enable": true } }] },
+//   "tokens": { "family": ["clean"] }
+// }
+// 变换: exclude/include { pattern, flags } | rename { pattern, flags, replacement }
+//       add_group { name, group_type: select | url-test, pattern, attach_to, url, interval } | dns { settings }
+// 查询参数: pp=配置名（逗号分隔）；pp_exclude=正则；pp_include=正则；pp_rename=旧@新（多条用 ` 分隔）
+// 内联正则来自请求方：需带访问令牌或开启 ALLOW_INLINE_POST_PROCESSING，并限制长度、拒绝嵌套量词
+import {
+  getConfig,
+  DEFAULT_ENABLE_POST_PROCESSING,
+  DEFAULT_POST_PROCESSING,
+  DEFAULT_POST_PROCESSING_MAX_SIZE,
+  DEFAULT_ALLOW_INLINE_POST_PROCESSING,
+  DEFAULT_POST_PROCESSING_MAX_PATTERN_LENGTH
+} from './utils.js';
+import { parseYaml, stringifyYaml } from './yaml.js';
+
+const POST_PROCESSING_PATHS = ['/sub'];
+const PROFILE_PARAM = 'pp';
+const INLINE_PARAMS = { pp_exclude: 'exclude', pp_include: 'include', pp_rename: 'rename' };
+const TRANSFORM_TYPES = ['exclude', 'include', 'rename', 'add_group', 'dns'];
+const TARGET_FORMATS = { clash: 'clash', clashr: 'clash', singbox: 'singbox' };
+const DEFAULT_TEST_URL = 'http://www.gstatic.com/generate_204';
+const SINGBOX_NON_NODE_TYPES = ['selector', 'urltest', 'direct', 'block', 'dns'];
+const CLASH_RULE_OPTIONS = ['no-resolve', 'src'];
+
+// Clash 规则的目标是去掉末尾选项（no-resolve 等）后的最后一个字段，返回其下标
+function clashRuleTargetIndex(fields) {
+  let index = fields.length - 1;
+  while (index > 0 && CLASH_RULE_OPTIONS.includes(fields[index].trim())) {
+    index--;
+  }
+  return index;
+}
+
+// 改写 Clash 规则的目标：mapTarget 返回新目标，返回 null 表示删除该规则
+function rewriteClashRules(config, mapTarget) {
+  if (!Array.isArray(config.rules)) return;
+  config.rules = config.rules.flatMap(rule => {
+    if (typeof rule !== 'string') return [rule];
+    const fields = rule.split(',');
+    const index = clashRuleTargetIndex(fields);
+    const target = mapTarget(fields[index].trim(), fields[0].trim().toUpperCase() === 'MATCH');
+    if (target === null) return [];
+    fields[index] = target;
+    return [fields.join(',')];
+  });
+}
+
+// 各格式的节点和策略组访问方式
+const FORMAT_ADAPTERS = {
+  clash: {
+    parse: parseYaml,
+    serialize: stringifyYaml,
+    nameKey: 'name',
+    memberKey: 'proxies',
+    getNodes: config => Array.isArray(config.proxies) ? config.proxies : [],
+    removeNodes: (config, removed) => {
+      config.proxies = config.proxies.filter(node => !removed.has(node));
+    },
+    getGroups: config => Array.isArray(config['proxy-groups']) ? config['proxy-groups'] : [],
+    addGroup: (config, group) => {
+      config['proxy-groups'] = [...(config['proxy-groups'] || []), group];
+    },
+    buildGroup: (transform, members) => ({
+      name: transform.name,
+      type: transform.group_type || 'select',
+      proxies: members,
+      ...(transform.group_type === 'url-test' ? { url: transform.url || DEFAULT_TEST_URL, interval: transform.interval || 300 } : {})
+    }),
+    // 策略组不能为空
+    fallbackMember: () => 'DIRECT',
+    // 规则可以直接以节点为目标
+    renameReferences: (config, renames) => {
+      rewriteClashRules(config, target => renames.get(target) ?? target);
+    },
+    // 指向已删除节点的规则一并删除，MATCH 兜底规则改为 DIRECT
+    removeReferences: (config, removedNames) => {
+      rewriteClashRules(config, (target, isMatch) => {
+        if (!removedNames.has(target)) return target;
+        return isMatch ? 'DIRECT' : null;
+      });
+    }
+  },
+  singbox: {
+    parse: text => JSON.parse(text),
+    serialize: config => JSON.stringify(config, null, 2),
+    nameKey: 'tag',
+    memberKey: 'outbounds',
+    getNodes: config => (config.outbounds || []).filter(outbound => !SINGBOX_NON_NODE_TYPES.includes(outbound.type)),
+    removeNodes: (config, removed) => {
+      config.outbounds = config.outbounds.filter(outbound => !removed.has(outbound));
+    },
+    getGroups: config => (config.outbounds || []).filter(outbound => outbound.type === 'selector' || outbound.type === 'urltest'),
+    addGroup: (config, group) => {
+      config.outbounds = [...(config.outbounds || []), group];
+    },
+    buildGroup: (transform, members) => ({
+      type: transform.group_type === 'url-test' ? 'urltest' : 'selector',
+      tag: transform.name,
+      outbounds: members,
+      ...(transform.group_type === 'url-test' ? { url: transform.url || DEFAULT_TEST_URL, interval: `${transform.interval || 300}s` } : {})
+    }),
+    fallbackMember: config => {
+      const direct = (config.outbounds || []).find(outbound => outbound.type === 'direct');
+      if (direct) return direct.tag;
+      config.outbounds = [...(config.outbounds || []), { type: 'direct', tag: 'direct' }];
+      return 'direct';
+    },
+    // 选择器默认项和路由规则也按名称引用出站
+    renameReferences: (config, renames) => {
+      for (const group of FORMAT_ADAPTERS.singbox.getGroups(config)) {
+        if (renames.has(group.default)) group.default = renames.get(group.default);
+      }
+      if (config.route) {
+        if (renames.has(config.route.final)) config.route.final = renames.get(config.route.final);
+        for (const rule of config.route.rules || []) {
+          if (renames.has(rule.outbound)) rule.outbound = renames.get(rule.outbound);
+        }
+      }
+    },
+    // 指向已删除出站的规则一并删除，默认项和 final 失效时移除（回到 sing-box 的默认行为）
+    removeReferences: (config, removedNames) => {
+      for (const group of FORMAT_ADAPTERS.singbox.getGroups(config)) {
+        if (removedNames.has(group.default)) delete group.default;
+      }
+      if (config.route) {
+        if (removedNames.has(config.route.final)) delete config.route.final;
+        if (Array.isArray(config.route.rules)) {
+          config.route.rules = config.route.rules.filter(rule => !removedNames.has(rule.outbound));
+        }
+      }
+    }
+  }
+};
+
+export function getPostProcessingConfig(env) {
+  const config = getConfig(env, 'POST_PROCESSING', DEFAULT_POST_PROCESSING);
+  return config && typeof config === 'object' ? config : {};
+}
+
+// 检查配置格式，返回错误信息列表（在 /api/config 中显示）
+export function validatePostProcessingConfig(config) {
+  const errors = [];
+  const profiles = config.profiles || {};
+  
+  for (const [name, transforms] of Object.entries(profiles)) {
+    if (!Array.isArray(transforms)) {
+      errors.push(`配置 ${name}: 必须是变换数组`);
+      continue;
+    }
+    transforms.forEach((transform, index) => {
+      const error = validateTransform(transform);
+      if (error) {
+        errors.push(`配置 ${name} 第 ${index + 1} 项: ${error}`);
+      }
+    });
+  }
+  
+  for (const [label, names] of Object.entries(config.tokens || {})) {
+    for (const name of [].concat(names)) {
+      if (!profiles[name]) {
+        errors.push(`令牌 ${label}: 配置 ${name} 不存在`);
+      }
+    }
+  }
+  
+  return errors;
+}
+
+function validateTransform(transform) {
+  if (!transform || !TRANSFORM_TYPES.includes(transform.type)) {
+    return `未知的变换类型 ${transform?.type}`;
+  }
+  if (transform.type === 'add_group' && !transform.name) {
+    return 'add_group 缺少 name';
+  }
+  if (transform.type === 'dns' && (!transform.settings || typeof transform.settings !== 'object')) {
+    return 'dns 缺少 settings';
+  }
+  if (transform.pattern !== undefined) {
+    try {
+      new RegExp(transform.pattern, transform.flags || '');
+    } catch (error) {
+      return `正则无效: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+// 令牌绑定的后处理配置写入 pp 参数（在缓存和请求合并之前调用，使缓存键随令牌配置区分）
+export function applyTokenPostProcessing(request, env, context = {}) {
+  if (!context.tokenLabel || !getConfig(env, 'ENABLE_POST_PROCESSING', DEFAULT_ENABLE_POST_PROCESSING)) {
+    return request;
+  }
+  
+  const names = getPostProcessingConfig(env).tokens?.[context.tokenLabel];
+  const url = new URL(request.url);
+  if (!names || !POST_PROCESSING_PATHS.includes(url.pathname)) {
+    return request;
+  }
+  
+  const requested = (url.searchParams.get(PROFILE_PARAM) || '').split(',').filter(Boolean);
+  url.searchParams.set(PROFILE_PARAM, [...new Set([...[].concat(names), ...requested])].join(','));
+  return new Request(url.toString(), request);
+}
+
+// 内联正则的安全检查：超长、无效或含嵌套量词（如 (a+)+、(a*)*，可导致灾难性回溯）时返回拒绝原因
+function checkInlinePattern(pattern, maxLength) {
+  if (pattern.length > maxLength) {
+    return `长度超过 ${maxLength}`;
+  }
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return `正则无效: ${error.message}`;
+  }
+  
+  // 记录每层分组内是否出现量词，分组闭合后紧跟量词即为嵌套量词
+  const groups = [false];
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')' && groups.length > 1) {
+      const quantified = groups.pop();
+      const next = pattern[i + 1];
+      if (quantified && (next === '*' || next === '+' || next === '{' || next === '?')) {
+        return '包含嵌套量词';
+      }
+      groups[groups.length - 1] ||= quantified;
+    } else if (char === '*' || char === '+' || char === '{' || (char === '?' && pattern[i - 1] !== '(')) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return null;
+}
+
+// 解析请求的后处理流水线
+// context: { tokenLabel }，带访问令牌的请求可使用内联正则
+// 返回 { request（已移除后处理参数，用于转发）, format, transforms, unknownProfiles, rejectedInline }，请求不需要后处理时返回 null
+export function resolvePostProcessing(request, env, context = {}) {
+  const url = new URL(request.url);
+  const params = url.searchParams;
+  const paramNames = [PROFILE_PARAM, ...Object.keys(INLINE_PARAMS)].filter(name => params.has(name));
+  
+  if (paramNames.length === 0 || !POST_PROCESSING_PATHS.includes(url.pathname) ||
+      !getConfig(env, 'ENABLE_POST_PROCESSING', DEFAULT_ENABLE_POST_PROCESSING)) {
+    return null;
+  }
+  
+  const profiles = getPostProcessingConfig(env).profiles || {};
+  const transforms = [];
+  const unknownProfiles = [];
+  
+  for (const name of (params.get(PROFILE_PARAM) || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    if (Array.isArray(profiles[name])) {
+      transforms.push(...profiles[name]);
+    } else {
+      unknownProfiles.push(name);
+    }
+  }
+  
+  const inlineAllowed = !!context.tokenLabel ||
+    getConfig(env, 'ALLOW_INLINE_POST_PROCESSING', DEFAULT_ALLOW_INLINE_POST_PROCESSING);
+  const maxPatternLength = getConfig(env, 'POST_PROCESSING_MAX_PATTERN_LENGTH', DEFAULT_POST_PROCESSING_MAX_PATTERN_LENGTH);
+  const inlineTransforms = [];
+  for (const [param, type] of Object.entries(INLINE_PARAMS)) {
+    for (const value of params.getAll(param)) {
+      if (type === 'rename') {
+        for (const rule of value.split('`').filter(Boolean)) {
+          const separator = rule.lastIndexOf('@');
+          inlineTransforms.push(separator >= 0
+            ? { type, pattern: rule.slice(0, separator), replacement: rule.slice(separator + 1) }
+            : { type, pattern: rule, replacement: '' });
+        }
+      } else if (value) {
+        inlineTransforms.push({ type, pattern: value });
+      }
+    }
+  }
+  
+  const rejectedInline = [];
+  for (const transform of inlineTransforms) {
+    const reason = inlineAllowed ? checkInlinePattern(transform.pattern, maxPatternLength) : '未带访问令牌';
+    if (reason) {
+      rejectedInline.push(`${transform.type}: ${reason}`);
+    } else {
+      transforms.push(transform);
+    }
+  }
+  
+  // 后处理参数只在Worker中使用，不转发给后端
+  paramNames.forEach(name => params.delete(name));
+  
+  return {
+    request: new Request(url.toString(), request),
+    format: TARGET_FORMATS[params.get('target')?.toLowerCase()] || null,
+    transforms,
+    unknownProfiles,
+    rejectedInline
+  };
+}
+
+// 用于匹配（test）时去掉 g/y 标志，避免 lastIndex 影响结果
+function createRegExp(transform, forTest = false) {
+  const flags = transform.flags || '';
+  return new RegExp(transform.pattern || '', forTest ? flags.replace(/[gy]/g, '') : flags);
+}
+
+// 执行一个变换，返回删除的节点数
+function applyTransform(config, adapter, transform) {
+  const nodes = adapter.getNodes(config);
+  const nameKey = adapter.nameKey;
+  
+  if (transform.type === 'exclude' || transform.type === 'include') {
+    const regex = createRegExp(transform, true);
+    const removed = new Set(nodes.filter(node => regex.test(`${node[nameKey]}`) === (transform.type === 'exclude')));
+    if (removed.size === 0) return 0;
+    
+    const removedNames = new Set([...removed].map(node => node[nameKey]));
+    adapter.removeNodes(config, removed);
+    for (const group of adapter.getGroups(config)) {
+      if (!Array.isArray(group[adapter.memberKey])) continue;
+      group[adapter.memberKey] = group[adapter.memberKey].filter(member => !removedNames.has(member));
+      if (group[adapter.memberKey].length === 0 && !group.use) {
+        group[adapter.memberKey].push(adapter.fallbackMember(config));
+      }
+    }
+    adapter.removeReferences(config, removedNames);
+    return removed.size;
+  }
+  
+  if (transform.type === 'rename') {
+    const regex = createRegExp(transform);
+    const renames = new Map();
+    const usedNames = new Set(adapter.getGroups(config).map(group => group[nameKey]));
+    
+    for (const node of nodes) {
+      const oldName = `${node[nameKey]}`;
+      const baseName = oldName.replace(regex, transform.replacement ?? '') || oldName;
+      let newName = baseName;
+      // 改名后重名的节点追加序号
+      for (let index = 2; usedNames.has(newName); index++) {
+        newName = `${baseName} ${index}`;
+      }
+      usedNames.add(newName);
+      if (newName !== oldName) {
+        renames.set(oldName, newName);
+        node[nameKey] = newName;
+      }
+    }
+    
+    for (const group of adapter.getGroups(config)) {
+      if (Array.isArray(group[adapter.memberKey])) {
+        group[adapter.memberKey] = group[adapter.memberKey].map(member => renames.get(member) ?? member);
+      }
+    }
+    adapter.renameReferences(config, renames);
+    return 0;
+  }
+  
+  if (transform.type === 'add_group') {
+    const regex = transform.pattern ? createRegExp(transform, true) : null;
+    const members = nodes.map(node => node[nameKey]).filter(name => !regex || regex.test(`${name}`));
+    const groups = adapter.getGroups(config);
+    if (groups.some(group => group[nameKey] === transform.name)) {
+      throw new Error(`策略组 ${transform.name} 已存在`);
+    }
+    
+    adapter.addGroup(config, adapter.buildGroup(transform, members.length > 0 ? members : [adapter.fallbackMember(config)]));
+    
+    // 加入已有策略组，使新策略组可以被选择
+    const parent = transform.attach_to && groups.find(group => group[nameKey] === transform.attach_to);
+    if (parent && Array.isArray(parent[adapter.memberKey])) {
+      parent[adapter.memberKey].unshift(transform.name);
+    }
+    return 0;
+  }
+  
+  if (transform.type === 'dns') {
+    config.dns = { ...(config.dns && typeof config.dns === 'object' ? config.dns : {}), ...transform.settings };
+    return 0;
+  }
+  
+  throw new Error(`未知的变换类型 ${transform.type}`);
+}
+
+function withPostProcessingHeader(response, body, summary) {
+  const headers = new Headers(response.headers);
+  headers.set('X-Post-Processing', summary);
+  if (body !== null) {
+    // 响应体已解码并重新生成
+    headers.delete('Content-Length');
+    headers.delete('Content-Encoding');
+    headers.delete('ETag');
+  }
+  
+  return new Response(body === null ? response.body : body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+// 对后端响应执行后处理；只处理200且通过校验的响应，解析失败时返回原始内容
+export async function applyPostProcessing(response, pipeline, env, requestId) {
+  if (!pipeline || response.status !== 200 || !response.body ||
+      response.headers.get('X-Response-Validation') === 'invalid') {
+    return response;
+  }
+  
+  let notes = pipeline.unknownProfiles.length > 0 ? `; unknown-profiles=${pipeline.unknownProfiles.length}` : '';
+  if (pipeline.unknownProfiles.length > 0) {
+    console.warn(`[${requestId}] 后处理配置不存在: ${pipeline.unknownProfiles.join(', ')}`);
+  }
+  if (pipeline.rejectedInline.length > 0) {
+    notes += `; rejected-inline=${pipeline.rejectedInline.length}`;
+    console.warn(`[${requestId}] 已拒绝内联后处理正则: ${pipeline.rejectedInline.join('; ')}`);
+  }
+  
+  if (!pipeline.format) {
+    return withPostProcessingHeader(response, null, `skipped=unsupported-target${notes}`);
+  }
+  if (pipeline.transforms.length === 0) {
+    return withPostProcessingHeader(response, null, `skipped=no-transforms${notes}`);
+  }
+  
+  const maxSize = getConfig(env, 'POST_PROCESSING_MAX_SIZE', DEFAULT_POST_PROCESSING_MAX_SIZE);
+  if (parseInt(response.headers.get('Content-Length') || '0', 10) > maxSize) {
+    return withPostProcessingHeader(response, null, `skipped=too-large${notes}`);
+  }
+  
+  const text = await response.text();
+  if (text.length > maxSize) {
+    return withPostProcessingHeader(response, text, `skipped=too-large${notes}`);
+  }
+  
+  const adapter = FORMAT_ADAPTERS[pipeline.format];
+  let config;
+  try {
+    config = adapter.parse(text);
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('顶层不是映射');
+    }
+  } catch (error) {
+    console.warn(`[${requestId}] 后处理解析失败，返回原始内容: ${error.message}`);
+    return withPostProcessingHeader(response, text, `skipped=parse-error${notes}`);
+  }
+  
+  const applied = [];
+  let removed = 0;
+  let failed = 0;
+  for (const transform of pipeline.transforms) {
+    try {
+      removed += applyTransform(config, adapter, transform);
+      applied.push(transform.type);
+    } catch (error) {
+      failed++;
+      console.warn(`[${requestId}] 后处理变换 ${transform.type} 失败，已跳过: ${error.message}`);
+    }
+  }
+  
+  let body;
+  try {
+    body = adapter.serialize(config);
+  } catch (error) {
+    console.warn(`[${requestId}] 后处理序列化失败，返回原始内容: ${error.message}`);
+    return withPostProcessingHeader(response, text, `skipped=serialize-error${notes}`);
+  }
+  
+  console.log(`[${requestId}] 后处理完成: ${applied.join(', ') || '无'}，删除节点 ${removed} 个，失败 ${failed} 项`);
+  return withPostProcessingHeader(
+    response,
+    body,
+    `applied=${applied.join(',') || 'none'}; removed=${removed}${failed > 0 ? `; failed=${failed}` : ''}${notes}`
+  );
+}
@@ -0,0 +1,113 @@
+// 代理请求超时：响应头超时（连接并返回响应头）和总超时（含响应体传输），可按 target 单独配置
+// 超时后中止后端请求，错误带 timeoutPhase（headers | body），记录到 request_results 并额外降低权重
+import {
+  getConfig,
+  DEFAULT_PROXY_HEADERS_TIMEOUT,
+  DEFAULT_PROXY_TOTAL_TIMEOUT,
+  DEFAULT_PROXY_TARGET_TIMEOUTS
+} from './utils.js';
+
+// 获取请求的超时设置: { headers, total }（毫秒），target 设置覆盖全局设置
+export function getProxyTimeouts(env, request) {
+  const target = new URL(request.url).searchParams.get('target')?.toLowerCase();
+  const targetTimeouts = getConfig(env, 'PROXY_TARGET_TIMEOUTS', DEFAULT_PROXY_TARGET_TIMEOUTS);
+  const override = (target && targetTimeouts?.[target]) || {};
+  
+  const headers = Number(override.headers) || getConfig(env, 'PROXY_HEADERS_TIMEOUT', DEFAULT_PROXY_HEADERS_TIMEOUT);
+  const total = Number(override.total) || getConfig(env, 'PROXY_TOTAL_TIMEOUT', DEFAULT_PROXY_TOTAL_TIMEOUT);
+  
+  return { headers, total: Math.max(total, headers) };
+}
+
+export function createProxyTimeoutError(phase, timeout) {
+  const error = new Error(`${phase === 'headers' ? '等待响应头' : '传输响应体'}超时 (${timeout}ms)`);
+  error.name = 'TimeoutError';
+  error.timeoutPhase = phase;
+  return error;
+}
+
+// 单次后端请求的截止时间，超时后通过 signal 中止请求
+export class ProxyDeadline {
+  constructor(timeouts) {
+    this.timeouts = timeouts;
+    this.controller = new AbortController();
+    this.error = null;
+    this.onExpire = null;
+    this.headersTimer = setTimeout(() => this.expire('headers', timeouts.headers), timeouts.headers);
+    this.totalTimer = setTimeout(() => this.expire('body', timeouts.total), timeouts.total);
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  expire(phase, timeout) {
+    if (this.error) return;
+    this.error = createProxyTimeoutError(phase, timeout);
+    clearTimeout(this.headersTimer);
+    clearTimeout(this.totalTimer);
+    this.controller.abort(this.error);
+    this.onExpire?.();
+  }
+
+  // 已收到响应头，之后只受总超时限制
+  headersReceived() {
+    clearTimeout(this.headersTimer);
+  }
+
+  // 请求结束（响应体传输完成、失败或被客户端取消）
+  done() {
+    clearTimeout(this.headersTimer);
+    clearTimeout(this.totalTimer);
+  }
+}
+
+// 为响应体加上总超时：传输完成时清除计时器，超时时以超时错误结束响应体并调用 onTimeout(error)
+export function withBodyDeadline(response, deadline, onTimeout) {
+  if (!response.body) {
+    deadline.done();
+    return response;
+  }
+  
+  const reader = response.body.getReader();
+  // 中止请求后部分运行时不会让正在进行的读取失败，直接取消读取
+  deadline.onExpire = () => reader.cancel(deadline.error).catch(() => {});
+  
+  const fail = (controller, error) => {
+    deadline.done();
+    if (deadline.error) {
+      onTimeout(deadline.error);
+    }
+    controller.error(deadline.error || error);
+  };
+  
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (deadline.error) {
+          fail(controller, deadline.error);
+          return;
+        }
+        if (done) {
+          deadline.done();
+          controller.close();
+          return;
+        }
+        controller.enqueue(value);
+      } catch (error) {
+        fail(controller, error);
+      }
+    },
+    cancel(reason) {
+      deadline.done();
+      return reader.cancel(reason);
+    }
+  });
+  
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
@@ -0,0 +1,224 @@
+// 按客户端限流：令牌桶算法，状态保存在D1，本地内存缓存减少读写，D1不可用时仅使用内存
+import {
+  getConfig,
+  getClientIp,
+  getBeijingTimeString,
+  DEFAULT_ENABLE_RATE_LIMIT,
+  DEFAULT_RATE_LIMIT_CAPACITY,
+  DEFAULT_RATE_LIMIT_REFILL_PER_MINUTE,
+  DEFAULT_RATE_LIMIT_KEY_BY,
+  DEFAULT_RATE_LIMIT_SYNC_INTERVAL
+} from './utils.js';
+import { extractAccessToken, isAccessTokenRequired } from './access-tokens.js';
+
+const MAX_LOCAL_BUCKETS = 5000; // 本地最多缓存的令牌桶数量
+
+// 本地令牌桶（同一isolate内共享）
+const localBuckets = new Map();
+
+// 计算字符串的短哈希（用于订阅地址，避免保存原始地址）
+async function shortHash(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest).slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export class TokenBucketRateLimiter {
+  constructor(env, db = null) {
+    this.env = env;
+    this.db = db;
+    this.capacity = getConfig(env, 'RATE_LIMIT_CAPACITY', DEFAULT_RATE_LIMIT_CAPACITY);
+    this.refillPerMinute = getConfig(env, 'RATE_LIMIT_REFILL_PER_MINUTE', DEFAULT_RATE_LIMIT_REFILL_PER_MINUTE);
+    this.syncInterval = getConfig(env, 'RATE_LIMIT_SYNC_INTERVAL', DEFAULT_RATE_LIMIT_SYNC_INTERVAL) * 1000;
+  }
+
+  // 是否启用限流
+  isEnabled() {
+    return getConfig(this.env, 'ENABLE_RATE_LIMIT', DEFAULT_ENABLE_RATE_LIMIT);
+  }
+
+  // 构建限流键：默认按客户端IP，可叠加访问令牌和订阅地址哈希
+  async buildKey(request) {
+    const keyBy = getConfig(this.env, 'RATE_LIMIT_KEY_BY', DEFAULT_RATE_LIMIT_KEY_BY);
+    const url = new URL(request.url);
+    const parts = [];
+    
+    if (keyBy.includes('ip')) {
+      parts.push(`ip:${getClientIp(request)}`);
+    }
+    
+    // 未启用访问令牌时查询参数属于后端，不作为限流键
+    if (keyBy.includes('token') && isAccessTokenRequired(this.env)) {
+      const token = extractAccessToken(request, this.env);
+      if (token) parts.push(`token:${await shortHash(token)}`);
+    }
+    
+    if (keyBy.includes('subscription')) {
+      const subscription = url.searchParams.get('url');
+      if (subscription) parts.push(`sub:${await shortHash(subscription)}`);
+    }
+    
+    return parts.length > 0 ? parts.join('|') : `ip:${getClientIp(request)}`;
+  }
+
+  // 按经过的时间补充令牌
+  refill(bucket, now) {
+    const elapsedMinutes = Math.max(0, now - bucket.updatedAt) / 60000;
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + elapsedMinutes * this.refillPerMinute);
+    bucket.updatedAt = now;
+  }
+
+  // 获取令牌桶：本地缓存超过同步间隔时从D1读取较新的状态（其它isolate可能已消耗令牌）
+  async getBucket(key, now, requestId) {
+    let bucket = localBuckets.get(key);
+    
+    if (!bucket) {
+      if (localBuckets.size >= MAX_LOCAL_BUCKETS) {
+        localBuckets.delete(localBuckets.keys().next().value);
+      }
+      bucket = {
+        tokens: this.capacity,
+        updatedAt: now,
+        syncedAt: 0,
+        pendingRequests: 0,
+        pendingRejected: 0,
+        lastRejectedAt: null,
+        rejecting: false
+      };
+      localBuckets.set(key, bucket);
+    }
+    
+    if (this.db && now - bucket.syncedAt > this.syncInterval) {
+      try {
+        const stored = await this.db.getRateLimitBucket(key);
+        if (stored) {
+          // 两边都补充到当前时间后取较小值；新建的本地桶直接采用D1状态
+          const storedTokens = Math.min(
+            this.capacity,
+            stored.tokens + Math.max(0, now - stored.updated_at) / 60000 * this.refillPerMinute
+          );
+          this.refill(bucket, now);
+          bucket.tokens = bucket.syncedAt === 0 ? storedTokens : Math.min(bucket.tokens, storedTokens);
+        }
+      } catch (error) {
+        console.warn(`[${requestId}] 读取限流状态失败，使用本地状态: ${error.message}`);
+      }
+    }
+    
+    return bucket;
+  }
+
+  // 消耗一个令牌
+  // 返回 { allowed, key, remaining, retryAfter, limit }
+  async consume(request, requestId, ctx) {
+    const key = await this.buildKey(request);
+    const now = Date.now();
+    const bucket = await this.getBucket(key, now, requestId);
+    
+    this.refill(bucket, now);
+    bucket.pendingRequests++;
+    
+    let allowed = true;
+    let retryAfter = 0;
+    
+    // 连续被拒绝时只在第一次拒绝时立即写回D1，之后按同步间隔写入
+    const firstRejection = bucket.tokens < 1 && !bucket.rejecting;
+    
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      bucket.rejecting = false;
+    } else {
+      bucket.rejecting = true;
+      allowed = false;
+      bucket.pendingRejected++;
+      bucket.lastRejectedAt = now;
+      retryAfter = this.refillPerMinute > 0
+        ? Math.max(1, Math.ceil((1 - bucket.tokens) / this.refillPerMinute * 60))
+        : 60;
+    }
+    
+    if (this.db && (firstRejection || now - bucket.syncedAt > this.syncInterval)) {
+      bucket.syncedAt = now;
+      ctx.waitUntil(this.flush(key, bucket, requestId));
+    }
+    
+    return {
+      allowed,
+      key,
+      remaining: Math.floor(bucket.tokens),
+      retryAfter,
+      limit: this.capacity
+    };
+  }
+
+  // 将本地令牌桶状态写入D1
+  async flush(key, bucket, requestId) {
+    const requests = bucket.pendingRequests;
+    const rejected = bucket.pendingRejected;
+    bucket.pendingRequests = 0;
+    bucket.pendingRejected = 0;
+    
+    try {
+      await this.db.saveRateLimitBucket({
+        bucket_key: key,
+        tokens: bucket.tokens,
+        updated_at: bucket.updatedAt,
+        requests,
+        rejected,
+        last_rejected_at: bucket.lastRejectedAt,
+        beijing_time: getBeijingTimeString()
+      });
+    } catch (error) {
+      // 写入失败时保留计数，下次同步时再写入
+      bucket.pendingRequests += requests;
+      bucket.pendingRejected += rejected;
+      console.warn(`[${requestId}] 保存限流状态失败: ${error.message}`);
+    }
+  }
+
+  // 当前isolate内的本地令牌桶
+  getLocalBuckets() {
+    const now = Date.now();
+    return Array.from(localBuckets.entries()).map(([key, bucket]) => {
+      const elapsedMinutes = Math.max(0, now - bucket.updatedAt) / 60000;
+      return {
+        bucket_key: key,
+        tokens: Math.min(this.capacity, bucket.tokens + elapsedMinutes * this.refillPerMinute),
+        last_rejected_at: bucket.lastRejectedAt ? new Date(bucket.lastRejectedAt).toISOString() : null
+      };
+    });
+  }
+
+  // 限流配置
+  getLimits() {
+    return {
+      enabled: this.isEnabled(),
+      capacity: this.capacity,
+      refill_per_minute: this.refillPerMinute,
+      key_by: getConfig(this.env, 'RATE_LIMIT_KEY_BY', DEFAULT_RATE_LIMIT_KEY_BY),
+      sync_interval_seconds: this.syncInterval / 1000,
+      storage: this.db ? 'd1' : 'memory'
+    };
+  }
+}
+
+// 构建429响应
+export function createRateLimitResponse(result, requestId) {
+  return new Response(JSON.stringify({
+    error: 'rate_limited',
+    message: `请求过于频繁，请在 ${result.retryAfter} 秒后重试`,
+    retry_after: result.retryAfter,
+    limit: result.limit,
+    request_id: requestId,
+    timestamp: new Date().toISOString(),
+    beijing_time: getBeijingTimeString()
+  }), {
+    status: 429,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Retry-After': `${result.retryAfter}`,
+      'X-RateLimit-Limit': `${result.limit}`,
+      'X-RateLimit-Remaining': '0',
+      'X-Request-ID': requestId
+    }
+  });
+}
@@ -0,0 +1,92 @@
+// 脱敏：url参数中的订阅地址内嵌机场令牌，写入日志、Telegram通知和D1前统一脱敏
+// 脱敏后保留稳定的短哈希，同一订阅的请求仍可关联
+import {
+  getConfig,
+  DEFAULT_REDACTION_LEVEL,
+  DEFAULT_REDACT_PARAMS,
+  DEFAULT_ACCESS_TOKEN_PARAM
+} from './utils.js';
+import { hashString } from './consistent-hash.js';
+
+// off: 不脱敏；standard: 脱敏敏感参数；strict: 除 target 等参数外全部脱敏，客户端IP也只保留哈希
+export const REDACTION_LEVELS = ['off', 'standard', 'strict'];
+
+const STRICT_SAFE_PARAMS = ['target', 'ver']; // strict 级别下保留原值的参数
+const PARAM_PATTERN = /(^|[?&\s;,(])([A-Za-z0-9_.-]+)=([^&\s"'<>#]*)/g;
+const USERINFO_PATTERN = /(https?:\/\/)[^\s/@:"'<>]+:[^\s/@"'<>]+@/gi;
+const TEXT_FIELDS = ['error', 'error_message', 'reason', 'message', 'stack_trace', 'failure_reason'];
+
+export function getRedactionLevel(env) {
+  const level = getConfig(env, 'REDACTION_LEVEL', DEFAULT_REDACTION_LEVEL);
+  return REDACTION_LEVELS.includes(level) ? level : DEFAULT_REDACTION_LEVEL;
+}
+
+function getSensitiveParams(env) {
+  const params = getConfig(env, 'REDACT_PARAMS', DEFAULT_REDACT_PARAMS);
+  return [...params, getConfig(env, 'ACCESS_TOKEN_PARAM', DEFAULT_ACCESS_TOKEN_PARAM)]
+    .map(param => param.toLowerCase());
+}
+
+// 稳定哈希：先解码，编码前后的同一值得到相同哈希；可用 REDACTION_SALT 加盐
+export function stableHash(value, env) {
+  let decoded = String(value);
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch (error) {
+    // 保留原值
+  }
+  return hashString(`${env?.REDACTION_SALT || ''}${decoded}`).toString(16).padStart(8, '0');
+}
+
+export function redactValue(value, env) {
+  return `[REDACTED:${stableHash(value, env)}]`;
+}
+
+// 脱敏任意文本中的查询参数和URL中的账号密码（URL、日志行、错误信息均可）
+export function redactText(text, env) {
+  if (text === null || text === undefined) {
+    return text;
+  }
+  
+  const level = getRedactionLevel(env);
+  if (level === 'off') {
+    return text;
+  }
+  
+  const sensitiveParams = getSensitiveParams(env);
+  
+  return String(text)
+    .replace(USERINFO_PATTERN, (match, scheme) => `${scheme}[REDACTED]@`)
+    .replace(PARAM_PATTERN, (match, prefix, name, value) => {
+      const lowerName = name.toLowerCase();
+      const sensitive = sensitiveParams.includes(lowerName) ||
+        (level === 'strict' && (prefix === '?' || prefix === '&') && !STRICT_SAFE_PARAMS.includes(lowerName));
+      
+      return sensitive && value ? `${prefix}${name}=${redactValue(value, env)}` : match;
+    });
+}
+
+// 客户端IP只在 strict 级别脱敏
+export function redactClientIp(ip, env) {
+  if (!ip || ip === 'unknown' || getRedactionLevel(env) !== 'strict') {
+    return ip;
+  }
+  return `ip-${stableHash(ip, env)}`;
+}
+
+// 脱敏通知数据：移除env，脱敏文本字段和客户端IP
+export function redactNotificationData(notificationData, env) {
+  const { env: _env, ...data } = notificationData;
+  
+  for (const field of TEXT_FIELDS) {
+    if (typeof data[field] === 'string') {
+      data[field] = redactText(data[field], env);
+    }
+  }
+  
+  if (data.client_ip) {
+    data.client_ip = redactClientIp(data.client_ip, env);
+  }
+  
+  return data;
+}
@@ -0,0 +1,106 @@
+// 代理路由白名单：只转发已知的subconverter接口，避免Worker成为后端的开放代理
+import {
+  getConfig,
+  getBeijingTimeString,
+  DEFAULT_ENABLE_PROXY_ALLOWLIST,
+  DEFAULT_PROXY_ALLOWED_PATHS,
+  DEFAULT_PROXY_ALLOWED_METHODS,
+  DEFAULT_PROXY_REQUIRED_PARAMS,
+  DEFAULT_PROXY_FORBIDDEN_PARAMS,
+  DEFAULT_PROXY_MAX_QUERY_LENGTH
+} from './utils.js';
+
+// 检查请求是否允许转发
+// 返回 { allowed: true } 或 { allowed: false, status, error, message, details }
+export function checkProxyRequest(request, env) {
+  if (!getConfig(env, 'ENABLE_PROXY_ALLOWLIST', DEFAULT_ENABLE_PROXY_ALLOWLIST)) {
+    return { allowed: true };
+  }
+  
+  const url = new URL(request.url);
+  const allowedPaths = getConfig(env, 'PROXY_ALLOWED_PATHS', DEFAULT_PROXY_ALLOWED_PATHS);
+  const allowedMethods = getConfig(env, 'PROXY_ALLOWED_METHODS', DEFAULT_PROXY_ALLOWED_METHODS);
+  const requiredParams = getConfig(env, 'PROXY_REQUIRED_PARAMS', DEFAULT_PROXY_REQUIRED_PARAMS);
+  const forbiddenParams = getConfig(env, 'PROXY_FORBIDDEN_PARAMS', DEFAULT_PROXY_FORBIDDEN_PARAMS);
+  const maxQueryLength = getConfig(env, 'PROXY_MAX_QUERY_LENGTH', DEFAULT_PROXY_MAX_QUERY_LENGTH);
+  
+  if (!allowedPaths.includes(url.pathname)) {
+    return {
+      allowed: false,
+      status: 400,
+      error: 'path_not_allowed',
+      message: `不支持的接口: ${url.pathname}`,
+      details: { path: url.pathname, allowed_paths: allowedPaths }
+    };
+  }
+  
+  if (!allowedMethods.includes(request.method)) {
+    return {
+      allowed: false,
+      status: 405,
+      error: 'method_not_allowed',
+      message: `接口 ${url.pathname} 不支持 ${request.method} 请求`,
+      details: { method: request.method, allowed_methods: allowedMethods }
+    };
+  }
+  
+  const queryLength = url.search.length > 0 ? url.search.length - 1 : 0;
+  if (queryLength > maxQueryLength) {
+    return {
+      allowed: false,
+      status: 400,
+      error: 'query_too_long',
+      message: `查询参数过长: ${queryLength} 字符，上限 ${maxQueryLength}`,
+      details: { query_length: queryLength, max_query_length: maxQueryLength }
+    };
+  }
+  
+  const presentForbidden = forbiddenParams.filter(param => url.searchParams.has(param));
+  if (presentForbidden.length > 0) {
+    return {
+      allowed: false,
+      status: 400,
+      error: 'forbidden_parameter',
+      message: `不允许使用参数: ${presentForbidden.join(', ')}`,
+      details: { forbidden_params: presentForbidden }
+    };
+  }
+  
+  const missingParams = (requiredParams[url.pathname] || [])
+    .filter(param => !url.searchParams.get(param));
+  if (missingParams.length > 0) {
+    return {
+      allowed: false,
+      status: 400,
+      error: 'missing_parameter',
+      message: `缺少必需参数: ${missingParams.join(', ')}`,
+      details: { missing_params: missingParams }
+    };
+  }
+  
+  return { allowed: true };
+}
+
+// 构建拒绝响应
+export function createRejectionResponse(result, requestId) {
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'X-Request-ID': requestId
+  };
+  
+  if (result.status === 405) {
+    headers['Allow'] = result.details.allowed_methods.join(', ');
+  }
+  
+  return new Response(JSON.stringify({
+    error: result.error,
+    message: result.message,
+    ...result.details,
+    request_id: requestId,
+    timestamp: new Date().toISOString(),
+    beijing_time: getBeijingTimeString()
+  }), {
+    status: result.status,
+    headers
+  });
+}
@@ -0,0 +1,194 @@
+// 响应校验：后端经常以HTTP 200返回错误内容（如 "No nodes were found!" 或反向代理的HTML错误页），
+// 读取响应体开头按 target 格式校验，校验后的内容原样回放，剩余部分继续流式传输
+import {
+  getConfig,
+  DEFAULT_ENABLE_RESPONSE_VALIDATION,
+  DEFAULT_RESPONSE_VALIDATION_PEEK_BYTES
+} from './utils.js';
+import { redactText } from './redaction.js';
+
+// 与格式无关的错误内容
+const ERROR_PATTERNS = [
+  { pattern: /^\s*(<!doctype\s+html|<html|<head|<body)/i, reason: 'html_page' },
+  { pattern: /No nodes were found/i, reason: 'no_nodes' },
+  { pattern: /doesn't contain any valid node info/i, reason: 'no_nodes' },
+  { pattern: /^\s*(Invalid (request|target|argument)|Unrecognized target|Fetch failed|Error:)/i, reason: 'backend_error' }
+];
+
+// 按 target 格式校验；complete 表示已读取完整响应体
+const TARGET_VALIDATORS = {
+  clash: validateClashYaml,
+  clashr: validateClashYaml,
+  singbox: validateSingBoxJson,
+  sip008: validateJson,
+  v2ray: validateBase64,
+  ss: validateBase64,
+  ssr: validateBase64,
+  trojan: validateBase64,
+  mixed: validateBase64
+};
+
+// 是否校验该请求的响应（只校验带 target 参数的转换请求）
+export function isResponseValidationEnabled(env, request) {
+  if (!getConfig(env, 'ENABLE_RESPONSE_VALIDATION', DEFAULT_ENABLE_RESPONSE_VALIDATION)) {
+    return false;
+  }
+  
+  const url = new URL(request.url);
+  return request.method === 'GET' && url.searchParams.has('target');
+}
+
+function getFirstContentLine(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .find(line => line && !line.startsWith('#')) || '';
+}
+
+function validateClashYaml(text, complete) {
+  if (!/^[A-Za-z0-9_-]+\s*:/.test(getFirstContentLine(text))) {
+    return 'invalid_yaml';
+  }
+  if (complete && !/^(proxies|Proxy)\s*:/m.test(text)) {
+    return 'missing_proxies';
+  }
+  return null;
+}
+
+function validateJson(text, complete) {
+  if (!text.trimStart().startsWith('{') && !text.trimStart().startsWith('[')) {
+    return 'invalid_json';
+  }
+  if (complete) {
+    try {
+      JSON.parse(text);
+    } catch (error) {
+      return 'invalid_json';
+    }
+  }
+  return null;
+}
+
+function validateSingBoxJson(text, complete) {
+  if (!text.trimStart().startsWith('{')) {
+    return 'invalid_json';
+  }
+  if (complete) {
+    try {
+      const config = JSON.parse(text);
+      if (!Array.isArray(config.outbounds)) {
+        return 'missing_outbounds';
+      }
+    } catch (error) {
+      return 'invalid_json';
+    }
+  }
+  return null;
+}
+
+function validateBase64(text) {
+  const compact = text.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/_=-]+$/.test(compact)) {
+    return 'invalid_base64';
+  }
+  return null;
+}
+
+// 校验转换结果开头，返回失败原因，校验通过返回 null
+export function validateConversionOutput(text, target, complete) {
+  if (complete && text.trim() === '') {
+    return 'empty_body';
+  }
+  
+  const head = text.slice(0, 1024);
+  for (const { pattern, reason } of ERROR_PATTERNS) {
+    if (pattern.test(head)) {
+      return reason;
+    }
+  }
+  
+  const validator = TARGET_VALIDATORS[(target || '').toLowerCase()];
+  return validator ? validator(text, complete) : null;
+}
+
+// 读取响应体开头最多 maxBytes 字节
+// 返回 { text, complete, body }，body 会先回放已读取的内容再继续读取剩余部分
+export async function peekResponseBody(response, maxBytes) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let complete = false;
+  
+  while (size < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) {
+      complete = true;
+      break;
+    }
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  
+  const decoder = new TextDecoder();
+  let text = chunks.map(chunk => decoder.decode(chunk, { stream: true })).join('');
+  if (complete) {
+    text += decoder.decode();
+  }
+  
+  const body = new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) {
+        controller.enqueue(chunk);
+      }
+      if (complete) {
+        controller.close();
+      }
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+  
+  return { text, complete, body };
+}
+
+// 校验后端响应，validateOutput 为后端适配器的转换结果校验函数
+// 返回 { response, error }：response 为可继续使用的响应（内容未丢失），error 为失败原因或 null
+export async function validateBackendResponse(request, response, env, requestId, validateOutput = validateConversionOutput) {
+  if (!response.ok || !response.body) {
+    return { response, error: null };
+  }
+  
+  const target = new URL(request.url).searchParams.get('target');
+  const peekBytes = getConfig(env, 'RESPONSE_VALIDATION_PEEK_BYTES', DEFAULT_RESPONSE_VALIDATION_PEEK_BYTES);
+  
+  try {
+    const { text, complete, body } = await peekResponseBody(response, peekBytes);
+    const error = validateOutput(text, target, complete);
+    
+    if (error) {
+      console.warn(`[${requestId}] 后端返回无效的 ${target} 内容: ${error}，开头: ${JSON.stringify(redactText(text.slice(0, 100), env))}`);
+    }
+    
+    return {
+      response: new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+      }),
+      error
+    };
+  } catch (error) {
+    // 读取响应体出错视为请求失败，由调用方按异常处理
+    console.warn(`[${requestId}] 读取后端响应进行校验失败: ${error.message}`);
+    throw error;
+  }
+}
@@ -0,0 +1,193 @@
+// 短链接：完整的转换查询保存在D1，/s/<代码> 还原为原始请求后走正常的白名单、令牌、限流和故障转移流程
+import {
+  getConfig,
+  DEFAULT_ENABLE_SHORT_LINKS,
+  DEFAULT_SHORT_LINK_CODE_LENGTH,
+  DEFAULT_ACCESS_TOKEN_PARAM
+} from './utils.js';
+import { checkProxyRequest } from './request-policy.js';
+import {
+  isAccessTokenRequired,
+  extractAccessToken,
+  verifyAccessToken,
+  isAdminRequest
+} from './access-tokens.js';
+
+const SHORT_LINK_PREFIX = '/s/';
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789'; // 去掉易混淆的字符
+const MAX_CODE_ATTEMPTS = 3; // 代码冲突时的重试次数
+
+// 是否启用短链接
+export function isShortLinkEnabled(env) {
+  return getConfig(env, 'ENABLE_SHORT_LINKS', DEFAULT_ENABLE_SHORT_LINKS);
+}
+
+// 从路径解析短链接代码，不是短链接路径时返回 null
+export function parseShortLinkCode(pathname) {
+  if (!pathname.startsWith(SHORT_LINK_PREFIX)) {
+    return null;
+  }
+  
+  const code = pathname.slice(SHORT_LINK_PREFIX.length);
+  return /^[A-Za-z0-9]{1,64}$/.test(code) ? code : '';
+}
+
+export function generateShortCode(length) {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+// 解析要保存的转换请求
+// input: { conversion_url } 或 { path, query }
+// 返回 { allowed: true, path, query } 或 { allowed: false, status, error, message, details }
+export function buildShortLinkTarget(input, env) {
+  let path = input.path || '/sub';
+  let query = input.query || '';
+  
+  if (input.conversion_url) {
+    try {
+      const conversionUrl = new URL(input.conversion_url);
+      path = conversionUrl.pathname;
+      query = conversionUrl.search.slice(1);
+    } catch (error) {
+      return {
+        allowed: false,
+        status: 400,
+        error: 'invalid_conversion_url',
+        message: `无效的转换链接: ${error.message}`,
+        details: {}
+      };
+    }
+  }
+  
+  if (!path.startsWith('/') || path.startsWith(SHORT_LINK_PREFIX) || path.startsWith('/api/')) {
+    return {
+      allowed: false,
+      status: 400,
+      error: 'path_not_allowed',
+      message: `短链接不能指向 ${path}`,
+      details: { path }
+    };
+  }
+  
+  // 访问令牌不保存在短链接中，由短链接绑定的令牌代替
+  const params = new URLSearchParams(query.replace(/^\?/, ''));
+  params.delete(getConfig(env, 'ACCESS_TOKEN_PARAM', DEFAULT_ACCESS_TOKEN_PARAM));
+  query = params.toString();
+  
+  if (!query) {
+    return {
+      allowed: false,
+      status: 400,
+      error: 'missing_query',
+      message: '缺少转换参数',
+      details: {}
+    };
+  }
+  
+  // 保存前按白名单检查，避免保存无法使用的短链接
+  const policyResult = checkProxyRequest(new Request(`https://short-link.invalid${path}?${query}`), env);
+  if (!policyResult.allowed) {
+    return policyResult;
+  }
+  
+  return { allowed: true, path, query };
+}
+
+// 短链接管理接口鉴权
+// 管理员可管理全部短链接；持有访问令牌时只能管理该令牌创建的短链接
+// allowAnonymous 为 true 且未要求访问令牌时允许匿名创建
+// 返回 { allowed: true, admin, ownerTokenId } 或 { allowed: false, status, error, message, details }
+export async function authorizeShortLinkRequest(request, env, db, allowAnonymous = false) {
+  if (await isAdminRequest(request, env)) {
+    return { allowed: true, admin: true, ownerTokenId: null };
+  }
+  
+  const token = extractAccessToken(request, env);
+  if (token) {
+    const tokenResult = await verifyAccessToken(db, token);
+    if (!tokenResult.allowed) {
+      return tokenResult;
+    }
+    return { allowed: true, admin: false, ownerTokenId: tokenResult.record.id };
+  }
+  
+  if (allowAnonymous && !isAccessTokenRequired(env)) {
+    return { allowed: true, admin: false, ownerTokenId: null };
+  }
+  
+  return {
+    allowed: false,
+    status: 401,
+    error: 'missing_token',
+    message: '需要访问令牌或管理员令牌',
+    details: {}
+  };
+}
+
+// 创建短链接，代码冲突时重新生成
+export async function createShortLink(db, data, env) {
+  const length = getConfig(env, 'SHORT_LINK_CODE_LENGTH', DEFAULT_SHORT_LINK_CODE_LENGTH);
+  let lastError = null;
+  
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const code = generateShortCode(length);
+    try {
+      return await db.createShortLink({ ...data, code });
+    } catch (error) {
+      lastError = error;
+      if (!/UNIQUE/i.test(error.message)) {
+        throw error;
+      }
+    }
+  }
+  
+  throw lastError;
+}
+
+// 查找短链接
+// 返回 { allowed: true, link } 或 { allowed: false, status, error, message, details }
+export async function resolveShortLink(db, code) {
+  if (!db) {
+    return {
+      allowed: false,
+      status: 503,
+      error: 'short_link_store_unavailable',
+      message: 'D1数据库未配置，短链接不可用',
+      details: {}
+    };
+  }
+  
+  const link = code ? await db.getShortLink(code) : null;
+  if (!link) {
+    return {
+      allowed: false,
+      status: 404,
+      error: 'short_link_not_found',
+      message: `短链接不存在: ${code}`,
+      details: {}
+    };
+  }
+  
+  if (link.expires_at && new Date(link.expires_at).getTime() <= Date.now()) {
+    return {
+      allowed: false,
+      status: 410,
+      error: 'short_link_expired',
+      message: `短链接已过期: ${code}`,
+      details: { expires_at: link.expires_at }
+    };
+  }
+  
+  return { allowed: true, link };
+}
+
+// 将短链接请求还原为完整的转换请求（保留原请求的方法和请求头）
+export function expandShortLinkRequest(request, link) {
+  const url = new URL(request.url);
+  return new Request(`${url.origin}${link.path}?${link.query}`, request);
+}
+
+export function buildShortUrl(origin, code) {
+  return `${origin}${SHORT_LINK_PREFIX}${code}`;
+}
@@ -3,9 +3,17 @@ import {
   getBeijingTimeString, 
   getBeijingDateString,
   getBeijingTimeShort,
-  logError
+  logError,
+  DEFAULT_ENABLE_HEDGING,
+  DEFAULT_HEDGE_DELAY_MODE
 } from './utils.js';
 import { healthCheckController } from './concurrency.js';
+import { getHedgeDelay } from './hedging.js';
+import { buildCapabilityMatrix } from './capabilities.js';
+import { CircuitBreakerManager } from './circuit-breaker.js';
+import { getLbAlgorithmName, listLbAlgorithms } from './lb-algorithms.js';
+import { summarizeWeightBreakdown } from './load-balancer.js';
+import { isControlActive } from './backend-controls.js';
 
 // 简单的HTML转义函数
 function escapeHtmlSimple(text) {
@@ -17,6 +25,13 @@ function escapeHtmlSimple(text) {
              .replace(/'/g, '&#039;');
 }
 
+// 格式化字节数
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${bytes}B`;
+}
+
 // 创建增强状态页面
 export async function createEnhancedStatusPage(requestId, env, db) {
   if (!db) {
@@ -73,12 +88,12 @@ export async function createEnhancedStatusPage(requestId, env, db) {
     // 使用今日平均响应时间，如果没有则使用历史平均
     const displayAvgResponseTime = todayAvgResponseTime > 0 ? todayAvgResponseTime : avgResponseTime;
     
-    const lbAlgorithm = getConfig(env, 'LB_ALGORITHM', 'weighted_round_robin');
-    const lbAlgorithmName = {
-      'weighted_round_robin': '智能加权轮询'
-    }[lbAlgorithm] || '智能加权轮询';
+    const lbAlgorithm = getLbAlgorithmName(env);
+    const lbAlgorithmInfo = listLbAlgorithms().find(item => item.name === lbAlgorithm);
+    const lbAlgorithmName = lbAlgorithmInfo?.label || lbAlgorithm;
     
     const streamingEnabled = getConfig(env, 'ENABLE_STREAMING_PROXY', true);
+    const stickyRouting = getConfig(env, 'ROUTING_MODE', 'highest_weight') === 'sticky';
     
     // 获取负载均衡器配置
     const weightAdjustmentFactor = getConfig(env, 'WEIGHT_ADJUSTMENT_FACTOR', 0.3);
@@ -87,6 +102,64 @@ export async function createEnhancedStatusPage(requestId, env, db) {
     const maxWeight = getConfig(env, 'MAX_WEIGHT', 100);
     const minWeight = getConfig(env, 'MIN_WEIGHT', 10);
     
+    // 限流配置与最近被限流的客户端
+    const rateLimitEnabled = getConfig(env, 'ENABLE_RATE_LIMIT', true);
+    const rateLimitCapacity = getConfig(env, 'RATE_LIMIT_CAPACITY', 20);
+    const rateLimitRefill = getConfig(env, 'RATE_LIMIT_REFILL_PER_MINUTE', 10);
+    const rateLimitOffenders = statusData.rateLimitOffenders || [];
+    
+    // 请求对冲配置与统计
+    const hedgingEnabled = getConfig(env, 'ENABLE_HEDGING', DEFAULT_ENABLE_HEDGING);
+    const hedgeDelayMode = getConfig(env, 'HEDGE_DELAY_MODE', DEFAULT_HEDGE_DELAY_MODE);
+    const hedgingStats = statusData.hedgingStats || {};
+    const hedgeDelays = [];
+    if (hedgingEnabled) {
+      for (const url of statusData.backendUrls || []) {
+        hedgeDelays.push({ url, delay: await getHedgeDelay(db, url, env, requestId) });
+      }
+    }
+    
+    // 请求合并统计
+    const coalescingEnabled = getConfig(env, 'ENABLE_REQUEST_COALESCING', true);
+    const coalescingStats = statusData.coalescingStats || { today: {}, total_shared_fetches: 0, total_coalesced_requests: 0 };
+    
+    // 后端能力矩阵（手动设置优先于探测结果）
+    const capabilityRouting = getConfig(env, 'ENABLE_CAPABILITY_ROUTING', true);
+    const capabilityMatrix = buildCapabilityMatrix(statusData.backendCapabilities || []);
+    const capabilityNames = Array.from(new Set(
+      Object.values(capabilityMatrix).flatMap(capabilities => Object.keys(capabilities))
+    )).sort();
+    
+    // 熔断器状态（没有记录的后端视为闭合）
+    const circuitBreaker = new CircuitBreakerManager(env, db);
+    const circuitSettings = circuitBreaker.getSettings();
+    const circuitStates = new Map(
+      (statusData.circuitBreakers || []).map(row => [row.backend_url, circuitBreaker.summarize(row)])
+    );
+    // 后端手动控制
+    const backendControls = new Map(
+      (statusData.backendControls || []).filter(row => isControlActive(row)).map(row => [row.backend_url, row])
+    );
+    const backendControlAudit = statusData.backendControlAudit || [];
+    const controlModeLabels = {
+      active: '正常',
+      disabled: '⛔ 已禁用',
+      drain: '🚰 排空中',
+      pinned: '📌 已固定'
+    };
+    const controlActionLabels = {
+      set: '设置',
+      clear: '清除',
+      expire: '到期'
+    };
+    
+    const circuitLabels = {
+      closed: '🟢 闭合',
+      open: '🔴 熔断',
+      half_open: '🟡 半开',
+      half_open_pending: '🟡 待半开'
+    };
+    
     // 获取今日请求统计
     const todayRequestCount = statusData.d1Stats?.today?.request_results || 0;
     const todaySuccessfulRequests = statusData.d1Stats?.today?.successful_requests || 0;
@@ -765,6 +838,60 @@ export async function createEnhancedStatusPage(requestId, env, db) {
             font-weight: 500;
         }
 
+        .backend-control {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+            margin-top: 8px;
+            font-size: 11px;
+        }
+        
+        .control-badge {
+            background: rgba(255, 193, 7, 0.15);
+            color: #856404;
+            padding: 2px 6px;
+            border-radius: 4px;
+        }
+        
+        .control-btn {
+            background: #f8f9fa;
+            border: 1px solid #dee2e6;
+            border-radius: 4px;
+            padding: 2px 6px;
+            font-size: 11px;
+            cursor: pointer;
+        }
+        
+        .control-btn:hover {
+            background: #e9ecef;
+        }
+        
+        .weight-explain {
+            margin-top: 8px;
+            font-size: 11px;
+            color: #495057;
+        }
+        
+        .weight-explain summary {
+            cursor: pointer;
+            color: #6c757d;
+        }
+        
+        .weight-factor {
+            display: flex;
+            justify-content: space-between;
+            padding: 2px 6px;
+            border-bottom: 1px dashed #e9ecef;
+        }
+        
+        .factor-positive {
+            color: #28a745;
+        }
+        
+        .factor-negative {
+            color: #dc3545;
+        }
+        
         .backends-list {
             margin-bottom: 20px;
             margin-top: 40px; /* 增加与上方内容的间距 */
@@ -1348,6 +1475,16 @@ export async function createEnhancedStatusPage(requestId, env, db) {
                 <span class="meta-item">今日平均响应: ${displayAvgResponseTime}ms</span>
                 <span class="meta-item">历史平均响应: ${avgResponseTime}ms</span>
             </div>
+            <div class="backend-meta">
+                <span class="feature-badge ${rateLimitEnabled ? 'feature-enabled' : 'feature-disabled'}">
+                    ${rateLimitEnabled ? '✅ 客户端限流' : '❌ 客户端限流'}
+                </span>
+                <span class="meta-item">突发上限: ${rateLimitCapacity}</span>
+                <span class="meta-item">补充速率: ${rateLimitRefill}/分钟</span>
+                ${rateLimitOffenders.length > 0 ? `
+                <span class="meta-item">🛑 被限流客户端: ${rateLimitOffenders.length}个，拒绝请求 ${rateLimitOffenders.reduce((sum, offender) => sum + (offender.rejected_requests || 0), 0)}次（明细见 /api/rate-limits，需要管理员令牌）</span>` : `
+                <span class="meta-item">暂无被限流的客户端</span>`}
+            </div>
         </div>
                 
         <div class="lb-info">
@@ -1356,14 +1493,112 @@ export async function createEnhancedStatusPage(requestId, env, db) {
                 <span class="feature-badge ${streamingEnabled ? 'feature-enabled' : 'feature-disabled'}">
                     ${streamingEnabled ? '✅ 流式代理' : '❌ 流式代理'}
                 </span>
+                <span class="feature-badge ${stickyRouting ? 'feature-enabled' : 'feature-disabled'}">
+                    ${stickyRouting ? '✅ 订阅粘性路由' : '❌ 订阅粘性路由'}
+                </span>
                 <span class="meta-item">算法: ${lbAlgorithmName}</span>
                 <span class="meta-item">权重调整因子: ${weightAdjustmentFactor}</span>
                 <span class="meta-item">权重恢复速率: ${weightRecoveryRate}/分钟</span>
                 <span class="meta-item">基准权重: ${baseWeight}</span>
                 <span class="meta-item">权重范围: ${minWeight}-${maxWeight}</span>
             </div>
+            <div class="backend-meta">
+                <span class="feature-badge ${hedgingEnabled ? 'feature-enabled' : 'feature-disabled'}">
+                    ${hedgingEnabled ? '✅ 请求对冲' : '❌ 请求对冲'}
+                </span>
+                <span class="meta-item">对冲延迟模式: ${hedgeDelayMode === 'p95' ? '后端p95' : '固定延迟'}</span>
+                <span class="meta-item">对冲率: ${((hedgingStats.hedge_rate || 0) * 100).toFixed(1)}% (${hedgingStats.hedged_requests || 0}/${hedgingStats.total_requests || 0})</span>
+                <span class="meta-item">对冲后端胜出: ${((hedgingStats.hedge_win_rate || 0) * 100).toFixed(1)}% (${hedgingStats.hedge_wins || 0}次)</span>
+                ${hedgeDelays.map(item => `
+                <span class="meta-item" title="${item.url}">${item.url.replace(/^https?:\/\//, '')}: ${item.delay}ms</span>`).join('')}
+            </div>
+        </div>
+        
+        ${(statusData.transferStats || []).some(stat => stat.samples > 0) ? `
+        <div class="lb-info">
+            <h3>📦 响应传输（最近500次请求）</h3>
+            ${statusData.transferStats.filter(stat => stat.samples > 0).map(stat => `
+            <div class="backend-meta">
+                <span class="meta-item" title="${stat.backend_url}">${stat.backend_url.replace(/^https?:\/\//, '')}</span>
+                <span class="meta-item">平均大小: ${formatBytes(stat.avg_bytes)}</span>
+                <span class="meta-item">最大: ${formatBytes(stat.max_bytes)}</span>
+                <span class="meta-item">平均首字节: ${stat.avg_ttfb}ms</span>
+                <span class="meta-item">平均传输: ${stat.avg_transfer_time}ms</span>
+                <span class="feature-badge ${stat.truncated_count > 0 ? 'feature-disabled' : 'feature-enabled'}">截断/中断: ${stat.truncated_count}次</span>
+                <span class="feature-badge ${stat.timeout_count > 0 ? 'feature-disabled' : 'feature-enabled'}">超时: ${stat.timeout_count}次</span>
+            </div>`).join('')}
+        </div>
+        ` : ''}
+        
+        <div class="lb-info">
+            <h3>🔗 请求合并</h3>
+            <div class="backend-meta">
+                <span class="feature-badge ${coalescingEnabled ? 'feature-enabled' : 'feature-disabled'}">
+                    ${coalescingEnabled ? '✅ 合并相同请求' : '❌ 合并相同请求'}
+                </span>
+                <span class="feature-badge ${env.REQUEST_COALESCER && getConfig(env, 'COALESCE_ACROSS_ISOLATES', false) ? 'feature-enabled' : 'feature-disabled'}">
+                    ${env.REQUEST_COALESCER && getConfig(env, 'COALESCE_ACROSS_ISOLATES', false) ? '✅ 跨isolate合并' : '❌ 跨isolate合并'}
+                </span>
+                <span class="meta-item">今日合并请求: ${coalescingStats.today.coalesced_requests || 0}次 (共享 ${coalescingStats.today.shared_fetches || 0} 次后端请求)</span>
+                <span class="meta-item">今日最多同时等待: ${coalescingStats.today.max_waiters || 0}个</span>
+                <span class="meta-item">近7天合并请求: ${coalescingStats.total_coalesced_requests}次</span>
+            </div>
         </div>
         
+        ${capabilityNames.length > 0 ? `
+        <div class="lb-info">
+            <h3>🧩 后端能力矩阵</h3>
+            <div class="backend-meta">
+                <span class="feature-badge ${capabilityRouting ? 'feature-enabled' : 'feature-disabled'}">
+                    ${capabilityRouting ? '✅ 按能力选择后端' : '❌ 按能力选择后端'}
+                </span>
+                <span class="meta-item">✅ 支持 / ❌ 不支持 / ❔ 未探测，✋ 为手动设置</span>
+            </div>
+            ${(statusData.backendUrls || []).map(url => `
+            <div class="backend-meta">
+                <span class="meta-item" title="${url}">${url.replace(/^https?:\/\//, '')}</span>
+                ${capabilityNames.map(name => {
+                  const capability = capabilityMatrix[url]?.[name];
+                  const label = name.replace(/^target:/, '');
+                  if (!capability) {
+                    return `<span class="meta-item" title="未探测">❔ ${label}</span>`;
+                  }
+                  const title = `${capability.source === 'override' ? '手动设置' : '探测'}: ${capability.checked_at_beijing || ''}${capability.detail ? `, ${capability.detail}` : ''}`;
+                  return `<span class="feature-badge ${capability.supported ? 'feature-enabled' : 'feature-disabled'}" title="${escapeHtmlSimple(title)}">${capability.supported ? '✅' : '❌'} ${label}${capability.source === 'override' ? ' ✋' : ''}</span>`;
+                }).join('')}
+            </div>`).join('')}
+        </div>
+        ` : ''}
+        
+        ${circuitSettings.enabled ? `
+        <div class="lb-info">
+            <h3>⚡ 熔断器</h3>
+            <div class="backend-meta">
+                <span class="meta-item">连续失败阈值: ${circuitSettings.failure_threshold}次</span>
+                <span class="meta-item">错误率阈值: ${(circuitSettings.error_rate_threshold * 100).toFixed(0)}% (窗口 ${circuitSettings.window_seconds}秒, 至少 ${circuitSettings.min_requests} 次)</span>
+                <span class="meta-item">熔断时长: ${circuitSettings.open_duration_seconds}秒</span>
+                <span class="meta-item">半开试探: ${circuitSettings.half_open_max_trials}次</span>
+            </div>
+            ${(statusData.backendUrls || []).map(url => {
+              const circuit = circuitStates.get(url);
+              const state = circuit?.state || 'closed';
+              return `
+            <div class="backend-meta">
+                <span class="meta-item" title="${url}">${url.replace(/^https?:\/\//, '')}</span>
+                <span class="feature-badge ${state === 'closed' ? 'feature-enabled' : 'feature-disabled'}">${circuitLabels[state] || state}</span>
+                ${circuit ? `
+                <span class="meta-item">连续失败: ${circuit.consecutive_failures}次</span>
+                <span class="meta-item">窗口错误率: ${(circuit.error_rate * 100).toFixed(0)}% (${circuit.window_failures}/${circuit.window_requests})</span>
+                ${state === 'open' ? `<span class="meta-item">${circuit.reopens_in_seconds}秒后半开</span>` : ''}
+                ${state === 'half_open' ? `<span class="meta-item">试探: ${circuit.half_open_successes}/${circuit.half_open_trials}/${circuitSettings.half_open_max_trials}</span>` : ''}
+                ${circuit.state_changed_beijing ? `<span class="meta-item">状态变化: ${circuit.state_changed_beijing}</span>` : ''}
+                ${circuit.last_failure_reason ? `<span class="meta-item" title="${escapeHtmlSimple(circuit.last_failure_reason)}">最近失败: ${escapeHtmlSimple(circuit.last_failure_reason.slice(0, 60))}</span>` : ''}
+                ` : ''}
+            </div>`;
+            }).join('')}
+        </div>
+        ` : ''}
+        
         ${totalBackends > 0 ? `
         <div class="backends-list">
             <h3>🖥️ 后端状态详情（数据来源: backend_status 表）</h3>
@@ -1382,6 +1617,10 @@ export async function createEnhancedStatusPage(requestId, env, db) {
                   const lastCheckedBeijing = backend.last_checked_beijing || '未知';
                   const updatedAtBeijing = backend.updated_at_beijing || '未知';
                   const version = backend.version || 'subconverter';
+                  const breakdown = statusData.weightBreakdowns?.[url];
+                  const breakdownSummary = summarizeWeightBreakdown(breakdown);
+                  const control = backendControls.get(url);
+                  const controlTarget = encodeURIComponent(url);
                   
                   const statusClass = healthy ? 'health-up' : 'health-down';
                   const statusText = healthy ? '正常' : '异常';
@@ -1467,6 +1706,35 @@ export async function createEnhancedStatusPage(requestId, env, db) {
                           </div>
                       </div>
                       
+                      <div class="backend-control">
+                          ${control ? `
+                          <span class="control-badge" title="${escapeHtmlSimple(`${control.updated_by || ''} ${control.updated_at_beijing || ''}${control.note ? `: ${control.note}` : ''}`)}">
+                              ${controlModeLabels[control.mode] || escapeHtmlSimple(control.mode)}${control.weight_override !== null ? ` · 固定权重 ${control.weight_override}` : ''}${control.expires_at_beijing ? ` · 至 ${control.expires_at_beijing}` : ''}
+                          </span>` : ''}
+                          <button class="control-btn" data-backend="${controlTarget}" data-mode="disabled">禁用</button>
+                          <button class="control-btn" data-backend="${controlTarget}" data-mode="drain">排空</button>
+                          <button class="control-btn" data-backend="${controlTarget}" data-mode="pinned">固定</button>
+                          <button class="control-btn" data-backend="${controlTarget}" data-mode="weight">固定权重</button>
+                          ${control ? `<button class="control-btn" data-backend="${controlTarget}" data-mode="clear">恢复</button>` : ''}
+                      </div>
+                      
+                      ${breakdown ? `
+                      <details class="weight-explain">
+                          <summary>权重解释${breakdownSummary.demoted ? `（降权: ${escapeHtmlSimple(breakdownSummary.demotion_reasons.join('、') || '低于基准权重')}）` : ''}</summary>
+                          <div class="weight-factor"><span>基准权重</span><span>${breakdown.base_weight}</span></div>
+                          ${breakdown.factors.map(item => `
+                          <div class="weight-factor"><span>${escapeHtmlSimple(item.label)}</span><span class="${item.value < 0 ? 'factor-negative' : 'factor-positive'}">${item.value > 0 ? '+' : ''}${item.value}</span></div>`).join('')}
+                          <div class="weight-factor"><span>目标权重</span><span>${breakdown.target_weight}</span></div>
+                          <div class="weight-factor"><span>上次权重 → 时间恢复</span><span>${breakdown.previous_weight} → ${breakdown.recovery.weight_after}</span></div>
+                          <div class="weight-factor"><span>平滑调整 (系数 ${breakdown.smoothing.factor})</span><span>${breakdown.smoothing.result}</span></div>
+                          <div class="weight-factor"><span>最终权重 (${breakdown.clamp.min}-${breakdown.clamp.max})</span><span>${breakdown.final_weight}</span></div>
+                          <div class="meta-detail">
+                              <span class="meta-label">计算时间:</span>
+                              <span class="meta-value">${breakdown.beijing_time}</span>
+                              <a href="/api/backends/${encodeURIComponent(url)}/weight-explain" target="_blank">JSON</a>
+                          </div>
+                      </details>` : ''}
+                      
                       ${healthy ? '' : `
                       <div class="backend-error-info">
                           <span class="error-icon">⚠️</span>
@@ -1478,6 +1746,21 @@ export async function createEnhancedStatusPage(requestId, env, db) {
         </div>
         ` : ''}
         
+        ${backendControlAudit.length > 0 ? `
+        <div class="lb-info">
+            <h3>🛠️ 后端手动控制记录</h3>
+            ${backendControlAudit.map(entry => `
+            <div class="backend-meta">
+                <span class="meta-item">${entry.beijing_time || ''}</span>
+                <span class="meta-item" title="${entry.backend_url}">${entry.backend_url.replace(/^https?:\/\//, '')}</span>
+                <span class="feature-badge">${controlActionLabels[entry.action] || escapeHtmlSimple(entry.action)}</span>
+                <span class="meta-item">${entry.previous_state ? controlModeLabels[entry.previous_state.mode] || escapeHtmlSimple(entry.previous_state.mode) : '无'} → ${entry.new_state ? controlModeLabels[entry.new_state.mode] || escapeHtmlSimple(entry.new_state.mode) : '无'}${entry.new_state?.weight_override != null ? ` (权重 ${entry.new_state.weight_override})` : ''}</span>
+                <span class="meta-item">操作人: ${escapeHtmlSimple(entry.operator || '未知')}</span>
+                ${entry.note ? `<span class="meta-item" title="${escapeHtmlSimple(entry.note)}">${escapeHtmlSimple(entry.note.slice(0, 60))}</span>` : ''}
+            </div>`).join('')}
+        </div>
+        ` : ''}
+        
         <!-- ==== 优化的Telegram通知部分 ==== -->
         <div class="telegram-stats-section">
             <h3>Telegram通知统计</h3>
@@ -1731,7 +2014,7 @@ export async function createEnhancedStatusPage(requestId, env, db) {
             <ul>
                 <li><strong>数据来源:</strong> backend_status 表（实时北京时间）</li>
                 <li><strong>后端状态更新:</strong> 定时任务（每2分钟）+ 每次请求后更新</li>
-                <li><strong>负载均衡算法:</strong> ${lbAlgorithmName}（智能加权轮询）</li>
+                <li><strong>负载均衡算法:</strong> ${lbAlgorithmName}（${lbAlgorithm}）：${lbAlgorithmInfo?.description || ''}</li>
                 <li><strong>流式代理:</strong> ${streamingEnabled ? '启用' : '禁用'}</li>
                 <li><strong>权重计算:</strong> 基于健康状态、响应时间、成功率、稳定性等多维度动态调整</li>
                 <li><strong>平滑调整:</strong> 使用指数加权移动平均，避免权重突变</li>
@@ -1751,6 +2034,8 @@ export async function createEnhancedStatusPage(requestId, env, db) {
             <a href="/api/config" class="action-btn" target="_blank">⚙️ 配置信息</a>
             <button class="action-btn action-btn-info" id="testLoadBalancerBtn">⚖️ 测试负载均衡</button>
             <a href="/api/weight-stats" class="action-btn action-btn-warning" target="_blank">📊 权重统计</a>
+            <a href="/api/circuit-breakers" class="action-btn action-btn-warning" target="_blank">⚡ 熔断器</a>
+            <a href="/api/geo-stats" class="action-btn action-btn-info" target="_blank">🌏 地区统计</a>
             <button class="action-btn action-btn-secondary" id="resetWeightsBtn">🔄 重置权重</button>
             <button class="action-btn action-btn-danger" id="cleanupD1Btn">🗑️ 清理旧数据</button>
             <a href="/api/diagnose" class="action-btn" target="_blank">🔍 系统诊断</a>
@@ -1815,6 +2100,12 @@ export async function createEnhancedStatusPage(requestId, env, db) {
             if (resetWeightsBtn) resetWeightsBtn.addEventListener('click', resetWeights);
             if (cleanupD1Btn) cleanupD1Btn.addEventListener('click', cleanupD1Data);
             
+            document.querySelectorAll('.control-btn').forEach(btn => {
+                btn.addEventListener('click', function() {
+                    setBackendControl(this);
+                });
+            });
+            
             const buttons = document.querySelectorAll('.action-btn');
             buttons.forEach(btn => {
                 btn.addEventListener('touchstart', function() {
@@ -2129,6 +2420,69 @@ export async function createEnhancedStatusPage(requestId, env, db) {
             }
         }
         
+        // 后端手动控制（需要管理员令牌，令牌保存在当前标签页的 sessionStorage）
+        function setBackendControl(btn) {
+            const mode = btn.dataset.mode;
+            const backend = decodeURIComponent(btn.dataset.backend);
+            let adminToken = sessionStorage.getItem('adminToken');
+            if (!adminToken) {
+                adminToken = prompt('请输入管理员令牌 (ADMIN_TOKEN)');
+                if (!adminToken) return;
+            }
+            
+            const body = {};
+            if (mode === 'weight') {
+                const weight = prompt('固定权重（留空取消）');
+                if (weight === null || weight.trim() === '') return;
+                body.mode = 'active';
+                body.weight_override = Number(weight);
+            } else if (mode !== 'clear') {
+                body.mode = mode;
+            }
+            
+            if (mode !== 'clear') {
+                const minutes = prompt('有效时长（分钟，留空表示一直有效）', '');
+                if (minutes === null) return;
+                if (minutes.trim() !== '') body.expires_in_minutes = Number(minutes);
+            }
+            
+            const note = prompt('备注（如维护公告）', '');
+            if (note === null) return;
+            if (note.trim() !== '') body.note = note;
+            
+            if (!confirm('确定对 ' + backend + ' 执行「' + btn.textContent + '」吗？')) return;
+            
+            btn.disabled = true;
+            fetch('/api/backends/' + btn.dataset.backend + '/control' + (mode === 'clear' ? '/clear' : ''), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': 'Bearer ' + adminToken
+                },
+                body: JSON.stringify(body)
+            })
+            .then(response => {
+                if (response.status === 401) sessionStorage.removeItem('adminToken');
+                return response.json();
+            })
+            .then(data => {
+                if (data.success) {
+                    sessionStorage.setItem('adminToken', adminToken);
+                    showToast(data.message + ' 页面即将刷新...', 'success');
+                    setTimeout(() => {
+                        window.location.reload();
+                    }, 1000);
+                } else {
+                    showToast('操作失败：' + (data.error || '未知错误'), 'error');
+                    btn.disabled = false;
+                }
+            })
+            .catch(error => {
+                showToast('请求失败：' + error.message, 'error');
+                btn.disabled = false;
+            });
+        }
+        
         function showToast(message, type = 'info') {
             const existingToast = document.querySelector('.toast-notification');
             if (existingToast) {
@@ -14,6 +14,10 @@ export const DEFAULT_MIN_WEIGHT = 10; // 最小权重
 export const DEFAULT_WEIGHT_RECOVERY_RATE = 2; // 每分钟权重恢复值
 export const DEFAULT_BACKEND_STALE_THRESHOLD = 30 * 1000; // 后端信息过期阈值30秒
 export const DEFAULT_LB_ALGORITHM = 'weighted_round_robin'; // 负载均衡算法
+export const LB_ALGORITHMS = ['weighted_round_robin', 'weighted_random', 'least_latency', 'power_of_two_choices', 'priority', 'highest_weight']; // 可选的负载均衡算法（实现见 lb-algorithms.js）
+export const DEFAULT_LB_EWMA_ALPHA = 0.3; // 响应时间EWMA平滑系数，越大越偏向最近的请求
+export const DEFAULT_LB_PRIORITY_ORDER = []; // priority 算法的后端顺序，为空时使用 BACKEND_URLS 的顺序
+export const DEFAULT_LB_STATE_SYNC_INTERVAL = 30; // 负载均衡状态（权重、响应时间历史）与D1同步间隔（秒）
 export const DEFAULT_ENABLE_STREAMING_PROXY = true; // 启用流式代理
 export const DEFAULT_STREAMING_CHUNK_SIZE = 8192; // 流式分块大小
 export const DEFAULT_WEIGHT_ADJUSTMENT_FACTOR = 0.3; // 权重调整平滑因子
@@ -22,6 +26,77 @@ export const DEFAULT_HEALTH_THRESHOLD = 0.7; // 健康阈值
 export const DEFAULT_FAILURE_PENALTY = 15; // 失败惩罚
 export const DEFAULT_SUCCESS_BOOST = 8; // 成功奖励
 export const DEFAULT_BASE_WEIGHT = 50; // 初始权重
+export const DEFAULT_FAILOVER_MAX_ATTEMPTS = 3; // 单次请求最多尝试的后端数量
+export const DEFAULT_FAILOVER_RETRY_STATUS_CODES = [500, 502, 503, 504, 520, 521, 522, 523, 524]; // 触发故障转移的状态码
+export const DEFAULT_FAILOVER_RETRY_ERRORS = ['TypeError', 'AbortError', 'TimeoutError']; // 触发故障转移的异常类名
+export const DEFAULT_ENABLE_HEDGING = false; // 启用请求对冲
+export const DEFAULT_HEDGE_DELAY = 1500; // 对冲延迟（固定模式，或p95样本不足时使用）
+export const DEFAULT_HEDGE_MIN_DELAY = 300; // p95模式下的最小对冲延迟
+export const DEFAULT_HEDGE_DELAY_MODE = 'p95'; // 对冲延迟模式: fixed | p95
+export const DEFAULT_ENABLE_EDGE_CACHE = false; // 启用边缘缓存
+export const DEFAULT_EDGE_CACHE_TTL = 300; // 边缘缓存新鲜期（秒）
+export const DEFAULT_EDGE_CACHE_STALE_TTL = 3600; // 过期后仍可返回旧内容并后台刷新的时长（秒）
+export const DEFAULT_ENABLE_LAST_KNOWN_GOOD = true; // 所有后端不可用时返回最后可用快照
+export const DEFAULT_LKG_MAX_SIZE = 512 * 1024; // 快照最大字节数
+export const DEFAULT_LKG_MAX_AGE = 7 * 24 * 3600; // 快照最长可用时长（秒）
+export const DEFAULT_LKG_MIN_INTERVAL = 300; // 同一快照的最短更新间隔（秒），间隔内不再读取和写入
+export const DEFAULT_ENABLE_RESPONSE_VALIDATION = true; // 校验后端返回的转换结果
+export const DEFAULT_RESPONSE_VALIDATION_PEEK_BYTES = 16384; // 校验时读取的响应体开头字节数
+export const DEFAULT_ROUTING_MODE = 'highest_weight'; // 路由模式: highest_weight | sticky
+export const DEFAULT_STICKY_VIRTUAL_NODES = 16; // 粘性路由每10点权重对应的虚拟节点数
+export const DEFAULT_ENABLE_PROXY_ALLOWLIST = true; // 只转发白名单内的接口
+export const DEFAULT_PROXY_ALLOWED_PATHS = ['/sub', '/version', '/getruleset', '/getprofile', '/render']; // 允许转发的接口
+export const DEFAULT_PROXY_ALLOWED_METHODS = ['GET', 'HEAD']; // 允许转发的请求方法
+export const DEFAULT_PROXY_REQUIRED_PARAMS = { '/sub': ['target'], '/getruleset': ['url', 'type'], '/getprofile': ['name'], '/render': ['path'] }; // 各接口必需参数
+export const DEFAULT_PROXY_FORBIDDEN_PARAMS = []; // 禁止使用的参数
+export const DEFAULT_PROXY_MAX_QUERY_LENGTH = 8192; // 查询字符串最大长度
+export const DEFAULT_ENABLE_RATE_LIMIT = true; // 按客户端限流
+export const DEFAULT_RATE_LIMIT_CAPACITY = 20; // 令牌桶容量（允许的突发请求数）
+export const DEFAULT_RATE_LIMIT_REFILL_PER_MINUTE = 10; // 每分钟补充的令牌数
+export const DEFAULT_RATE_LIMIT_KEY_BY = ['ip']; // 限流键组成: ip | token | subscription
+export const DEFAULT_RATE_LIMIT_SYNC_INTERVAL = 10; // 本地令牌桶与D1同步间隔（秒）
+export const DEFAULT_ENABLE_ACCESS_TOKENS = false; // 要求访问令牌
+export const DEFAULT_ACCESS_TOKEN_PARAM = 'access_token'; // 访问令牌查询参数名（不能使用 subconverter 自身的 token 参数）
+export const DEFAULT_ENABLE_SHORT_LINKS = true; // 启用短链接
+export const DEFAULT_SHORT_LINK_CODE_LENGTH = 8; // 短链接代码长度
+export const DEFAULT_REDACTION_LEVEL = 'standard'; // 脱敏级别: off | standard | strict
+export const DEFAULT_REDACT_PARAMS = ['url', 'token', 'key', 'secret', 'password', 'auth']; // 需要脱敏的查询参数
+export const DEFAULT_ENABLE_CAPABILITY_ROUTING = true; // 按请求的 target 和功能过滤后端
+export const DEFAULT_CAPABILITY_PROBE_TARGETS = ['clash', 'singbox', 'surge', 'quanx', 'loon', 'v2ray', 'mixed']; // 定时探测的 target
+export const DEFAULT_CAPABILITY_PROBE_INTERVAL = 21600; // 能力探测间隔（秒）
+export const DEFAULT_CAPABILITY_PROBE_TIMEOUT = 5000; // 单次能力探测超时（毫秒）
+export const DEFAULT_PARAM_POLICY = {}; // /sub 参数策略（默认参数、强制参数、禁止参数、正则改写）
+export const DEFAULT_PARAM_POLICY_DEBUG_HEADER = true; // 在响应头中返回生效的查询参数
+export const DEFAULT_ENABLE_CIRCUIT_BREAKER = true; // 启用后端熔断器
+export const DEFAULT_CB_FAILURE_THRESHOLD = 5; // 连续失败多少次后熔断
+export const DEFAULT_CB_ERROR_RATE_THRESHOLD = 0.5; // 窗口内错误率达到多少时熔断
+export const DEFAULT_CB_MIN_REQUESTS = 10; // 按错误率熔断所需的最少窗口结果数
+export const DEFAULT_CB_WINDOW_SECONDS = 300; // 错误率滑动窗口（秒）
+export const DEFAULT_CB_OPEN_DURATION = 60; // 熔断持续时间，到期后进入半开状态（秒）
+export const DEFAULT_CB_HALF_OPEN_MAX_TRIALS = 3; // 半开状态放行的试探请求数，全部成功后恢复
+export const DEFAULT_CB_HALF_OPEN_TRIAL_TIMEOUT = 180; // 试探请求多久没有结果视为丢失，名额可重新领取（秒，需大于转发总超时）
+export const DEFAULT_ENABLE_REQUEST_COALESCING = true; // 合并相同的进行中转换请求
+export const DEFAULT_COALESCE_MAX_WAIT = 30000; // 进行中的请求超过该时长（毫秒）后不再合并新请求
+export const DEFAULT_COALESCE_ACROSS_ISOLATES = false; // 通过 Durable Object 跨isolate合并（需要 REQUEST_COALESCER 绑定）
+export const DEFAULT_PROXY_HEADERS_TIMEOUT = 30000; // 转发请求等待后端响应头的超时（毫秒，含连接）
+export const DEFAULT_PROXY_TOTAL_TIMEOUT = 60000; // 转发请求的总超时（毫秒，含响应体传输）
+export const DEFAULT_PROXY_TARGET_TIMEOUTS = { singbox: { headers: 60000, total: 120000 } }; // 按 target 覆盖超时，sing-box 规则集较大转换较慢
+export const DEFAULT_TIMEOUT_PENALTY = 10; // 请求超时在失败惩罚之外额外扣减的权重
+export const DEFAULT_ENABLE_BUILTIN_CONVERTER = true; // 无可用后端时使用内置的简易转换器兜底
+export const DEFAULT_BUILTIN_CONVERTER_TIMEOUT = 10000; // 内置转换器拉取订阅的超时（毫秒）
+export const DEFAULT_BUILTIN_CONVERTER_MAX_SIZE = 2 * 1024 * 1024; // 内置转换器拉取的订阅最大字节数
+export const DEFAULT_ENABLE_POST_PROCESSING = true; // 启用转换结果后处理（通过 pp 参数或令牌配置触发）
+export const DEFAULT_POST_PROCESSING = {}; // 后处理配置: { profiles: { 名称: [变换] }, tokens: { 令牌标签: [名称] } }
+export const DEFAULT_POST_PROCESSING_MAX_SIZE = 5 * 1024 * 1024; // 后处理的响应最大字节数，超过则原样返回
+export const DEFAULT_ALLOW_INLINE_POST_PROCESSING = false; // 允许未带访问令牌的请求使用 pp_exclude/pp_include/pp_rename 内联正则
+export const DEFAULT_POST_PROCESSING_MAX_PATTERN_LENGTH = 200; // 内联正则的最大长度
+export const DEFAULT_ENABLE_GEO_ROUTING = true; // 按客户端国家/地区和Cloudflare机房优先选择合适的后端
+export const DEFAULT_BACKEND_REGIONS = {}; // 后端偏好地区: { 后端URL: { countries: ['CN'], colos: ['HKG'] } }
+export const DEFAULT_GEO_TAG_BOOST = 20; // 后端偏好地区与客户端匹配时增加的选择权重
+export const DEFAULT_GEO_LEARNED_BOOST = 20; // 按该地区历史成功率和响应时间学习到的最大选择权重加成
+export const DEFAULT_GEO_MIN_SAMPLES = 20; // 学习地区偏好所需的最少请求数（每个后端）
+export const DEFAULT_GEO_STATS_WINDOW_HOURS = 24; // 地区统计时间窗口（小时）
+export const DEFAULT_BACKEND_ADAPTERS = {}; // 后端适配器: { 后端URL: 适配器名称 }，未配置的后端使用 subconverter
 
 // Telegram通知相关常量
 export const TG_API_URL = "https://api.telegram.org/bot";
@@ -73,7 +148,7 @@ export function getConfig(env, key, defaultValue) {
   
   if (typeof defaultValue === 'string') {
     if (key === 'LB_ALGORITHM') {
-      return value === 'weighted_round_robin' ? value : DEFAULT_LB_ALGORITHM;
+      return LB_ALGORITHMS.includes(value) ? value : DEFAULT_LB_ALGORITHM;
     }
   }
   
@@ -96,10 +171,47 @@ export function validateConfig(env, requestId) {
     { key: 'STREAMING_CHUNK_SIZE', min: 1024, max: 65536, defaultValue: DEFAULT_STREAMING_CHUNK_SIZE },
     { key: 'WEIGHT_ADJUSTMENT_FACTOR', min: 0.01, max: 1, defaultValue: DEFAULT_WEIGHT_ADJUSTMENT_FACTOR },
     { key: 'RESPONSE_TIME_WINDOW', min: 3, max: 100, defaultValue: DEFAULT_RESPONSE_TIME_WINDOW },
+    { key: 'LB_STATE_SYNC_INTERVAL', min: 0, max: 3600, defaultValue: DEFAULT_LB_STATE_SYNC_INTERVAL },
     { key: 'HEALTH_THRESHOLD', min: 0.1, max: 1, defaultValue: DEFAULT_HEALTH_THRESHOLD },
     { key: 'FAILURE_PENALTY', min: 1, max: 100, defaultValue: DEFAULT_FAILURE_PENALTY },
     { key: 'SUCCESS_BOOST', min: 1, max: 100, defaultValue: DEFAULT_SUCCESS_BOOST },
-    { key: 'BASE_WEIGHT', min: 1, max: 1000, defaultValue: DEFAULT_BASE_WEIGHT }
+    { key: 'BASE_WEIGHT', min: 1, max: 1000, defaultValue: DEFAULT_BASE_WEIGHT },
+    { key: 'FAILOVER_MAX_ATTEMPTS', min: 1, max: 10, defaultValue: DEFAULT_FAILOVER_MAX_ATTEMPTS },
+    { key: 'HEDGE_DELAY', min: 50, max: 30000, defaultValue: DEFAULT_HEDGE_DELAY },
+    { key: 'HEDGE_MIN_DELAY', min: 0, max: 30000, defaultValue: DEFAULT_HEDGE_MIN_DELAY },
+    { key: 'EDGE_CACHE_TTL', min: 1, max: 86400, defaultValue: DEFAULT_EDGE_CACHE_TTL },
+    { key: 'EDGE_CACHE_STALE_TTL', min: 0, max: 604800, defaultValue: DEFAULT_EDGE_CACHE_STALE_TTL },
+    { key: 'LKG_MAX_SIZE', min: 1024, max: 1048576, defaultValue: DEFAULT_LKG_MAX_SIZE },
+    { key: 'LKG_MAX_AGE', min: 60, max: 2592000, defaultValue: DEFAULT_LKG_MAX_AGE },
+    { key: 'LKG_MIN_INTERVAL', min: 0, max: 86400, defaultValue: DEFAULT_LKG_MIN_INTERVAL },
+    { key: 'RESPONSE_VALIDATION_PEEK_BYTES', min: 256, max: 1048576, defaultValue: DEFAULT_RESPONSE_VALIDATION_PEEK_BYTES },
+    { key: 'STICKY_VIRTUAL_NODES', min: 1, max: 200, defaultValue: DEFAULT_STICKY_VIRTUAL_NODES },
+    { key: 'PROXY_MAX_QUERY_LENGTH', min: 256, max: 65536, defaultValue: DEFAULT_PROXY_MAX_QUERY_LENGTH },
+    { key: 'RATE_LIMIT_CAPACITY', min: 1, max: 10000, defaultValue: DEFAULT_RATE_LIMIT_CAPACITY },
+    { key: 'RATE_LIMIT_REFILL_PER_MINUTE', min: 0, max: 10000, defaultValue: DEFAULT_RATE_LIMIT_REFILL_PER_MINUTE },
+    { key: 'RATE_LIMIT_SYNC_INTERVAL', min: 0, max: 3600, defaultValue: DEFAULT_RATE_LIMIT_SYNC_INTERVAL },
+    { key: 'SHORT_LINK_CODE_LENGTH', min: 6, max: 32, defaultValue: DEFAULT_SHORT_LINK_CODE_LENGTH },
+    { key: 'CAPABILITY_PROBE_INTERVAL', min: 300, max: 604800, defaultValue: DEFAULT_CAPABILITY_PROBE_INTERVAL },
+    { key: 'CAPABILITY_PROBE_TIMEOUT', min: 1000, max: 30000, defaultValue: DEFAULT_CAPABILITY_PROBE_TIMEOUT },
+    { key: 'CB_FAILURE_THRESHOLD', min: 1, max: 100, defaultValue: DEFAULT_CB_FAILURE_THRESHOLD },
+    { key: 'CB_ERROR_RATE_THRESHOLD', min: 0.05, max: 1, defaultValue: DEFAULT_CB_ERROR_RATE_THRESHOLD },
+    { key: 'CB_MIN_REQUESTS', min: 1, max: 100, defaultValue: DEFAULT_CB_MIN_REQUESTS },
+    { key: 'CB_WINDOW_SECONDS', min: 10, max: 86400, defaultValue: DEFAULT_CB_WINDOW_SECONDS },
+    { key: 'CB_OPEN_DURATION', min: 5, max: 3600, defaultValue: DEFAULT_CB_OPEN_DURATION },
+    { key: 'CB_HALF_OPEN_MAX_TRIALS', min: 1, max: 20, defaultValue: DEFAULT_CB_HALF_OPEN_MAX_TRIALS },
+    { key: 'CB_HALF_OPEN_TRIAL_TIMEOUT', min: 10, max: 3600, defaultValue: DEFAULT_CB_HALF_OPEN_TRIAL_TIMEOUT },
+    { key: 'COALESCE_MAX_WAIT', min: 1000, max: 120000, defaultValue: DEFAULT_COALESCE_MAX_WAIT },
+    { key: 'PROXY_HEADERS_TIMEOUT', min: 1000, max: 300000, defaultValue: DEFAULT_PROXY_HEADERS_TIMEOUT },
+    { key: 'PROXY_TOTAL_TIMEOUT', min: 1000, max: 600000, defaultValue: DEFAULT_PROXY_TOTAL_TIMEOUT },
+    { key: 'TIMEOUT_PENALTY', min: 0, max: 100, defaultValue: DEFAULT_TIMEOUT_PENALTY },
+    { key: 'BUILTIN_CONVERTER_TIMEOUT', min: 1000, max: 60000, defaultValue: DEFAULT_BUILTIN_CONVERTER_TIMEOUT },
+    { key: 'BUILTIN_CONVERTER_MAX_SIZE', min: 1024, max: 10485760, defaultValue: DEFAULT_BUILTIN_CONVERTER_MAX_SIZE },
+    { key: 'POST_PROCESSING_MAX_SIZE', min: 1024, max: 20971520, defaultValue: DEFAULT_POST_PROCESSING_MAX_SIZE },
+    { key: 'POST_PROCESSING_MAX_PATTERN_LENGTH', min: 10, max: 2000, defaultValue: DEFAULT_POST_PROCESSING_MAX_PATTERN_LENGTH },
+    { key: 'GEO_TAG_BOOST', min: 0, max: 100, defaultValue: DEFAULT_GEO_TAG_BOOST },
+    { key: 'GEO_LEARNED_BOOST', min: 0, max: 100, defaultValue: DEFAULT_GEO_LEARNED_BOOST },
+    { key: 'GEO_MIN_SAMPLES', min: 1, max: 10000, defaultValue: DEFAULT_GEO_MIN_SAMPLES },
+    { key: 'GEO_STATS_WINDOW_HOURS', min: 1, max: 720, defaultValue: DEFAULT_GEO_STATS_WINDOW_HOURS }
   ];
   
   const errors = [];
@@ -116,12 +228,40 @@ export function validateConfig(env, requestId) {
     }
   }
   
-  const lbAlgorithm = getConfig(env, 'LB_ALGORITHM', DEFAULT_LB_ALGORITHM);
-  if (lbAlgorithm !== 'weighted_round_robin') {
+  const hedgeDelayMode = getConfig(env, 'HEDGE_DELAY_MODE', DEFAULT_HEDGE_DELAY_MODE);
+  if (hedgeDelayMode !== 'fixed' && hedgeDelayMode !== 'p95') {
+    errors.push({
+      key: 'HEDGE_DELAY_MODE',
+      value: hedgeDelayMode,
+      message: `无效的对冲延迟模式: ${hedgeDelayMode}，仅支持 fixed 或 p95`
+    });
+  }
+  
+  const routingMode = getConfig(env, 'ROUTING_MODE', DEFAULT_ROUTING_MODE);
+  if (routingMode !== 'highest_weight' && routingMode !== 'sticky') {
+    errors.push({
+      key: 'ROUTING_MODE',
+      value: routingMode,
+      message: `无效的路由模式: ${routingMode}，仅支持 highest_weight 或 sticky`
+    });
+  }
+  
+  const redactionLevel = getConfig(env, 'REDACTION_LEVEL', DEFAULT_REDACTION_LEVEL);
+  if (!['off', 'standard', 'strict'].includes(redactionLevel)) {
+    errors.push({
+      key: 'REDACTION_LEVEL',
+      value: redactionLevel,
+      message: `无效的脱敏级别: ${redactionLevel}，仅支持 off、standard 或 strict`
+    });
+  }
+  
+  // getConfig 会把未知算法替换为默认算法，这里检查原始配置值；算法自身的配置由 lb-algorithms.js 校验
+  const lbAlgorithm = env.LB_ALGORITHM;
+  if (lbAlgorithm && !LB_ALGORITHMS.includes(lbAlgorithm)) {
     errors.push({
       key: 'LB_ALGORITHM',
       value: lbAlgorithm,
-      message: `无效的负载均衡算法: ${lbAlgorithm}，仅支持 weighted_round_robin`
+      message: `无效的负载均衡算法: ${lbAlgorithm}，仅支持 ${LB_ALGORITHMS.join('、')}`
     });
   }
   
@@ -156,6 +296,13 @@ export function getBackendsFromEnv(env) {
   return DEFAULT_BACKENDS;
 }
 
+// 获取客户端IP
+export function getClientIp(request) {
+  return request.headers.get('cf-connecting-ip') || 
+         request.headers.get('x-forwarded-for') || 
+         'unknown';
+}
+
 // 获取北京时间字符串（统一格式）
 export function getBeijingTimeString(date = new Date()) {
   try {
@@ -0,0 +1,458 @@
+// 简易YAML：只支持订阅转换结果用到的子集（块映射、块序列、流式映射/序列、引号和普通标量、注释）
+// 不支持锚点/别名、合并键、标签、多行标量和多文档，遇到时抛出错误，由调用方回退到原始内容
+
+const INDICATOR_CHARS = '-?:,[]{}#&*!|>\'"%@`';
+const FLOW_CHARS = ',[]{}';
+const NON_STRING_PATTERN = /^(~|null|Null|NULL|true|True|TRUE|false|False|FALSE|yes|Yes|YES|no|No|NO|on|On|ON|off|Off|OFF|y|Y|n|N)$/;
+const CONTROL_PATTERN = /[\u0000-\u001f\u007f\ufeff\u2028\u2029]/;
+
+function createYamlError(message, line) {
+  return new Error(line ? `YAML第${line.number}行: ${message}` : `YAML: ${message}`);
+}
+
+// 去掉行尾注释：# 在行首或空白之后、且不在引号内时才是注释
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (quote === '"' && char === '\\') {
+        i++;
+      } else if (char === quote) {
+        if (quote === "'" && text[i + 1] === "'") {
+          i++;
+        } else {
+          quote = null;
+        }
+      }
+    } else if ((char === '"' || char === "'") && (i === 0 || /[\s[{,]/.test(text[i - 1]))) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+function splitLines(text) {
+  const lines = [];
+  text.replace(/^\ufeff/, '').split(/\r?\n/).forEach((raw, index) => {
+    const content = stripComment(raw).trimEnd();
+    const trimmed = content.trimStart();
+    if (!trimmed || trimmed === '---' || trimmed === '...' || trimmed.startsWith('%')) return;
+    
+    const indent = content.length - trimmed.length;
+    if (content.slice(0, indent).includes('\t')) {
+      throw createYamlError('缩进不能使用制表符', { number: index + 1 });
+    }
+    lines.push({ indent, text: trimmed, number: index + 1 });
+  });
+  return lines;
+}
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+// 普通标量解析：规范形式的整数/小数、true/false、null 转为对应类型，其余保留为字符串
+function resolveScalar(text) {
+  if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+    const number = Number(text);
+    if (String(number) === text && (Number.isSafeInteger(number) || !Number.isInteger(number))) {
+      return number;
+    }
+  }
+  return text;
+}
+
+const DOUBLE_QUOTE_ESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+};
+
+// 从 text[start] 处的引号开始解析引号字符串，返回 { value, end }（end 为结束引号之后的位置）
+function parseQuoted(text, start, line) {
+  const quote = text[start];
+  let value = '';
+  let i = start + 1;
+  
+  while (i < text.length) {
+    const char = text[i];
+    if (quote === "'" && char === "'") {
+      if (text[i + 1] === "'") {
+        value += "'";
+        i += 2;
+        continue;
+      }
+      return { value, end: i + 1 };
+    }
+    if (quote === '"' && char === '"') {
+      return { value, end: i + 1 };
+    }
+    if (quote === '"' && char === '\\') {
+      const escape = text[i + 1];
+      const hexLength = { x: 2, u: 4, U: 8 }[escape];
+      if (hexLength) {
+        const hex = text.slice(i + 2, i + 2 + hexLength);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== hexLength) {
+          throw createYamlError('无效的转义序列', line);
+        }
+        value += String.fromCodePoint(parseInt(hex, 16));
+        i += 2 + hexLength;
+        continue;
+      }
+      if (!(escape in DOUBLE_QUOTE_ESCAPES)) {
+        throw createYamlError('无效的转义序列', line);
+      }
+      value += DOUBLE_QUOTE_ESCAPES[escape];
+      i += 2;
+      continue;
+    }
+    value += char;
+    i++;
+  }
+  
+  throw createYamlError('引号未闭合（不支持跨行字符串）', line);
+}
+
+// 查找映射条目的冒号位置（冒号后为空白或行尾），不是映射条目时返回 -1
+function findMappingColon(text, line) {
+  let i = 0;
+  if (text[0] === '"' || text[0] === "'") {
+    i = parseQuoted(text, 0, line).end;
+    return text[i] === ':' && (i + 1 === text.length || /\s/.test(text[i + 1])) ? i : -1;
+  }
+  if (text[0] === '{' || text[0] === '[') {
+    return -1;
+  }
+  
+  for (; i < text.length; i++) {
+    if (text[i] === ':' && (i + 1 === text.length || /\s/.test(text[i + 1]))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// 流式集合（{...} / [...]）解析器
+class FlowParser {
+  constructor(text, line) {
+    this.text = text;
+    this.line = line;
+    this.pos = 0;
+  }
+
+  skipSpaces() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  parseValue() {
+    this.skipSpaces();
+    const char = this.text[this.pos];
+    
+    if (char === '{') return this.parseMapping();
+    if (char === '[') return this.parseSequence();
+    if (char === '"' || char === "'") {
+      const { value, end } = parseQuoted(this.text, this.pos, this.line);
+      this.pos = end;
+      return value;
+    }
+    if (char === '&' || char === '*' || char === '!') {
+      throw createYamlError('不支持锚点、别名和标签', this.line);
+    }
+    return resolveScalar(this.readPlain(false));
+  }
+
+  // 流式普通标量：到 , [ ] { } 或 ": " 为止；映射键同时以 : 结束
+  readPlain(isKey) {
+    const start = this.pos;
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      const next = this.text[this.pos + 1];
+      if (FLOW_CHARS.includes(char)) break;
+      if (char === ':' && (isKey || next === undefined || /[\s,\]}]/.test(next))) break;
+      this.pos++;
+    }
+    return this.text.slice(start, this.pos).trim();
+  }
+
+  parseMapping() {
+    const result = {};
+    this.pos++;
+    
+    while (true) {
+      this.skipSpaces();
+      if (this.text[this.pos] === '}') {
+        this.pos++;
+        return result;
+      }
+      if (this.pos >= this.text.length) {
+        throw createYamlError('流式映射未闭合', this.line);
+      }
+      
+      const char = this.text[this.pos];
+      let key;
+      if (char === '"' || char === "'") {
+        const quoted = parseQuoted(this.text, this.pos, this.line);
+        key = quoted.value;
+        this.pos = quoted.end;
+      } else {
+        key = this.readPlain(true);
+      }
+      
+      this.skipSpaces();
+      let value = null;
+      if (this.text[this.pos] === ':') {
+        this.pos++;
+        value = this.parseValue();
+      }
+      result[key] = value;
+      
+      this.skipSpaces();
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else if (this.text[this.pos] !== '}') {
+        throw createYamlError('流式映射格式错误', this.line);
+      }
+    }
+  }
+
+  parseSequence() {
+    const result = [];
+    this.pos++;
+    
+    while (true) {
+      this.skipSpaces();
+      if (this.text[this.pos] === ']') {
+        this.pos++;
+        return result;
+      }
+      if (this.pos >= this.text.length) {
+        throw createYamlError('流式序列未闭合', this.line);
+      }
+      
+      result.push(this.parseValue());
+      
+      this.skipSpaces();
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else if (this.text[this.pos] !== ']') {
+        throw createYamlError('流式序列格式错误', this.line);
+      }
+    }
+  }
+}
+
+// 块结构解析器
+class BlockParser {
+  constructor(lines) {
+    this.lines = lines;
+    this.pos = 0;
+  }
+
+  get current() {
+    return this.lines[this.pos];
+  }
+
+  parseDocument() {
+    if (this.lines.length === 0) return null;
+    
+    const value = this.parseBlock(this.current.indent);
+    if (this.current) {
+      throw createYamlError('缩进错误', this.current);
+    }
+    return value;
+  }
+
+  parseBlock(indent) {
+    return isSequenceItem(this.current.text) ? this.parseSequence(indent) : this.parseMapping(indent);
+  }
+
+  parseSequence(indent) {
+    const result = [];
+    
+    while (this.current && this.current.indent === indent && isSequenceItem(this.current.text)) {
+      const line = this.current;
+      const rest = line.text.slice(1).trimStart();
+      
+      if (rest === '') {
+        this.pos++;
+        result.push(this.current && this.current.indent > indent ? this.parseBlock(this.current.indent) : null);
+      } else if (isSequenceItem(rest) || findMappingColon(rest, line) >= 0) {
+        // "- key: value" / "- - item"：把该行余下部分当作缩进更深的块的第一行
+        line.indent = indent + line.text.length - rest.length;
+        line.text = rest;
+        result.push(this.parseBlock(line.indent));
+      } else {
+        this.pos++;
+        result.push(this.parseInlineValue(rest, line));
+      }
+    }
+    
+    return result;
+  }
+
+  parseMapping(indent) {
+    const result = {};
+    
+    while (this.current && this.current.indent === indent) {
+      const line = this.current;
+      const colon = findMappingColon(line.text, line);
+      if (colon < 0) {
+        throw createYamlError('无法解析的行', line);
+      }
+      
+      const rawKey = line.text.slice(0, colon).trim();
+      const key = rawKey[0] === '"' || rawKey[0] === "'" ? parseQuoted(rawKey, 0, line).value : rawKey;
+      if (key === '<<' || key.startsWith('?')) {
+        throw createYamlError('不支持合并键和复杂键', line);
+      }
+      
+      const rest = line.text.slice(colon + 1).trim();
+      this.pos++;
+      
+      if (rest !== '') {
+        result[key] = this.parseInlineValue(rest, line);
+      } else if (this.current && this.current.indent > indent) {
+        result[key] = this.parseBlock(this.current.indent);
+      } else if (this.current && this.current.indent === indent && isSequenceItem(this.current.text)) {
+        // 序列可以与父级键对齐
+        result[key] = this.parseSequence(indent);
+      } else {
+        result[key] = null;
+      }
+    }
+    
+    return result;
+  }
+
+  // 行内值：流式集合可以跨多行，拼接到括号配平为止
+  parseInlineValue(text, line) {
+    const char = text[0];
+    if (char === '|' || char === '>') {
+      throw createYamlError('不支持多行标量', line);
+    }
+    if (char === '&' || char === '*' || char === '!') {
+      throw createYamlError('不支持锚点、别名和标签', line);
+    }
+    
+    if (char === '{' || char === '[') {
+      let flowText = text;
+      while (!isBalanced(flowText) && this.current && this.current.indent > line.indent) {
+        flowText += ` ${this.current.text}`;
+        this.pos++;
+      }
+      
+      const parser = new FlowParser(flowText, line);
+      const value = parser.parseValue();
+      parser.skipSpaces();
+      if (parser.pos !== flowText.length) {
+        throw createYamlError('流式集合之后有多余内容', line);
+      }
+      return value;
+    }
+    
+    if (char === '"' || char === "'") {
+      const { value, end } = parseQuoted(text, 0, line);
+      if (text.slice(end).trim() !== '') {
+        throw createYamlError('引号字符串之后有多余内容', line);
+      }
+      return value;
+    }
+    
+    return resolveScalar(text);
+  }
+}
+
+// 括号是否配平（忽略引号内的括号）
+function isBalanced(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (quote === '"' && char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+    }
+  }
+  return depth <= 0;
+}
+
+export function parseYaml(text) {
+  return new BlockParser(splitLines(text)).parseDocument();
+}
+
+// 字符串是否必须加引号；flow 为流式集合内的位置
+function needsQuotes(text, flow) {
+  return text === '' ||
+    INDICATOR_CHARS.includes(text[0]) || /\s/.test(text[0]) || /\s$/.test(text) ||
+    /^[-+.]?\d/.test(text) || NON_STRING_PATTERN.test(text) ||
+    text.endsWith(':') || text.includes(': ') || text.includes(' #') || CONTROL_PATTERN.test(text) ||
+    (flow && /[:?#'",[\]{}]/.test(text));
+}
+
+// JSON 字符串同时也是合法的YAML双引号字符串
+function formatScalar(value, flow) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : (Number.isNaN(value) ? '.nan' : (value > 0 ? '.inf' : '-.inf'));
+  if (typeof value === 'boolean') return String(value);
+  
+  const text = String(value);
+  return needsQuotes(text, flow) ? JSON.stringify(text) : text;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatFlow(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatFlow).join(', ')}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.entries(value).map(([key, item]) => `${formatScalar(key, true)}: ${formatFlow(item)}`).join(', ')}}`;
+  }
+  return formatScalar(value, true);
+}
+
+// 映射和序列用块格式；序列中的映射（如节点、策略组）写成单行流式映射，与常见转换结果一致
+function formatBlock(value, indent) {
+  const pad = ' '.repeat(indent);
+  
+  if (Array.isArray(value) && value.length > 0) {
+    return value.map(item => `${pad}- ${typeof item === 'object' && item !== null ? formatFlow(item) : formatScalar(item, false)}`);
+  }
+  
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    const lines = [];
+    for (const [key, item] of Object.entries(value)) {
+      const formattedKey = formatScalar(key, true);
+      if ((Array.isArray(item) || isPlainObject(item)) && Object.keys(item).length > 0) {
+        lines.push(`${pad}${formattedKey}:`, ...formatBlock(item, indent + 2));
+      } else {
+        lines.push(`${pad}${formattedKey}: ${typeof item === 'object' && item !== null ? formatFlow(item) : formatScalar(item, false)}`);
+      }
+    }
+    return lines;
+  }
+  
+  return [`${pad}${typeof value === 'object' && value !== null ? formatFlow(value) : formatScalar(value, false)}`];
+}
+
+export function stringifyYaml(value) {
+  return `${formatBlock(value, 0).join('\n')}\n`;
+}